@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const API_TOKENS_FILE = config.API_TOKENS_FILE;
+const TOKEN_PREFIX = 'dpl_';
+const SCOPES = ['read', 'deploy', 'rollback', 'admin'];
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+let cache = null;
+let writeChain = Promise.resolve();
+
+async function load() {
+  if (cache) return cache;
+  try {
+    const raw = await fs.readFile(API_TOKENS_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    cache = Array.isArray(parsed) ? parsed : [];
+  } catch {
+    cache = [];
+  }
+  return cache;
+}
+
+function persist() {
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const tokens = await load();
+    await fs.mkdir(path.dirname(API_TOKENS_FILE), { recursive: true });
+    const tempPath = `${API_TOKENS_FILE}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(tokens, null, 2), 'utf8');
+    await fs.rename(tempPath, API_TOKENS_FILE);
+  });
+  return writeChain;
+}
+
+// Tokens are 256 bits of randomness, so a plain SHA-256 is enough to keep the stored value useless if leaked.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isApiToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+const isExpired = (record, now = Date.now()) => !!record.expiresAt && new Date(record.expiresAt).getTime() <= now;
+
+const presentToken = (record) => ({
+  id: record.id,
+  name: record.name,
+  scopes: record.scopes,
+  prefix: record.prefix,
+  createdAt: record.createdAt,
+  expiresAt: record.expiresAt,
+  lastUsedAt: record.lastUsedAt,
+  expired: isExpired(record)
+});
+
+async function createToken({ userId, name, scopes, expiresAt = null }) {
+  const tokens = await load();
+  const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    userId,
+    name,
+    scopes,
+    tokenHash: hashToken(secret),
+    prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    lastUsedAt: null
+  };
+  tokens.push(record);
+  await persist();
+  return { token: secret, record };
+}
+
+async function findByToken(token) {
+  if (!isApiToken(token)) return null;
+  const tokens = await load();
+  const tokenHash = hashToken(token);
+  const record = tokens.find((candidate) => crypto.timingSafeEqual(
+    Buffer.from(candidate.tokenHash, 'hex'),
+    Buffer.from(tokenHash, 'hex')
+  ));
+  if (!record || isExpired(record)) return null;
+  return record;
+}
+
+async function markUsed(tokenId) {
+  const tokens = await load();
+  const record = tokens.find((candidate) => candidate.id === tokenId);
+  if (!record) return;
+  const now = Date.now();
+  if (record.lastUsedAt && now - new Date(record.lastUsedAt).getTime() < LAST_USED_WRITE_INTERVAL_MS) return;
+  record.lastUsedAt = new Date(now).toISOString();
+  await persist();
+}
+
+async function listTokens(userId) {
+  const tokens = await load();
+  return tokens.filter((record) => record.userId === userId);
+}
+
+async function revokeToken(userId, tokenId) {
+  const tokens = await load();
+  const index = tokens.findIndex((record) => record.id === tokenId && record.userId === userId);
+  if (index === -1) return false;
+  tokens.splice(index, 1);
+  await persist();
+  return true;
+}
+
+async function revokeUserTokens(userId) {
+  const tokens = await load();
+  const remaining = tokens.filter((record) => record.userId !== userId);
+  const removed = tokens.length - remaining.length;
+  if (removed) {
+    cache = remaining;
+    await persist();
+  }
+  return removed;
+}
+
+module.exports = {
+  SCOPES,
+  isApiToken,
+  presentToken,
+  createToken,
+  findByToken,
+  markUsed,
+  listTokens,
+  revokeToken,
+  revokeUserTokens
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const config = require('./config');
+
+const AUDIT_LOG_FILE = config.AUDIT_LOG_FILE;
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+// Never copied into an entry, even when they appear in a diffed object.
+const REDACTED_FIELDS = new Set(['env', 'passwordHash', 'encryptedValue', 'secret', 'token', 'repoAuth', 'environments']);
+
+let writeChain = Promise.resolve();
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Field-level before/after for everything except secrets; env is summarised separately by key name.
+function diffFields(before = {}, after = {}) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (REDACTED_FIELDS.has(key) || key === 'updatedAt') continue;
+    if (!isEqual(before?.[key], after?.[key])) {
+      changes[key] = { before: before?.[key] ?? null, after: after?.[key] ?? null };
+    }
+  }
+  return changes;
+}
+
+function diffEnv(before = [], after = []) {
+  const previous = new Map((before || []).map((entry) => [entry.key, entry]));
+  const next = new Map((after || []).map((entry) => [entry.key, entry]));
+  const summary = { added: [], removed: [], changed: [], madeSecret: [] };
+  for (const [key, entry] of next) {
+    const prev = previous.get(key);
+    if (!prev) {
+      summary.added.push(key);
+      continue;
+    }
+    if (!prev.isSecret && entry.isSecret) summary.madeSecret.push(key);
+    const valueChanged = entry.isSecret ? prev.encryptedValue !== entry.encryptedValue : prev.value !== entry.value;
+    if (valueChanged) summary.changed.push(key);
+  }
+  for (const key of previous.keys()) {
+    if (!next.has(key)) summary.removed.push(key);
+  }
+  const hasChanges = Object.values(summary).some((keys) => keys.length > 0);
+  return hasChanges ? summary : null;
+}
+
+const describeActor = (user) => {
+  if (!user) return null;
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    via: user.tokenId ? 'token' : 'session',
+    ...(user.tokenId ? { tokenId: user.tokenId } : {})
+  };
+};
+
+// `req.ip` already honours the app's `trust proxy` setting.
+function buildEntry(req, action, { outcome = 'success', actor, projectId = null, target = null, changes, env, details } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    action,
+    outcome,
+    actor: actor !== undefined ? actor : describeActor(req?.user),
+    ip: req?.ip || null,
+    userAgent: req?.get?.('user-agent') ? String(req.get('user-agent')).slice(0, 256) : null,
+    projectId,
+    target,
+    ...(changes && Object.keys(changes).length ? { changes } : {}),
+    ...(env ? { env } : {}),
+    ...(details ? { details } : {})
+  };
+}
+
+// Entries are only ever appended, one JSON document per line.
+function record(req, action, options) {
+  const entry = buildEntry(req, action, options);
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    await fs.promises.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    await fs.promises.appendFile(AUDIT_LOG_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+  }).catch((error) => {
+    console.error(`[audit] Failed to record ${action}`, error);
+  });
+  return writeChain;
+}
+
+const matches = (entry, filters) => {
+  if (filters.action && entry.action !== filters.action && !entry.action.startsWith(`${filters.action}.`)) return false;
+  if (filters.actor && entry.actor?.id !== filters.actor && entry.actor?.username !== filters.actor) return false;
+  if (filters.projectId && entry.projectId !== filters.projectId) return false;
+  if (filters.outcome && entry.outcome !== filters.outcome) return false;
+  if (filters.since && entry.timestamp < filters.since) return false;
+  if (filters.until && entry.timestamp > filters.until) return false;
+  return true;
+};
+
+// Scans the whole file and keeps the newest matches; fine for the volumes a single host produces.
+async function query(filters = {}) {
+  const limit = Math.min(Math.max(Number.parseInt(filters.limit, 10) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+  await writeChain;
+  const stream = fs.createReadStream(AUDIT_LOG_FILE, { encoding: 'utf8' });
+  const results = [];
+  try {
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (!matches(entry, filters)) continue;
+      results.push(entry);
+      if (results.length > limit) results.shift();
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return results.reverse();
+}
+
+module.exports = {
+  diffFields,
+  diffEnv,
+  describeActor,
+  record,
+  query
+};
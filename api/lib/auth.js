@@ -2,10 +2,17 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const config = require('./config');
 const userStore = require('./userStore');
+const sessionStore = require('./sessionStore');
+const apiTokenStore = require('./apiTokenStore');
+const twoFactorStore = require('./twoFactorStore');
+const settingsStore = require('./settingsStore');
 
 const TOKEN_COOKIE_NAME = 'authToken';
 const TOKEN_TTL_SECONDS = 60 * 60 * 12; // 12 hours
 const ADMIN_SUBJECT = 'admin';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_PURPOSE = 'two-factor-login';
+const TWO_FACTOR_ENROLLMENT_REQUIRED = 'TWO_FACTOR_ENROLLMENT_REQUIRED';
 
 const getCookieOptions = () => ({
   httpOnly: true,
@@ -17,6 +24,18 @@ const getCookieOptions = () => ({
 const signSessionToken = (payload) =>
   jwt.sign(payload, config.SESSION_SECRET, { expiresIn: TOKEN_TTL_SECONDS });
 
+// Every token carries the id of a registry entry (`jti`); deleting the entry revokes the token.
+async function issueSessionToken(payload, meta = {}) {
+  const session = await sessionStore.createSession({
+    userId: payload.sub,
+    username: payload.username,
+    ttlSeconds: TOKEN_TTL_SECONDS,
+    ip: meta.ip,
+    userAgent: meta.userAgent
+  });
+  return signSessionToken({ ...payload, jti: session.id });
+}
+
 const readAuthToken = (req) => {
   if (req.cookies?.[TOKEN_COOKIE_NAME]) {
     return req.cookies[TOKEN_COOKIE_NAME];
@@ -48,29 +67,102 @@ const buildUserFromPayload = (payload) => {
   };
 };
 
-const requireAuth = (req, res, next) => {
-  const token = readAuthToken(req);
-  const payload = verifyToken(token);
+// Tokens must still be in the session registry and, for regular users, match the record's tokenVersion,
+// so revoking a session or disabling, deleting or demoting a user takes effect immediately.
+async function resolveSessionUser(payload) {
   const user = buildUserFromPayload(payload);
+  if (!user || !payload.jti || payload.purpose) return null;
+  const session = await sessionStore.getSession(payload.jti);
+  if (!session || session.userId !== user.id) return null;
+  if (user.id === ADMIN_SUBJECT) return { ...user, sessionId: session.id };
+  const record = await userStore.getUserById(user.id);
+  if (!record || record.disabled) return null;
+  if ((record.tokenVersion || 0) !== (payload.tv || 0)) return null;
+  const role = record.role === 'admin' ? 'admin' : 'user';
+  return { ...user, username: record.username, role, isAdmin: role === 'admin', sessionId: session.id };
+}
+
+async function resolveApiTokenUser(token) {
+  const record = await apiTokenStore.findByToken(token);
+  if (!record) return null;
+  let user;
+  if (record.userId === ADMIN_SUBJECT) {
+    user = buildUserFromPayload(createAdminPayload());
+  } else {
+    const owner = await userStore.getUserById(record.userId);
+    if (!owner || owner.disabled) return null;
+    const role = owner.role === 'admin' ? 'admin' : 'user';
+    user = { id: owner.id, username: owner.username, role, isAdmin: role === 'admin' };
+  }
+  apiTokenStore.markUsed(record.id).catch(() => {});
+  return { ...user, tokenId: record.id, scopes: record.scopes };
+}
+
+async function authenticateRequest(req) {
+  const token = readAuthToken(req);
+  if (apiTokenStore.isApiToken(token)) {
+    return resolveApiTokenUser(token);
+  }
+  return resolveSessionUser(verifyToken(token));
+}
+
+// Browser sessions carry no scopes and may do anything the user can; personal access tokens are limited to theirs.
+const hasScope = (user, scope) => !user.scopes || user.scopes.includes('admin') || user.scopes.includes(scope);
+
+const defaultScopeFor = (req) => (['GET', 'HEAD', 'OPTIONS'].includes(req.method) ? 'read' : 'admin');
+
+// When an admin requires 2FA, password-only browser sessions may only reach the enrollment endpoints.
+async function isTwoFactorEnrollmentRequired(user) {
+  if (user.scopes) return false;
+  const settings = await settingsStore.getSettings();
+  return !!settings.requireTwoFactor && !(await twoFactorStore.isEnabled(user.id));
+}
+
+const requireScope = (scope, { allowPendingTwoFactor = false } = {}) => async (req, res, next) => {
+  let user;
+  let enrollmentRequired = false;
+  try {
+    user = await authenticateRequest(req);
+    if (user && !allowPendingTwoFactor) {
+      enrollmentRequired = await isTwoFactorEnrollmentRequired(user);
+    }
+  } catch (error) {
+    return next(error);
+  }
   if (!user) {
     return res.status(401).json({ error: 'Authentication required' });
   }
+  const required = scope || defaultScopeFor(req);
+  if (!hasScope(user, required)) {
+    return res.status(403).json({ error: `API token is missing the "${required}" scope` });
+  }
+  if (enrollmentRequired) {
+    return res.status(403).json({
+      error: 'Two-factor authentication must be set up before continuing',
+      code: TWO_FACTOR_ENROLLMENT_REQUIRED
+    });
+  }
   req.user = user;
+  if (user.sessionId) {
+    sessionStore.touchSession(user.sessionId, req.ip).catch(() => {});
+  }
   return next();
 };
 
+const requireAuth = requireScope(null);
+
 const requireAdmin = (req, res, next) =>
-  requireAuth(req, res, () => {
+  requireScope('admin')(req, res, () => {
     if (!req.user?.isAdmin) {
       return res.status(403).json({ error: 'Admin access required' });
     }
     return next();
   });
 
-const getUserFromRequest = (req) => {
-  const payload = verifyToken(readAuthToken(req));
-  return buildUserFromPayload(payload);
-};
+const getUserFromRequest = (req) => authenticateRequest(req);
+
+// Reads the session id even from a token that no longer resolves to a user, so logout can always clean up.
+const getSessionIdFromRequest = (req) => verifyToken(readAuthToken(req))?.jti || null;
 
 const setAuthCookie = (res, token) => {
   res.cookie(TOKEN_COOKIE_NAME, token, getCookieOptions());
@@ -89,10 +181,23 @@ const createAdminPayload = () => ({
 const createUserPayload = (user) => ({
   sub: user.id,
   username: user.username,
-  role: user.role || 'user'
+  role: user.role || 'user',
+  tv: user.tokenVersion || 0
 });
 
-async function authenticateCredentials(username, password) {
+// A challenge proves the password was correct but is not a session: it only unlocks /api/auth/2fa/verify.
+const signChallengeToken = (payload) =>
+  jwt.sign({ ...payload, purpose: CHALLENGE_PURPOSE }, config.SESSION_SECRET, { expiresIn: CHALLENGE_TTL_SECONDS });
+
+async function startSession(payload, meta) {
+  const user = buildUserFromPayload(payload);
+  if (await twoFactorStore.isEnabled(payload.sub)) {
+    return { challengeToken: signChallengeToken(payload), user };
+  }
+  return { token: await issueSessionToken(payload, meta), user };
+}
+
+async function authenticateCredentials(username, password, meta = {}) {
   if (!username || !password) {
     return null;
   }
@@ -100,11 +205,7 @@ async function authenticateCredentials(username, password) {
     if (!config.ADMIN_PASSWORD_HASH) return null;
     const isValid = await bcrypt.compare(password, config.ADMIN_PASSWORD_HASH);
     if (!isValid) return null;
-    const payload = createAdminPayload();
-    return {
-      token: signSessionToken(payload),
-      user: buildUserFromPayload(payload)
-    };
+    return startSession(createAdminPayload(), meta);
   }
   const record = await userStore.getUserByUsername(username);
   if (!record || record.disabled) {
@@ -114,23 +215,44 @@ async function authenticateCredentials(username, password) {
   if (!isValid) {
     return null;
   }
-  const payload = createUserPayload(record);
+  return startSession(createUserPayload(record), meta);
+}
+
+// Re-checks the account so a user disabled or reset between the two steps cannot finish signing in.
+async function completeTwoFactorLogin(challengeToken, { code, recoveryCode } = {}, meta = {}) {
+  const challenge = verifyToken(challengeToken);
+  if (!challenge || challenge.purpose !== CHALLENGE_PURPOSE) return null;
+  const { purpose, iat, exp, ...payload } = challenge;
+  if (payload.sub !== ADMIN_SUBJECT) {
+    const record = await userStore.getUserById(payload.sub);
+    if (!record || record.disabled || (record.tokenVersion || 0) !== (payload.tv || 0)) return null;
+    Object.assign(payload, createUserPayload(record));
+  }
+  const method = await twoFactorStore.verifySecondFactor(payload.sub, { code, recoveryCode });
+  if (!method) return null;
   return {
-    token: signSessionToken(payload),
-    user: buildUserFromPayload(payload)
+    token: await issueSessionToken(payload, meta),
+    user: buildUserFromPayload(payload),
+    method
   };
 }
 
 module.exports = {
   TOKEN_COOKIE_NAME,
+  TWO_FACTOR_ENROLLMENT_REQUIRED,
   requireAuth,
+  requireScope,
   requireAdmin,
   getUserFromRequest,
+  getSessionIdFromRequest,
   setAuthCookie,
   clearAuthCookie,
   signSessionToken,
+  issueSessionToken,
   getCookieOptions,
   authenticateCredentials,
+  completeTwoFactorLogin,
+  isTwoFactorEnrollmentRequired,
   createAdminPayload,
   createUserPayload
 };
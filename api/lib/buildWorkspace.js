@@ -0,0 +1,94 @@
+const fsp = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const { runCommand } = require('./command');
+
+// Every deployment builds in its own git worktree under BUILD_DIR/<deploymentId>, so the project clone only ever
+// holds what the sync step fetched. Dependency directories survive between builds in BUILD_DIR/.cache/<runtime name>
+// (projectStore.runtimeName), one per environment, so a preview's install never feeds production's build; they are
+// moved rather than copied, so a cache hit costs a rename.
+const CACHE_DIR_NAME = '.cache';
+const CACHED_DEPENDENCY_DIRS = ['node_modules'];
+
+const workspaceDir = (deploymentId) => path.join(config.BUILD_DIR, deploymentId);
+const dependencyCacheDir = (runtimeName) => path.join(config.BUILD_DIR, CACHE_DIR_NAME, runtimeName);
+
+const exists = (target) => fsp.lstat(target).then(() => true, () => false);
+const isDirectory = (target) => fsp.lstat(target).then((stat) => stat.isDirectory(), () => false);
+
+// Stale entries left by a crashed deploy are pruned first, otherwise git refuses to reuse their paths.
+async function createWorkspace(repoPath, deploymentId, commit, options, logStream, dryRun) {
+  const dir = workspaceDir(deploymentId);
+  if (!dryRun) {
+    await fsp.rm(dir, { recursive: true, force: true });
+    await fsp.mkdir(config.BUILD_DIR, { recursive: true });
+  }
+  await runCommand('git', ['worktree', 'prune'], { ...options, cwd: repoPath }, logStream, dryRun);
+  await runCommand('git', ['worktree', 'add', '--detach', '--force', dir, commit], { ...options, cwd: repoPath }, logStream, dryRun);
+  return dir;
+}
+
+// Runs after cancellation too, so it takes no signal and never throws for a missing worktree.
+async function removeWorkspace(repoPath, deploymentId) {
+  await fsp.rm(workspaceDir(deploymentId), { recursive: true, force: true });
+  await runCommand('git', ['worktree', 'prune'], { cwd: repoPath }).catch(() => {});
+}
+
+async function restoreDependencies(runtimeName, workDir, logStream) {
+  const restored = [];
+  for (const name of CACHED_DEPENDENCY_DIRS) {
+    const cached = path.join(dependencyCacheDir(runtimeName), name);
+    const target = path.join(workDir, name);
+    if (!(await isDirectory(cached)) || await exists(target)) continue;
+    await fsp.rename(cached, target);
+    restored.push(name);
+  }
+  if (restored.length && logStream) {
+    logStream.write(`Restored ${restored.join(', ')} from the dependency cache\n`);
+  }
+  return restored;
+}
+
+// Only called once install succeeded, so a half-installed tree never replaces a good cache.
+async function saveDependencies(runtimeName, workDir) {
+  const saved = [];
+  for (const name of CACHED_DEPENDENCY_DIRS) {
+    const source = path.join(workDir, name);
+    if (!(await isDirectory(source))) continue;
+    const cached = path.join(dependencyCacheDir(runtimeName), name);
+    await fsp.rm(cached, { recursive: true, force: true });
+    await fsp.mkdir(path.dirname(cached), { recursive: true });
+    await fsp.rename(source, cached);
+    saved.push(name);
+  }
+  return saved;
+}
+
+async function removeDependencyCache(runtimeName) {
+  await fsp.rm(dependencyCacheDir(runtimeName), { recursive: true, force: true });
+}
+
+// Workspaces of deployments that are no longer running, e.g. after an API restart. The project clones' worktree
+// records are pruned the next time they build.
+async function pruneWorkspaces(activeDeploymentIds = []) {
+  const entries = await fsp.readdir(config.BUILD_DIR, { withFileTypes: true }).catch(() => []);
+  const removed = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name === CACHE_DIR_NAME || activeDeploymentIds.includes(entry.name)) continue;
+    await fsp.rm(path.join(config.BUILD_DIR, entry.name), { recursive: true, force: true });
+    removed.push(entry.name);
+  }
+  return removed;
+}
+
+module.exports = {
+  CACHED_DEPENDENCY_DIRS,
+  workspaceDir,
+  dependencyCacheDir,
+  createWorkspace,
+  removeWorkspace,
+  restoreDependencies,
+  saveDependencies,
+  removeDependencyCache,
+  pruneWorkspaces
+};
@@ -12,10 +12,40 @@ const redactText = (text, keys = []) => {
   return result;
 };
 
+const KILL_GRACE_MS = 5000;
+
+const createCancelError = (safeCommand) => {
+  const error = new Error(`Command "${safeCommand}" was cancelled`);
+  error.cancelled = true;
+  return error;
+};
+
+// Children spawned with a signal get their own process group so the whole tree (bash -lc, npm, node...) can be killed.
+const killProcessTree = (child) => {
+  const signalTree = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      try {
+        child.kill(signal);
+      } catch {
+        // already gone
+      }
+    }
+  };
+  signalTree('SIGTERM');
+  const timer = setTimeout(() => signalTree('SIGKILL'), KILL_GRACE_MS);
+  timer.unref();
+  child.once('close', () => clearTimeout(timer));
+};
+
 function runCommand(cmd, args = [], options = {}, logStream, dryRun = false) {
-  const { redactKeys = [], ...spawnOptions } = options || {};
+  const { redactKeys = [], signal, ...spawnOptions } = options || {};
   const commandString = [cmd, ...args].join(' ');
   const safeCommand = redactText(commandString, redactKeys);
+  if (signal?.aborted) {
+    return Promise.reject(createCancelError(safeCommand));
+  }
   if (dryRun) {
     if (logStream) logStream.write(`[dry-run] ${safeCommand}\n`);
     return Promise.resolve({ code: 0, stdout: '', stderr: '' });
@@ -25,10 +55,23 @@ function runCommand(cmd, args = [], options = {}, logStream, dryRun = false) {
     const child = spawn(cmd, args, {
       cwd: spawnOptions.cwd,
       env: spawnOptions.env,
-      shell: false
+      shell: false,
+      detached: !!signal
     });
     let stdout = '';
     let stderr = '';
+    let cancelled = false;
+    const onAbort = () => {
+      cancelled = true;
+      if (logStream) logStream.write(`Cancelling: ${safeCommand}\n`);
+      killProcessTree(child);
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    const cleanup = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
 
     const write = (data) => {
       const text = redactText(data.toString(), redactKeys);
@@ -45,10 +88,15 @@ function runCommand(cmd, args = [], options = {}, logStream, dryRun = false) {
       write(data);
     });
     child.on('error', (err) => {
+      cleanup();
       if (logStream) logStream.write(`Command failed: ${safeCommand}\n${err.stack || err}\n`);
       reject(err);
     });
     child.on('close', (code) => {
+      cleanup();
+      if (cancelled) {
+        return reject(createCancelError(safeCommand));
+      }
       if (code !== 0) {
         const error = new Error(`Command "${safeCommand}" exited with code ${code}`);
         error.code = code;
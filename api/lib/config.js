@@ -6,6 +6,7 @@ const resolvePath = (value, fallback) => path.resolve(value || fallback);
 const PROJECTS_DIR = resolvePath(process.env.PROJECTS_DIR, '/var/deploy/projects');
 const LOGS_DIR = resolvePath(process.env.LOGS_DIR, '/var/deploy/logs');
 const BUILD_DIR = resolvePath(process.env.BUILD_DIR, '/var/deploy/builds');
+const ARCHIVE_DIR = resolvePath(process.env.ARCHIVE_DIR, path.join(PROJECTS_DIR, '.archive'));
 const NGINX_ROOT = resolvePath(process.env.NGINX_ROOT, '/var/www');
 const SECRETS_MASTER_KEY = process.env.SECRETS_MASTER_KEY || '';
 const isProduction = process.env.NODE_ENV === 'production';
@@ -14,7 +15,19 @@ const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH || '';
 const SESSION_SECRET = process.env.SESSION_SECRET || '';
 const ALLOWED_ORIGIN = (process.env.ALLOWED_ORIGIN || 'http://localhost:5173').trim();
 const MAX_QUEUE_SIZE = Math.max(1, Number.parseInt(process.env.MAX_QUEUE_SIZE || '50', 10));
+const STEP_TIMEOUT_SECONDS = Math.max(0, Number.parseInt(process.env.STEP_TIMEOUT_SECONDS || '1800', 10) || 0);
+const DEPLOY_TIMEOUT_SECONDS = Math.max(0, Number.parseInt(process.env.DEPLOY_TIMEOUT_SECONDS || '3600', 10) || 0);
+const KEEP_RELEASES = Math.max(1, Number.parseInt(process.env.KEEP_RELEASES || '5', 10) || 5);
+const RELEASE_MAX_AGE_DAYS = Math.max(0, Number.parseInt(process.env.RELEASE_MAX_AGE_DAYS || '0', 10) || 0);
+const HEALTHCHECK_TIMEOUT_SECONDS = Math.max(1, Number.parseInt(process.env.HEALTHCHECK_TIMEOUT_SECONDS || '60', 10) || 60);
+const MAX_PREVIEWS_PER_PROJECT = Math.max(1, Number.parseInt(process.env.MAX_PREVIEWS_PER_PROJECT || '5', 10) || 5);
+const RETRY_INTERRUPTED_DEPLOYS = ['1', 'true', 'yes'].includes((process.env.RETRY_INTERRUPTED_DEPLOYS || '').trim().toLowerCase());
 const USERS_FILE = resolvePath(process.env.USERS_FILE, path.join(__dirname, '..', 'data', 'users.json'));
+const SESSIONS_FILE = resolvePath(process.env.SESSIONS_FILE, path.join(path.dirname(USERS_FILE), 'sessions.json'));
+const API_TOKENS_FILE = resolvePath(process.env.API_TOKENS_FILE, path.join(path.dirname(USERS_FILE), 'api-tokens.json'));
+const TWO_FACTOR_FILE = resolvePath(process.env.TWO_FACTOR_FILE, path.join(path.dirname(USERS_FILE), 'two-factor.json'));
+const SETTINGS_FILE = resolvePath(process.env.SETTINGS_FILE, path.join(path.dirname(USERS_FILE), 'settings.json'));
+const AUDIT_LOG_FILE = resolvePath(process.env.AUDIT_LOG_FILE, path.join(LOGS_DIR, 'audit.log'));
 
 if (!SECRETS_MASTER_KEY) {
   if (isProduction) {
@@ -55,6 +68,7 @@ module.exports = {
   PROJECTS_DIR,
   BUILD_DIR,
   LOGS_DIR,
+  ARCHIVE_DIR,
   NGINX_ROOT,
   SECRETS_MASTER_KEY,
   RELEASES_DIR_NAME: process.env.RELEASES_DIR_NAME || 'releases',
@@ -69,6 +83,18 @@ module.exports = {
   SESSION_SECRET,
   ALLOWED_ORIGIN,
   MAX_QUEUE_SIZE,
+  STEP_TIMEOUT_SECONDS,
+  DEPLOY_TIMEOUT_SECONDS,
+  RETRY_INTERRUPTED_DEPLOYS,
+  KEEP_RELEASES,
+  HEALTHCHECK_TIMEOUT_SECONDS,
+  RELEASE_MAX_AGE_DAYS,
+  MAX_PREVIEWS_PER_PROJECT,
   USERS_FILE,
+  SESSIONS_FILE,
+  API_TOKENS_FILE,
+  TWO_FACTOR_FILE,
+  SETTINGS_FILE,
+  AUDIT_LOG_FILE,
   isProduction
 };
@@ -6,14 +6,29 @@ const projectStore = require('./projectStore');
 const deploymentStore = require('./deploymentStore');
 const nginxManager = require('./nginxManager');
 const { runCommand, runShellCommand } = require('./command');
+const gitRefs = require('./gitRefs');
+const gitCredentials = require('./gitCredentials');
 const { buildEnvMaps } = require('./envBuilder');
 const { getTemplate } = require('./commandTemplates');
+const releaseRetention = require('./releaseRetention');
+const healthcheck = require('./healthcheck');
+const buildWorkspace = require('./buildWorkspace');
 
 const queue = [];
+const running = new Map();
+const resettingProjects = new Set();
+// Projects whose release is being activated, rolled back or promoted outside a deployment job.
+const switchingProjects = new Set();
+// `<projectId>/<envName>` of environments being removed, and projects being deleted; their jobs are neither queued
+// nor started.
+const removingEnvironments = new Set();
+const removingProjects = new Set();
+const environmentKey = (projectId, envName) => `${projectId}/${envName || projectStore.DEFAULT_ENVIRONMENT}`;
 let active = 0;
 const MAX_CONCURRENT = Math.max(1, config.MAX_CONCURRENT_DEPLOYS || 1);
 const MAX_QUEUE_SIZE = Math.max(1, config.MAX_QUEUE_SIZE || 50);
 const ADMIN_OWNER_ID = 'admin';
+const DEPLOY_STEPS = ['sync', 'install', 'test', 'build', 'release', 'nginx', 'runtime', 'healthcheck'];
 
 const pathExists = async (target) => {
   try {
@@ -63,6 +78,49 @@ const removePath = async (target) => {
   }
 };
 
+const movePath = async (source, destination) => {
+  await fsp.mkdir(path.dirname(destination), { recursive: true });
+  try {
+    await fsp.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fsp.cp(source, destination, { recursive: true, verbatimSymlinks: true });
+    await fsp.rm(source, { recursive: true, force: true });
+  }
+};
+
+const createCancelledError = () => {
+  const error = new Error('Deployment cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+const createTimeoutError = (message) => {
+  const error = new Error(`timeout: ${message}`);
+  error.timedOut = true;
+  return error;
+};
+
+// Project overrides win over the global config; 0 disables the limit.
+const resolveStepTimeoutMs = (project, stepName) => {
+  const perStep = project.stepTimeouts && project.stepTimeouts[stepName];
+  const seconds = perStep ?? project.stepTimeoutSeconds ?? config.STEP_TIMEOUT_SECONDS;
+  return seconds > 0 ? seconds * 1000 : 0;
+};
+
+const resolveDeployTimeoutMs = (project) => {
+  const seconds = project.deployTimeoutSeconds ?? config.DEPLOY_TIMEOUT_SECONDS;
+  return seconds > 0 ? seconds * 1000 : 0;
+};
+
+const abortedPromise = (signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
 const writeLog = async (projectId, deploymentId) => {
   const logPath = deploymentStore.getLogPath(projectId, deploymentId);
   await fsp.mkdir(path.dirname(logPath), { recursive: true });
@@ -73,13 +131,100 @@ const closeStream = (stream) => new Promise((resolve) => {
   stream.end(resolve);
 });
 
+// Repoints an environment's current/previous and its public deployPath at a release directory. With a signal, it
+// stops before the next link change once that signal aborts.
+const pointToRelease = async (projectId, environment, releasePath, safeDeployPath, signal) => {
+  const currentLink = projectStore.currentSymlink(projectId, environment);
+  const previousLink = projectStore.previousSymlink(projectId, environment);
+  let previousTarget = null;
+  try {
+    previousTarget = await fsp.readlink(currentLink);
+  } catch {
+    // ignore
+  }
+  if (previousTarget && path.resolve(previousTarget) !== path.resolve(releasePath)) {
+    signal?.throwIfAborted();
+    await fsp.rm(previousLink, { force: true }).catch(() => {});
+    await fsp.symlink(previousTarget, previousLink).catch(() => {});
+  }
+  signal?.throwIfAborted();
+  await fsp.rm(currentLink, { force: true }).catch(() => {});
+  await fsp.symlink(releasePath, currentLink);
+  signal?.throwIfAborted();
+  await fsp.mkdir(path.dirname(safeDeployPath), { recursive: true });
+  await removePath(safeDeployPath);
+  await fsp.symlink(releasePath, safeDeployPath);
+};
+
+// pm2 keeps the cwd a process was first started with, so replace the process rather than restarting it.
+const startRuntimeProcess = async (processName, releasePath, startCmd, options, logStream, dryRun) => {
+  await runCommand(config.PM2_BIN, ['delete', processName], { signal: options?.signal }, logStream, dryRun).catch(() => {});
+  await runCommand(config.PM2_BIN, [
+    'start',
+    'bash',
+    '--name',
+    processName,
+    '--cwd',
+    releasePath,
+    '--update-env',
+    '--',
+    '-lc',
+    startCmd
+  ], options, logStream, dryRun);
+};
+
+const resolveStartCommand = (project) => {
+  const isAdminProject = (project.ownerId || ADMIN_OWNER_ID) === ADMIN_OWNER_ID;
+  if (isAdminProject) return project.startCommand || null;
+  const template = project.templateId ? getTemplate(project.templateId) : null;
+  return template ? template.startCommand : null;
+};
+
+// The only variables a preview inherits from the API's own environment. Its commands and process run pull request
+// code, which must not see the API's keys and tokens; SECRETS_MASTER_KEY alone decrypts every stored secret.
+const PREVIEW_INHERITED_ENV = ['PATH', 'HOME', 'USER', 'LANG', 'TZ', 'TMPDIR', 'NODE_ENV', 'PM2_HOME'];
+
+const baseEnvFor = (environment) => {
+  if (!projectStore.isPreviewEnvironment(environment)) return process.env;
+  return Object.fromEntries(PREVIEW_INHERITED_ENV.filter((key) => process.env[key] !== undefined).map((key) => [key, process.env[key]]));
+};
+
+const toPersistedJob = ({ deploymentId, projectId, environment, dryRun, ref }) => ({
+  deploymentId,
+  projectId,
+  environment: environment || projectStore.DEFAULT_ENVIRONMENT,
+  dryRun: !!dryRun,
+  ref: ref || null
+});
+
+const environmentNotFound = (envName) => {
+  const error = new Error(`Environment "${envName}" not found`);
+  error.statusCode = 404;
+  return error;
+};
+
+let persistChain = Promise.resolve();
+// Writes are chained so an older snapshot can never land after a newer one.
+const persistQueue = () => {
+  const snapshot = {
+    queued: queue.map(toPersistedJob),
+    running: Array.from(running.values()).map(toPersistedJob)
+  };
+  persistChain = persistChain
+    .then(() => deploymentStore.saveQueueState(snapshot))
+    .catch((error) => console.error('[deployEngine] Failed to persist deployment queue', error));
+  return persistChain;
+};
+
 async function queueDeployment(projectId, options = {}) {
-  const project = await projectStore.getProject(projectId);
-  if (!project?.deployPath) {
-    throw new Error('Project missing deployPath');
+  const environment = options.environment || projectStore.DEFAULT_ENVIRONMENT;
+  const baseProject = await projectStore.getProject(projectId);
+  if (!baseProject) {
+    throw new Error('Project not found');
   }
+  const project = projectStore.resolveEnvironment(baseProject, environment);
   if (!project) {
-    throw new Error('Project not found');
+    throw environmentNotFound(environment);
   }
   if (!project.repo || !project.branch) {
     throw new Error('Project configuration incomplete (repo and branch required)');
@@ -96,41 +241,184 @@ async function queueDeployment(projectId, options = {}) {
     throw new Error('Project missing deployPath');
   }
   ensureDeployPathWithinRoot(project.deployPath);
+  if (resettingProjects.has(projectId)) {
+    const error = new Error('The repository is being reset. Try again when it finishes.');
+    error.statusCode = 409;
+    throw error;
+  }
+  if (removingProjects.has(projectId)) {
+    const error = new Error('The project is being deleted');
+    error.statusCode = 409;
+    throw error;
+  }
+  if (removingEnvironments.has(environmentKey(projectId, environment))) {
+    const error = new Error(`The ${environment} environment is being removed`);
+    error.statusCode = 409;
+    throw error;
+  }
   if (queue.length + active >= MAX_QUEUE_SIZE) {
     const error = new Error('Deployment queue is full. Try again later.');
     error.statusCode = 429;
     throw error;
   }
 
-  const deployment = await deploymentStore.createDeployment(projectId, { dryRun: !!options.dryRun });
-  queue.push({ deploymentId: deployment.deploymentId, projectId, dryRun: !!options.dryRun });
+  const recordFields = {
+    environment,
+    dryRun: !!options.dryRun,
+    trigger: options.trigger || 'manual',
+    actor: options.actor || null,
+    message: options.message || null,
+    ref: options.ref || null
+  };
+  if (options.webhook) {
+    recordFields.webhook = options.webhook;
+  }
+  if (options.retryOf) {
+    recordFields.retryOf = options.retryOf;
+  }
+  const deployment = await deploymentStore.createDeployment(projectId, recordFields);
+  const superseded = await supersedeQueuedJobs(projectId, environment, !!options.dryRun, deployment.deploymentId);
+  queue.push({ deploymentId: deployment.deploymentId, projectId, environment, dryRun: !!options.dryRun, ref: options.ref || null });
+  await persistQueue();
   processQueue();
-  return { deploymentId: deployment.deploymentId, status: 'queued', projectId };
+  return {
+    deploymentId: deployment.deploymentId,
+    status: 'queued',
+    projectId,
+    environment,
+    ...(superseded.length ? { superseded } : {})
+  };
+}
+
+// Only the newest queued deploy of an environment is worth building, so it replaces the older ones still waiting.
+// Other environments of the project, and dry runs versus real deploys, are left alone. Running jobs are never touched.
+async function supersedeQueuedJobs(projectId, environment, dryRun, supersededBy) {
+  const stale = queue.filter((job) => job.projectId === projectId
+    && (job.environment || projectStore.DEFAULT_ENVIRONMENT) === environment
+    && job.dryRun === dryRun);
+  const now = new Date().toISOString();
+  for (const job of stale) {
+    queue.splice(queue.indexOf(job), 1);
+    await deploymentStore.updateDeployment(job.deploymentId, {
+      status: 'superseded',
+      finishedAt: now,
+      supersededBy,
+      error: `Superseded by deployment ${supersededBy} before it started`
+    });
+  }
+  return stale.map((job) => job.deploymentId);
+}
+
+// A project's deployments share its clone, release symlinks and pm2 processes, so they never run side by side, nor
+// alongside a release switch.
+const isProjectBusy = (projectId) => switchingProjects.has(projectId)
+  || Array.from(running.values()).some((job) => job.projectId === projectId);
+
+// Starts queued jobs while workers are free, skipping those whose project already has a deployment running; they
+// keep their place and start once it finishes.
+function processQueue() {
+  while (active < MAX_CONCURRENT) {
+    const index = queue.findIndex((job) => !isProjectBusy(job.projectId)
+      && !removingProjects.has(job.projectId)
+      && !removingEnvironments.has(environmentKey(job.projectId, job.environment)));
+    if (index === -1) return;
+    const [job] = queue.splice(index, 1);
+    runJob(job);
+  }
 }
 
-async function processQueue() {
-  if (active >= MAX_CONCURRENT) return;
-  const job = queue.shift();
-  if (!job) return;
+async function runJob(job) {
   active += 1;
+  job.controller = new AbortController();
+  running.set(job.deploymentId, job);
+  persistQueue();
   try {
-    await runDeployment(job);
+    job.finished = runDeployment(job);
+    await job.finished;
   } finally {
+    running.delete(job.deploymentId);
+    persistQueue();
     active -= 1;
-    if (queue.length > 0) {
-      processQueue();
+    processQueue();
+  }
+}
+
+// git's wording for damaged objects or refs; network and auth failures must not throw the clone away.
+const CORRUPT_CLONE_PATTERN = /not a git repository|corrupt|bad object|broken link|unable to read|invalid object|bad index/i;
+
+async function cloneRepository(project, repoPath, invocation, options, logStream, dryRun) {
+  if (!dryRun) {
+    await removePath(repoPath);
+    await fsp.mkdir(path.dirname(repoPath), { recursive: true });
+  }
+  const { args, env } = invocation(['clone', '--branch', project.branch, gitRefs.repoUrlFor(project), repoPath]);
+  await runCommand('git', args, { ...options, env }, logStream, dryRun);
+}
+
+// A clone whose HEAD no longer resolves is as good as missing.
+async function isCloneUsable(repoPath, withRedaction, logStream, dryRun) {
+  if (!(await pathExists(path.join(repoPath, '.git')))) return false;
+  try {
+    await runCommand('git', ['rev-parse', '--verify', '--quiet', 'HEAD^{commit}'], withRedaction({ cwd: repoPath }), logStream, dryRun);
+    return true;
+  } catch (error) {
+    if (error.cancelled) throw error;
+    if (logStream) logStream.write('The local clone has no valid HEAD, cloning a fresh copy\n');
+    return false;
+  }
+}
+
+// Resolves a requested ref to a commit in the local clone, fetching a bare SHA directly when no branch contains it.
+async function resolveLocalRef(ref, git) {
+  const tryResolve = async () => {
+    for (const candidate of gitRefs.localRefCandidates(ref)) {
+      try {
+        const result = await git(['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`]);
+        return result.stdout.trim() || candidate;
+      } catch (error) {
+        if (error.cancelled) throw error;
+      }
     }
+    return null;
+  };
+  let target = await tryResolve();
+  if (!target && gitRefs.isCommitSha(ref)) {
+    await git(['fetch', 'origin', ref]).catch((error) => {
+      if (error.cancelled) throw error;
+    });
+    target = await tryResolve();
+  }
+  if (!target) {
+    throw new Error(`Ref ${ref} does not resolve to a commit in the repository`);
   }
+  return target;
 }
 
 async function runDeployment(job) {
-  const { deploymentId, projectId, dryRun } = job;
+  const { deploymentId, projectId, dryRun, ref } = job;
+  const environment = job.environment || projectStore.DEFAULT_ENVIRONMENT;
+  const signal = job.controller?.signal;
   const logStream = await writeLog(projectId, deploymentId);
   const startTime = new Date().toISOString();
   await deploymentStore.updateDeployment(deploymentId, { status: 'running', startedAt: startTime });
-  const project = await projectStore.getProject(projectId);
+  const project = projectStore.resolveEnvironment(await projectStore.getProject(projectId), environment);
+  if (!project) {
+    // The environment (or the whole project) was removed while the job was queued.
+    await deploymentStore.updateDeployment(deploymentId, {
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: `Environment "${environment}" no longer exists`
+    });
+    await closeStream(logStream);
+    return;
+  }
+  const runtimeName = projectStore.runtimeName(projectId, environment);
   const repoPath = path.resolve(projectStore.repoDir(projectId));
-  const releasesDir = path.resolve(projectStore.releasesDir(projectId));
+  // install, test and build run in a worktree of the synced commit; a dry run has none and inspects the clone.
+  const buildRoot = dryRun ? repoPath : buildWorkspace.workspaceDir(deploymentId);
+  // Monorepos: install, test and build run here, and buildOutput is resolved against it.
+  const workDir = ensureWithinBase(buildRoot, project.rootDirectory || '.', 'Root directory');
+  const releasesDir = path.resolve(projectStore.releasesDir(projectId, environment));
   const safeDeployPath = ensureDeployPathWithinRoot(project.deployPath);
   const isAdminProject = (project.ownerId || ADMIN_OWNER_ID) === ADMIN_OWNER_ID;
   const templateCommands = !isAdminProject && project.templateId ? getTemplate(project.templateId) : null;
@@ -143,12 +431,17 @@ async function runDeployment(job) {
   let secretKeys = [];
   try {
     const maps = buildEnvMaps(envEntries);
-    env = { ...process.env, ...maps.plainEnv, ...maps.secretEnv };
+    env = { ...baseEnvFor(environment), ...maps.plainEnv, ...maps.secretEnv };
     secretKeys = maps.secretKeys || [];
   } catch (error) {
     throw new Error(`Failed to decrypt secrets: ${error.message}`);
   }
-  const withRedaction = (opts = {}) => (secretKeys.length ? { ...opts, redactKeys: secretKeys } : opts);
+  // Points at the running step's signal, which aborts on cancel, step timeout or the deployment deadline.
+  let stepSignal = signal;
+  const withRedaction = (opts = {}) => {
+    const next = stepSignal ? { ...opts, signal: stepSignal } : opts;
+    return secretKeys.length ? { ...next, redactKeys: secretKeys } : next;
+  };
   const runtimeType = project.runtime || 'static';
   let runtimePort = null;
   if (runtimeType === 'node') {
@@ -170,45 +463,122 @@ async function runDeployment(job) {
   }
 
   const runStep = async (name, fn) => {
+    if (signal?.aborted) {
+      throw signal.reason || createCancelledError();
+    }
     const stepStart = new Date().toISOString();
     await deploymentStore.appendStep(deploymentId, name, { status: 'running', startedAt: stepStart });
+    const stepController = new AbortController();
+    const stepTimeoutMs = resolveStepTimeoutMs(project, name);
+    const stepTimer = stepTimeoutMs
+      ? setTimeout(() => {
+        stepController.abort(createTimeoutError(`step "${name}" exceeded ${stepTimeoutMs / 1000}s`));
+      }, stepTimeoutMs)
+      : null;
+    stepSignal = signal ? AbortSignal.any([signal, stepController.signal]) : stepController.signal;
+    const work = fn();
     try {
-      const result = await fn();
+      const result = await Promise.race([work, abortedPromise(stepSignal)]);
       await deploymentStore.appendStep(deploymentId, name, {
         status: 'success',
         finishedAt: new Date().toISOString()
       });
       return result;
-    } catch (error) {
-      await deploymentStore.appendStep(deploymentId, name, {
-        status: 'failed',
-        finishedAt: new Date().toISOString(),
-        error: error.message
-      });
+    } catch (caught) {
+      // An aborted step's work may still be running. It keeps the aborted signal until it settles, so nothing it
+      // starts meanwhile gets a live one, and the job (and with it the project lock) ends only after it.
+      await work.catch(() => {});
+      const error = stepSignal.aborted && stepSignal.reason ? stepSignal.reason : caught;
+      const stepUpdate = { finishedAt: new Date().toISOString() };
+      if (error.cancelled) {
+        stepUpdate.status = 'cancelled';
+        stepUpdate.error = 'Cancelled by user';
+      } else {
+        stepUpdate.status = 'failed';
+        stepUpdate.error = error.message;
+        if (error.timedOut) stepUpdate.timedOut = true;
+      }
+      await deploymentStore.appendStep(deploymentId, name, stepUpdate);
       throw error;
+    } finally {
+      if (stepTimer) clearTimeout(stepTimer);
+      stepSignal = signal;
     }
   };
 
   let commitHash = null;
   let releaseInfo = null;
+  let dependenciesInstalled = false;
+  let workspaceRemoved = dryRun;
+  // Runs right after the release copy and again on the way out; only the first call does anything.
+  const cleanupWorkspace = async () => {
+    if (workspaceRemoved) return;
+    workspaceRemoved = true;
+    try {
+      if (dependenciesInstalled) await buildWorkspace.saveDependencies(runtimeName, workDir);
+      await buildWorkspace.removeWorkspace(repoPath, deploymentId);
+    } catch (error) {
+      if (logStream) logStream.write(`Could not clean up the build workspace: ${error.message}\n`);
+    }
+  };
+  const deployTimeoutMs = resolveDeployTimeoutMs(project);
+  const deployTimer = deployTimeoutMs && job.controller
+    ? setTimeout(() => {
+      job.controller.abort(createTimeoutError(`deployment exceeded ${deployTimeoutMs / 1000}s`));
+    }, deployTimeoutMs)
+    : null;
   try {
     await runStep('sync', async () => {
-      const repoExists = await pathExists(path.join(repoPath, '.git'));
-      const repoUrl = project.repo.endsWith('.git') ? project.repo : `${project.repo}.git`;
-      if (!repoExists) {
-        const parent = path.dirname(repoPath);
-        if (!dryRun) {
-          await fsp.mkdir(parent, { recursive: true });
+      const strategy = project.syncStrategy || 'ff-only';
+      await gitCredentials.withGitAuth(project, async (invocation) => {
+        const git = (args) => {
+          const { args: gitArgs, env } = invocation(args);
+          return runCommand('git', gitArgs, withRedaction({ cwd: repoPath, env }), logStream, dryRun);
+        };
+        if (!(await isCloneUsable(repoPath, withRedaction, logStream, dryRun))) {
+          await cloneRepository(project, repoPath, invocation, withRedaction(), logStream, dryRun);
+        } else {
+          try {
+            // Imports used to make shallow single-branch clones, which hide older commits and other branches from
+            // ref deploys and the version picker.
+            if (await pathExists(path.join(repoPath, '.git', 'shallow'))) {
+              await git(['config', 'remote.origin.fetch', '+refs/heads/*:refs/remotes/origin/*']);
+              await git(['fetch', '--unshallow', 'origin']);
+            }
+            await git(['fetch', '--all', '--prune']);
+          } catch (error) {
+            if (error.cancelled || !CORRUPT_CLONE_PATTERN.test(error.stderr || '')) throw error;
+            logStream.write('The local clone looks corrupt, cloning a fresh copy\n');
+            await cloneRepository(project, repoPath, invocation, withRedaction(), logStream, dryRun);
+          }
+          if (!ref && strategy === 'reset') {
+            await git(['checkout', '--force', project.branch]);
+            await git(['reset', '--hard', `origin/${project.branch}`]);
+            await git(['clean', '-fdx']);
+          } else if (!ref) {
+            await git(['checkout', project.branch]);
+            await git(['pull', '--ff-only']).catch((error) => {
+              if (!error.cancelled) {
+                error.message = `${error.message}. If the branch was force-pushed, switch the project to the "reset" sync strategy or reset the clone.`;
+              }
+              throw error;
+            });
+          }
         }
-        await runCommand('git', ['clone', '--branch', project.branch, repoUrl, repoPath], withRedaction(), logStream, dryRun);
-      } else {
-        await runCommand('git', ['fetch', '--all', '--prune'], withRedaction({ cwd: repoPath }), logStream, dryRun);
-        await runCommand('git', ['checkout', project.branch], withRedaction({ cwd: repoPath }), logStream, dryRun);
-        await runCommand('git', ['pull', '--ff-only'], withRedaction({ cwd: repoPath }), logStream, dryRun);
-      }
+        if (ref) {
+          await git(['fetch', '--tags', '--force', 'origin']);
+          const target = await resolveLocalRef(ref, git);
+          await git(['checkout', ...(strategy === 'reset' ? ['--force'] : []), '--detach', target]);
+          if (strategy === 'reset') await git(['clean', '-fdx']);
+        }
+      });
       const result = await runCommand('git', ['rev-parse', 'HEAD'], withRedaction({ cwd: repoPath }), logStream, dryRun);
       commitHash = result.stdout.trim();
       await deploymentStore.updateDeployment(deploymentId, { commit: commitHash });
+      await buildWorkspace.createWorkspace(repoPath, deploymentId, commitHash || 'HEAD', withRedaction(), logStream, dryRun);
+      if (!dryRun && !(await pathExists(workDir))) {
+        throw new Error(`Root directory ${project.rootDirectory} does not exist at this commit`);
+      }
     });
 
     await runStep('install', async () => {
@@ -216,8 +586,8 @@ async function runDeployment(job) {
       if (isAdminProject) {
         installCmd = project.installCommand;
         if (!installCmd) {
-          const lockExists = await pathExists(path.join(repoPath, 'package-lock.json'));
-          const pkgExists = await pathExists(path.join(repoPath, 'package.json'));
+          const lockExists = await pathExists(path.join(workDir, 'package-lock.json'));
+          const pkgExists = await pathExists(path.join(workDir, 'package.json'));
           if (lockExists) installCmd = 'npm ci';
           else if (pkgExists) installCmd = 'npm install --production';
         }
@@ -225,7 +595,9 @@ async function runDeployment(job) {
         installCmd = templateCommands.installCommand || null;
       }
       if (installCmd) {
-        await runShellCommand(installCmd, withRedaction({ cwd: repoPath, env }), logStream, dryRun);
+        if (!dryRun) await buildWorkspace.restoreDependencies(runtimeName, workDir, logStream);
+        await runShellCommand(installCmd, withRedaction({ cwd: workDir, env }), logStream, dryRun);
+        dependenciesInstalled = true;
       } else if (logStream) {
         logStream.write('No install command defined, skipping\n');
       }
@@ -237,7 +609,7 @@ async function runDeployment(job) {
         if (logStream) logStream.write('No test command, skipping\n');
         return;
       }
-      await runShellCommand(testCmd, withRedaction({ cwd: repoPath, env }), logStream, dryRun);
+      await runShellCommand(testCmd, withRedaction({ cwd: workDir, env }), logStream, dryRun);
     });
 
     await runStep('build', async () => {
@@ -247,12 +619,12 @@ async function runDeployment(job) {
       if (!buildCmd) {
         throw new Error('Build command is not configured for this project/template');
       }
-      await runShellCommand(buildCmd, withRedaction({ cwd: repoPath, env }), logStream, dryRun);
+      await runShellCommand(buildCmd, withRedaction({ cwd: workDir, env }), logStream, dryRun);
     });
 
     releaseInfo = await runStep('release', async () => {
       const outputDir = project.buildOutputDir || project.buildOutput || config.DEFAULT_BUILD_OUTPUT;
-      const absOutput = ensureWithinBase(repoPath, outputDir, 'Build output path');
+      const absOutput = ensureWithinBase(workDir, outputDir, 'Build output path');
       if (!dryRun) {
         const exists = await pathExists(absOutput);
         if (!exists) throw new Error(`Build output directory not found: ${absOutput}`);
@@ -260,35 +632,32 @@ async function runDeployment(job) {
 
       const releaseName = `${Date.now()}-${(commitHash || 'latest').slice(0, 7)}`;
       const releasePath = path.join(releasesDir, releaseName);
+      let priorRelease = null;
       if (!dryRun) {
+        const priorTarget = await fsp.readlink(projectStore.currentSymlink(projectId, environment)).catch(() => null);
+        priorRelease = priorTarget ? path.basename(priorTarget) : null;
+        stepSignal.throwIfAborted();
         await fsp.mkdir(releasePath, { recursive: true });
         await fsp.cp(absOutput, releasePath, { recursive: true });
-      }
-
-      const currentLink = projectStore.currentSymlink(projectId);
-      const previousLink = projectStore.previousSymlink(projectId);
-      let previousTarget = null;
-      try {
-        previousTarget = await fsp.readlink(currentLink);
-      } catch {
-        // ignore
-      }
-      if (!dryRun) {
-        if (previousTarget) {
-          await fsp.rm(previousLink, { force: true }).catch(() => {});
-          await fsp.symlink(previousTarget, previousLink).catch(() => {});
+        if (stepSignal.aborted) {
+          // Timed out or cancelled during the copy: the release never becomes known, let alone live.
+          await removePath(releasePath);
+          stepSignal.throwIfAborted();
         }
-        await fsp.rm(currentLink, { force: true }).catch(() => {});
-        await fsp.symlink(releasePath, currentLink);
-        await fsp.mkdir(path.dirname(safeDeployPath), { recursive: true });
-        await removePath(safeDeployPath);
-        await fsp.symlink(releasePath, safeDeployPath);
+        await projectStore.recordRelease(projectId, releaseName, {
+          commit: commitHash,
+          deploymentId,
+          createdAt: new Date().toISOString()
+        }, environment);
+        await pointToRelease(projectId, environment, releasePath, safeDeployPath, stepSignal);
+        await deploymentStore.updateDeployment(deploymentId, { release: releaseName });
       }
-      return { releasePath };
+      return { releasePath, releaseName, priorRelease };
     });
+    await cleanupWorkspace();
 
     await runStep('nginx', async () => {
-      await nginxManager.writeConfig(projectId, {
+      await nginxManager.writeConfig(runtimeName, {
         runtime: runtimeType,
         domain: project.domain,
         deployPath: safeDeployPath,
@@ -305,71 +674,664 @@ async function runDeployment(job) {
       if (!startCmd) {
         throw new Error('startCommand required for node runtime');
       }
-      const currentLink = projectStore.currentSymlink(projectId);
+      const currentLink = projectStore.currentSymlink(projectId, environment);
       const currentRelease = dryRun ? releaseInfo.releasePath : await fsp.readlink(currentLink);
       const runtimeEnvVars = { ...env, PORT: runtimePort };
-      await runCommand(config.PM2_BIN, [
-        'start',
-        'bash',
-        '--name',
-        projectId,
-        '--cwd',
-        currentRelease,
-        '--update-env',
-        '--',
-        '-lc',
-        startCmd
-      ], withRedaction({ env: runtimeEnvVars }), logStream, dryRun);
+      await startRuntimeProcess(runtimeName, currentRelease, startCmd, withRedaction({ env: runtimeEnvVars }), logStream, dryRun);
     });
 
+    try {
+      await runStep('healthcheck', async () => {
+        if (!project.healthcheckPath) {
+          if (logStream) logStream.write('No health check configured, skipping\n');
+          return;
+        }
+        const target = healthcheck.resolveTarget(project, runtimePort);
+        const timeoutMs = (project.healthcheckTimeoutSeconds || config.HEALTHCHECK_TIMEOUT_SECONDS) * 1000;
+        const expectedStatus = project.healthcheckStatus || 200;
+        if (logStream) logStream.write(`Waiting up to ${timeoutMs / 1000}s for ${target.label} to return ${expectedStatus}\n`);
+        if (dryRun) return;
+        await healthcheck.waitForHealthy(target, { expectedStatus, timeoutMs, signal: stepSignal, logStream });
+      });
+    } catch (error) {
+      if (!error.cancelled) error.healthcheckFailed = true;
+      throw error;
+    }
+
+    // Retention problems should not turn a live release into a failed deployment.
+    if (!dryRun) {
+      try {
+        const pruned = await releaseRetention.pruneProjectReleases(project, { logStream });
+        if (pruned.removed.length) {
+          logStream.write(`Pruned ${pruned.removed.length} old release(s), freed ${pruned.bytesFreed} bytes\n`);
+        }
+      } catch (error) {
+        logStream.write(`Release pruning failed: ${error.message}\n`);
+      }
+    }
+
     const finishTime = new Date().toISOString();
     await deploymentStore.updateDeployment(deploymentId, { status: 'success', finishedAt: finishTime });
     const projectUpdate = { lastDeploy: finishTime, lastCommit: commitHash };
     if (project.runtimePort) {
       projectUpdate.runtimePort = project.runtimePort;
     }
-    await projectStore.updateProject(projectId, projectUpdate);
+    await projectStore.updateEnvironment(projectId, environment, projectUpdate);
+  } catch (error) {
+    if (error.cancelled) {
+      const cancelledAt = new Date().toISOString();
+      await deploymentStore.updateDeployment(deploymentId, {
+        status: 'cancelled',
+        finishedAt: cancelledAt,
+        cancelledAt,
+        error: 'Deployment cancelled'
+      });
+      if (logStream) logStream.write('Deployment cancelled\n');
+    } else {
+      const rollbackFields = error.healthcheckFailed
+        ? await restorePriorRelease(project, deploymentId, releaseInfo?.priorRelease, logStream)
+        : {};
+      await deploymentStore.updateDeployment(deploymentId, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        error: error.message,
+        ...(error.timedOut ? { timedOut: true } : {}),
+        ...rollbackFields
+      });
+      if (logStream) logStream.write(`Deployment failed: ${error.timedOut || error.healthcheckFailed ? error.message : (error.stack || error.message)}\n`);
+    }
+  } finally {
+    if (deployTimer) clearTimeout(deployTimer);
+    await cleanupWorkspace();
+    if (logStream) await closeStream(logStream);
+  }
+}
+
+const recordStep = async (deploymentId, name, fn) => {
+  await deploymentStore.appendStep(deploymentId, name, { status: 'running', startedAt: new Date().toISOString() });
+  try {
+    const result = await fn();
+    await deploymentStore.appendStep(deploymentId, name, { status: 'success', finishedAt: new Date().toISOString() });
+    return result;
+  } catch (error) {
+    await deploymentStore.appendStep(deploymentId, name, {
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+// Points an environment's symlinks, nginx and pm2 at an already-built release; shared by activation, rollback and
+// promotion. `project` is the environment-scoped view from projectStore.resolveEnvironment.
+async function restoreRelease(project, releasePath, deploymentId, logStream) {
+  const projectId = project.id;
+  const { environment } = project;
+  const runtimeName = projectStore.runtimeName(projectId, environment);
+  const runtimeType = project.runtime || 'static';
+  const runtimePort = project.runtimePort || project.port || null;
+  const safeDeployPath = ensureDeployPathWithinRoot(project.deployPath);
+
+  await recordStep(deploymentId, 'release', async () => {
+    if (logStream) logStream.write(`Pointing current and ${safeDeployPath} at ${releasePath}\n`);
+    await pointToRelease(projectId, environment, releasePath, safeDeployPath);
+  });
+
+  await recordStep(deploymentId, 'nginx', async () => {
+    await nginxManager.writeConfig(runtimeName, {
+      runtime: runtimeType,
+      domain: project.domain,
+      deployPath: safeDeployPath,
+      runtimePort
+    }, logStream);
+  });
+
+  await recordStep(deploymentId, 'runtime', async () => {
+    if (runtimeType !== 'node') {
+      if (logStream) logStream.write('Runtime not node, skipping pm2\n');
+      return;
+    }
+    const startCmd = resolveStartCommand(project);
+    if (!startCmd) {
+      throw new Error('startCommand required for node runtime');
+    }
+    if (!runtimePort) {
+      throw new Error('runtimePort is required for node runtime');
+    }
+    const maps = buildEnvMaps(Array.isArray(project.env) ? project.env : []);
+    const runtimeEnv = { ...baseEnvFor(environment), ...maps.plainEnv, ...maps.secretEnv, PORT: String(runtimePort) };
+    const options = maps.secretKeys.length ? { env: runtimeEnv, redactKeys: maps.secretKeys } : { env: runtimeEnv };
+    await startRuntimeProcess(runtimeName, releasePath, startCmd, options, logStream, false);
+  });
+}
+
+// Runs a release switch with the project marked busy, so deployments queued meanwhile wait for it and a second
+// switch is refused.
+async function withReleaseSwitch(projectId, fn) {
+  if (isProjectBusy(projectId) || removingProjects.has(projectId)) {
+    const error = new Error('The project has a deployment or release change in progress. Try again when it finishes.');
+    error.statusCode = 409;
+    throw error;
+  }
+  switchingProjects.add(projectId);
+  try {
+    return await fn();
+  } finally {
+    switchingProjects.delete(projectId);
+    processQueue();
+  }
+}
+
+// Unguarded: a deployment's automatic rollback calls it while its own job still holds the project.
+async function switchRelease(projectId, releaseName, options = {}) {
+  const environment = options.environment || projectStore.DEFAULT_ENVIRONMENT;
+  const baseProject = await projectStore.getProject(projectId);
+  if (!baseProject) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  const project = projectStore.resolveEnvironment(baseProject, environment);
+  if (!project) {
+    throw environmentNotFound(environment);
+  }
+  if (!project.deployPath) throw new Error('Project missing deployPath');
+  if (!releaseName || !projectStore.RELEASE_NAME_PATTERN.test(releaseName)) {
+    const error = new Error('Invalid release name');
+    error.statusCode = 400;
+    throw error;
+  }
+  const releasePath = path.join(path.resolve(projectStore.releasesDir(projectId, environment)), releaseName);
+  const stat = await fsp.stat(releasePath).catch(() => null);
+  if (!stat?.isDirectory()) {
+    const error = new Error('Release not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  const manifest = await projectStore.readReleaseManifest(projectId, environment);
+  const commit = manifest[releaseName]?.commit || null;
+  const kind = options.kind || 'activation';
+  const deployment = await deploymentStore.createDeployment(projectId, {
+    kind,
+    environment,
+    release: releaseName,
+    commit,
+    trigger: options.trigger || 'rollback',
+    actor: options.actor || null,
+    message: options.message || null,
+    ...(options.rollbackOf ? { rollbackOf: options.rollbackOf } : {}),
+    ...(options.promotedFrom ? { promotedFrom: options.promotedFrom } : {}),
+    status: 'running',
+    startedAt: new Date().toISOString()
+  });
+  const { deploymentId } = deployment;
+  const logStream = await writeLog(projectId, deploymentId);
+  const verb = { rollback: 'Rolling back', promotion: 'Promoting release' }[kind] || 'Activating release';
+  logStream.write(`${verb} ${releaseName}${environment !== projectStore.DEFAULT_ENVIRONMENT ? ` in ${environment}` : ''}\n`);
+  try {
+    await restoreRelease(project, releasePath, deploymentId, logStream);
+    const finishedAt = new Date().toISOString();
+    await deploymentStore.updateDeployment(deploymentId, { status: 'success', finishedAt });
+    await projectStore.updateEnvironment(projectId, environment, { lastDeploy: finishedAt, lastCommit: commit || project.lastCommit || null });
+    return { deploymentId, status: 'success', environment, release: releaseName, commit };
   } catch (error) {
     await deploymentStore.updateDeployment(deploymentId, {
       status: 'failed',
       finishedAt: new Date().toISOString(),
       error: error.message
     });
-    if (logStream) logStream.write(`Deployment failed: ${error.stack || error.message}\n`);
+    logStream.write(`Activation failed: ${error.stack || error.message}\n`);
+    error.deploymentId = deploymentId;
+    throw error;
   } finally {
-    if (logStream) await closeStream(logStream);
+    await closeStream(logStream);
   }
 }
 
-async function rollbackProject(projectId) {
-  const currentLink = projectStore.currentSymlink(projectId);
-  const previousLink = projectStore.previousSymlink(projectId);
-  let previousTarget = null;
+// Puts back the release that was live in the environment before a deployment whose health check failed.
+async function restorePriorRelease(project, deploymentId, priorRelease, logStream) {
+  if (!priorRelease) {
+    if (logStream) logStream.write('Health check failed and there is no previous release to restore\n');
+    return { autoRolledBack: false };
+  }
+  if (logStream) logStream.write(`Health check failed, rolling back to ${priorRelease}\n`);
   try {
-    previousTarget = await fsp.readlink(previousLink);
-  } catch {
+    const result = await switchRelease(project.id, priorRelease, {
+      environment: project.environment,
+      kind: 'rollback',
+      rollbackOf: deploymentId,
+      message: 'Automatic rollback after a failed health check'
+    });
+    if (logStream) logStream.write(`Restored ${priorRelease} (rollback ${result.deploymentId})\n`);
+    return { autoRolledBack: true, rollbackDeploymentId: result.deploymentId };
+  } catch (error) {
+    if (logStream) logStream.write(`Automatic rollback failed: ${error.message}\n`);
+    return { autoRolledBack: false, rollbackError: error.message, ...(error.deploymentId ? { rollbackDeploymentId: error.deploymentId } : {}) };
+  }
+}
+
+const activateRelease = (projectId, releaseName, options = {}) => withReleaseSwitch(projectId, () => switchRelease(projectId, releaseName, options));
+
+// Steps back to the release built before the current one, so repeated rollbacks keep walking back in history.
+const rollbackProject = (projectId, options = {}) => withReleaseSwitch(projectId, () => rollbackToPrevious(projectId, options));
+
+async function rollbackToPrevious(projectId, options = {}) {
+  const { environment } = options;
+  const releases = await projectStore.listReleases(projectId, { withSize: false, environment });
+  const currentIndex = releases.findIndex((release) => release.current);
+  const target = currentIndex !== -1
+    ? releases[currentIndex + 1]
+    : releases.find((release) => release.previous);
+  if (!target) {
     throw new Error('No previous release to roll back to');
   }
-  await fsp.rm(currentLink, { force: true }).catch(() => {});
-  await fsp.symlink(previousTarget, currentLink);
+  return switchRelease(projectId, target.name, { environment, kind: 'rollback', actor: options.actor, message: options.message });
+}
+
+// Ships a release that another environment already built, e.g. staging to production. The release directory is
+// copied as-is into the target environment, so what goes live is byte for byte what was tested; only the target's
+// runtime env vars, port and domain differ. Defaults to the source environment's current release.
+const promoteRelease = (projectId, options = {}) => withReleaseSwitch(projectId, () => copyAndActivate(projectId, options));
+
+async function copyAndActivate(projectId, options = {}) {
+  const { from, to } = options;
   const project = await projectStore.getProject(projectId);
-  if (!project) throw new Error('Project not found');
-  if (!project.deployPath) throw new Error('Project missing deployPath');
-  const safeDeployPath = ensureDeployPathWithinRoot(project.deployPath);
-  await removePath(safeDeployPath);
-  await fsp.symlink(previousTarget, safeDeployPath);
-  await nginxManager.writeConfig(projectId, {
-    runtime: project.runtime || 'static',
-    domain: project.domain,
-    deployPath: safeDeployPath,
-    runtimePort: project.runtimePort || project.port
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  for (const envName of [from, to]) {
+    if (!projectStore.resolveEnvironment(project, envName)) throw environmentNotFound(envName);
+  }
+  // A preview runs a pull request's code, so its releases must not go live elsewhere, nor others' land in it.
+  const preview = [from, to].find((envName) => projectStore.isPreviewEnvironment(envName));
+  if (preview) {
+    const error = new Error(`${preview} is a pull request preview; previews cannot be promoted from or to`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (from === to) {
+    const error = new Error('Source and target environments must differ');
+    error.statusCode = 400;
+    throw error;
+  }
+  const releases = await projectStore.listReleases(projectId, { withSize: false, environment: from });
+  const source = options.release
+    ? releases.find((release) => release.name === options.release)
+    : releases.find((release) => release.current);
+  if (!source) {
+    const error = new Error(options.release ? `Release ${options.release} not found in ${from}` : `${from} has no live release to promote`);
+    error.statusCode = 404;
+    throw error;
+  }
+  const targetPath = path.join(path.resolve(projectStore.releasesDir(projectId, to)), source.name);
+  // Promoting the same release twice reuses the copy made the first time.
+  if (!(await pathExists(targetPath))) {
+    // A leading dot keeps the half-copied directory out of listReleases.
+    const stagingPath = path.join(path.dirname(targetPath), `.${source.name}.promoting`);
+    await removePath(stagingPath);
+    await fsp.mkdir(path.dirname(targetPath), { recursive: true });
+    await fsp.cp(source.path, stagingPath, { recursive: true, verbatimSymlinks: true });
+    await fsp.rename(stagingPath, targetPath);
+  }
+  const promotedFrom = { environment: from, release: source.name, deploymentId: source.deploymentId };
+  await projectStore.recordRelease(projectId, source.name, {
+    commit: source.commit,
+    deploymentId: source.deploymentId,
+    createdAt: new Date().toISOString(),
+    promotedFrom
+  }, to);
+  return switchRelease(projectId, source.name, {
+    environment: to,
+    kind: 'promotion',
+    trigger: 'promotion',
+    promotedFrom,
+    actor: options.actor,
+    message: options.message
   });
-  if ((project.runtime || 'static') === 'node' && project.startCommand) {
-    await runCommand(config.PM2_BIN, ['restart', projectId], {}, null, false);
+}
+
+// Replaces the project's clone with a fresh one. Refused while a deployment for the project is queued or running.
+async function resetRepository(projectId) {
+  const project = await projectStore.getProject(projectId);
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  if (resettingProjects.has(projectId) || removingProjects.has(projectId) || isProjectBusy(projectId) || queue.some((job) => job.projectId === projectId)) {
+    const error = new Error('The project has a deployment or reset in progress. Try again when it finishes.');
+    error.statusCode = 409;
+    throw error;
+  }
+  resettingProjects.add(projectId);
+  const repoPath = path.resolve(projectStore.repoDir(projectId));
+  const timeoutMs = resolveStepTimeoutMs(project, 'sync');
+  try {
+    const options = timeoutMs ? { signal: AbortSignal.timeout(timeoutMs) } : {};
+    await gitCredentials.withGitAuth(project, (invocation) => cloneRepository(project, repoPath, invocation, options, null, false));
+    const { stdout } = await runCommand('git', ['rev-parse', 'HEAD'], { cwd: repoPath });
+    return { projectId, branch: project.branch, commit: stdout.trim() };
+  } catch (error) {
+    const reason = error.cancelled ? `no result within ${timeoutMs / 1000}s` : (error.stderr || error.message).trim().split('\n')[0];
+    const wrapped = new Error(`Could not clone the repository: ${reason}`);
+    wrapped.statusCode = 502;
+    throw wrapped;
+  } finally {
+    resettingProjects.delete(projectId);
   }
 }
 
+async function pruneAllReleases(options = {}) {
+  return releaseRetention.pruneAllProjects({ dryRun: !!options.dryRun, isBusy: isProjectBusy });
+}
+
+async function cancelDeployment(deploymentId) {
+  const queuedIndex = queue.findIndex((job) => job.deploymentId === deploymentId);
+  if (queuedIndex !== -1) {
+    queue.splice(queuedIndex, 1);
+    await persistQueue();
+    const now = new Date().toISOString();
+    await deploymentStore.updateDeployment(deploymentId, {
+      status: 'cancelled',
+      finishedAt: now,
+      cancelledAt: now,
+      error: 'Deployment cancelled before it started'
+    });
+    return { deploymentId, status: 'cancelled' };
+  }
+  const job = running.get(deploymentId);
+  if (job) {
+    job.controller.abort(createCancelledError());
+    return { deploymentId, status: 'cancelling' };
+  }
+  const error = new Error('Deployment is not queued or running');
+  error.statusCode = 409;
+  throw error;
+}
+
+// Stops an environment's pm2 process, removes its nginx site and unlinks its deployPath; releases stay on disk.
+async function teardownEnvironmentRuntime(project, record, dryRun) {
+  const runtimeName = projectStore.runtimeName(project.id, project.environment);
+  if ((project.runtime || 'static') === 'node' || project.runtimePort) {
+    for (const verb of ['stop', 'delete']) {
+      try {
+        await runCommand(config.PM2_BIN, [verb, runtimeName], {}, null, dryRun);
+        record(`pm2 ${verb}`, runtimeName);
+      } catch (error) {
+        record(`pm2 ${verb}`, runtimeName, 'skipped', error.message);
+      }
+    }
+  }
+
+  try {
+    const removed = await nginxManager.removeConfig(runtimeName, null, dryRun);
+    record('nginx', `deployer-${runtimeName}.conf`, removed ? undefined : 'skipped', removed ? undefined : 'No site config found');
+  } catch (error) {
+    record('nginx', `deployer-${runtimeName}.conf`, 'failed', error.message);
+  }
+
+  if (project.deployPath) {
+    const safeDeployPath = ensureDeployPathWithinRoot(project.deployPath);
+    const stat = await fsp.lstat(safeDeployPath).catch(() => null);
+    if (stat?.isSymbolicLink()) {
+      if (!dryRun) {
+        await fsp.unlink(safeDeployPath);
+      }
+      record('unlink deployPath', safeDeployPath);
+    } else if (stat) {
+      record('unlink deployPath', safeDeployPath, 'skipped', 'Not a symlink; left in place');
+    }
+  }
+}
+
+// Removes one non-default environment: its runtime, site, releases and settings. Deployment records are kept so the
+// project history stays complete.
+async function removeEnvironment(projectId, envName, options = {}) {
+  const dryRun = !!options.dryRun;
+  const project = projectStore.resolveEnvironment(await projectStore.getProject(projectId), envName);
+  if (!project) {
+    throw environmentNotFound(envName);
+  }
+  if (projectStore.isDefaultEnvironment(envName)) {
+    const error = new Error(`The ${projectStore.DEFAULT_ENVIRONMENT} environment cannot be removed; delete the project instead`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const inEnvironment = (job) => job.projectId === projectId && job.environment === envName;
+  const runningJobs = Array.from(running.values()).filter(inEnvironment);
+  if (runningJobs.length > 0 && !options.cancelRunning) {
+    const error = new Error('A deployment of this environment is running. Wait for it to finish before removing it.');
+    error.statusCode = 409;
+    throw error;
+  }
+  const key = environmentKey(projectId, envName);
+  if (removingEnvironments.has(key)) {
+    const error = new Error(`The ${envName} environment is already being removed`);
+    error.statusCode = 409;
+    throw error;
+  }
+  const actions = [];
+  const record = (action, target, status, detail) => {
+    actions.push({ action, target, status: status || (dryRun ? 'planned' : 'done'), ...(detail ? { detail } : {}) });
+  };
+  if (!dryRun) removingEnvironments.add(key);
+  try {
+    // Queued jobs go first so that none of them starts while a running one is being cancelled.
+    const queuedJobs = queue.filter(inEnvironment);
+    if (!dryRun) {
+      for (const job of queuedJobs) {
+        queue.splice(queue.indexOf(job), 1);
+      }
+      const now = new Date().toISOString();
+      for (const job of queuedJobs) {
+        await deploymentStore.updateDeployment(job.deploymentId, {
+          status: 'cancelled',
+          finishedAt: now,
+          error: 'Environment removed before the deployment started'
+        });
+      }
+      await persistQueue();
+    }
+    record('dequeue', `${queuedJobs.length} queued deployment(s)`);
+    // Closing a pull request must not wait for its preview build, so the caller may ask for running jobs to be
+    // cancelled; teardown starts once they have settled.
+    for (const job of runningJobs) {
+      if (!dryRun) {
+        job.controller.abort(createCancelledError());
+        await job.finished?.catch(() => {});
+      }
+      record('cancel', job.deploymentId);
+    }
+    await teardownEnvironmentRuntime(project, record, dryRun);
+    const runtimeName = projectStore.runtimeName(projectId, envName);
+    if (!dryRun) {
+      await buildWorkspace.removeDependencyCache(runtimeName);
+    }
+    record('delete dependency cache', buildWorkspace.dependencyCacheDir(runtimeName));
+    const environmentDir = projectStore.environmentRoot(projectId, envName);
+    if (!dryRun) {
+      await projectStore.removeEnvironment(projectId, envName);
+    }
+    record('delete environment dir', environmentDir);
+    return { projectId, environment: envName, dryRun, actions };
+  } finally {
+    if (!dryRun) {
+      removingEnvironments.delete(key);
+      // Jobs that slipped into the queue meanwhile fail at start, now that the environment is gone.
+      processQueue();
+    }
+  }
+}
+
+async function teardownProject(projectId, options = {}) {
+  const dryRun = !!options.dryRun;
+  const archive = !!options.archive;
+  const keepReleases = !!options.keepReleases;
+  const project = await projectStore.getProject(projectId);
+  if (!project) {
+    const error = new Error('Project not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  const isRunning = Array.from(running.values()).some((job) => job.projectId === projectId);
+  if (isRunning) {
+    const error = new Error('A deployment of this project is running. Wait for it to finish before deleting.');
+    error.statusCode = 409;
+    throw error;
+  }
+  if (removingProjects.has(projectId)) {
+    const error = new Error('The project is already being deleted');
+    error.statusCode = 409;
+    throw error;
+  }
+  // Blocks new deploys while the runtime, records and directories go, so none starts cloning into a doomed project.
+  if (!dryRun) removingProjects.add(projectId);
+  try {
+    const actions = [];
+    const record = (action, target, status, detail) => {
+      actions.push({ action, target, status: status || (dryRun ? 'planned' : 'done'), ...(detail ? { detail } : {}) });
+    };
+
+    const queuedJobs = queue.filter((job) => job.projectId === projectId);
+    if (!dryRun) {
+      for (const job of queuedJobs) {
+        queue.splice(queue.indexOf(job), 1);
+      }
+      await persistQueue();
+    }
+    record('dequeue', `${queuedJobs.length} queued deployment(s)`);
+
+    for (const envName of projectStore.listEnvironmentNames(project)) {
+      await teardownEnvironmentRuntime(projectStore.resolveEnvironment(project, envName), record, dryRun);
+    }
+
+    const purged = await deploymentStore.purgeProject(projectId, { dryRun });
+    record('purge deployment index', `${purged.length} deployment(s)`);
+
+    for (const envName of projectStore.listEnvironmentNames(project)) {
+      const runtimeName = projectStore.runtimeName(projectId, envName);
+      if (!dryRun) {
+        await buildWorkspace.removeDependencyCache(runtimeName);
+      }
+      record('delete dependency cache', buildWorkspace.dependencyCacheDir(runtimeName));
+    }
+
+    const projectDir = projectStore.projectRoot(projectId);
+    const logsDir = path.join(config.LOGS_DIR, projectId);
+    const archiveDir = archive || keepReleases
+      ? path.join(config.ARCHIVE_DIR, `${projectId}-${Date.now()}`)
+      : null;
+    if (archive) {
+      if (!dryRun) {
+        if (await pathExists(projectDir)) await movePath(projectDir, path.join(archiveDir, 'project'));
+        if (await pathExists(logsDir)) await movePath(logsDir, path.join(archiveDir, 'logs'));
+      }
+      record('archive project', archiveDir);
+    } else {
+      if (keepReleases) {
+        for (const envName of projectStore.listEnvironmentNames(project)) {
+          const releasesDir = projectStore.releasesDir(projectId, envName);
+          const keptPath = path.join(archiveDir, projectStore.isDefaultEnvironment(envName) ? 'releases' : `releases-${envName}`);
+          if (!dryRun && await pathExists(releasesDir)) {
+            await movePath(releasesDir, keptPath);
+          }
+          record('keep releases', keptPath);
+        }
+      }
+      if (!dryRun) {
+        await fsp.rm(projectDir, { recursive: true, force: true });
+        await fsp.rm(logsDir, { recursive: true, force: true });
+      }
+      record('delete project dir', projectDir);
+      record('delete logs', logsDir);
+    }
+
+    return { projectId, dryRun, archivedTo: archiveDir, actions };
+  } finally {
+    if (!dryRun) {
+      removingProjects.delete(projectId);
+      processQueue();
+    }
+  }
+}
+
+async function initialize() {
+  const state = await deploymentStore.loadQueueState();
+  const now = new Date().toISOString();
+  const interrupted = [];
+  for (const job of state.running) {
+    const record = await deploymentStore.getDeployment(job.deploymentId);
+    if (!record || !['running', 'queued'].includes(record.status)) continue;
+    const steps = { ...(record.steps || {}) };
+    for (const [name, step] of Object.entries(steps)) {
+      if (step?.status === 'running') {
+        steps[name] = { ...step, status: 'interrupted', finishedAt: now };
+      }
+    }
+    await deploymentStore.updateDeployment(job.deploymentId, {
+      status: 'interrupted',
+      finishedAt: now,
+      steps,
+      error: 'Deployment interrupted by an API restart'
+    });
+    await fsp.mkdir(path.dirname(record.logPath), { recursive: true });
+    await fsp.appendFile(record.logPath, `\n[${now}] Deployment interrupted: the API restarted while this job was running.\n`).catch(() => {});
+    interrupted.push({ ...job, trigger: record.trigger, actor: record.actor, message: record.message });
+  }
+
+  // Nothing runs yet, so every workspace left in BUILD_DIR belongs to an interrupted deployment.
+  const prunedWorkspaces = await buildWorkspace.pruneWorkspaces();
+  if (prunedWorkspaces.length) {
+    console.log(`[deployEngine] Removed ${prunedWorkspaces.length} stale build workspace(s)`);
+  }
+
+  let requeued = 0;
+  for (const job of state.queued) {
+    const record = await deploymentStore.getDeployment(job.deploymentId);
+    if (!record || record.status !== 'queued') continue;
+    if (queue.some((item) => item.deploymentId === job.deploymentId)) continue;
+    queue.push(toPersistedJob(job));
+    requeued += 1;
+  }
+  await persistQueue();
+
+  const retried = [];
+  if (config.RETRY_INTERRUPTED_DEPLOYS) {
+    for (const job of interrupted) {
+      try {
+        const result = await queueDeployment(job.projectId, {
+          environment: job.environment,
+          dryRun: job.dryRun,
+          retryOf: job.deploymentId,
+          ref: job.ref,
+          trigger: job.trigger,
+          actor: job.actor,
+          message: job.message
+        });
+        retried.push(result.deploymentId);
+      } catch (error) {
+        console.error(`[deployEngine] Could not retry interrupted deployment ${job.deploymentId}: ${error.message}`);
+      }
+    }
+  }
+
+  processQueue();
+  return { requeued, interrupted: interrupted.length, retried: retried.length };
+}
+
 module.exports = {
+  DEPLOY_STEPS,
+  initialize,
   queueDeployment,
-  rollbackProject
+  rollbackProject,
+  activateRelease,
+  promoteRelease,
+  removeEnvironment,
+  pruneAllReleases,
+  cancelDeployment,
+  resetRepository,
+  teardownProject
 };
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { runCommand } = require('./command');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const projectStore = require('./projectStore');
+
+const KEY_TYPE = 'ed25519';
+
+const encryptedKeyPath = (projectId) => path.join(projectStore.sshDir(projectId), `id_${KEY_TYPE}.enc`);
+const knownHostsPath = (projectId) => path.join(projectStore.sshDir(projectId), 'known_hosts');
+
+// GIT_SSH_COMMAND is run through the shell, so every path is single-quoted.
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+// Same format as `ssh-keygen -l -E sha256`, which is what GitHub and GitLab show next to a deploy key.
+const fingerprintOf = (publicKey) => {
+  const blob = Buffer.from(publicKey.split(' ')[1] || '', 'base64');
+  return `SHA256:${crypto.createHash('sha256').update(blob).digest('base64').replace(/=+$/, '')}`;
+};
+
+// ssh-keygen can only write the private key to a file, so it runs in a private temp directory that is removed right away.
+// Returns the public half, which callers store on the project.
+async function generateDeployKey(projectId) {
+  const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'deployer-key-'));
+  try {
+    const keyPath = path.join(workDir, 'key');
+    await runCommand('ssh-keygen', ['-q', '-t', KEY_TYPE, '-N', '', '-C', `deployer@${projectId}`, '-f', keyPath]);
+    const [privateKey, publicKey] = await Promise.all([
+      fsp.readFile(keyPath, 'utf8'),
+      fsp.readFile(`${keyPath}.pub`, 'utf8')
+    ]);
+    await fsp.mkdir(projectStore.sshDir(projectId), { recursive: true, mode: 0o700 });
+    const target = encryptedKeyPath(projectId);
+    await fsp.writeFile(`${target}.tmp`, encryptSecret(privateKey), { mode: 0o600 });
+    await fsp.rename(`${target}.tmp`, target);
+    return {
+      type: KEY_TYPE,
+      publicKey: publicKey.trim(),
+      fingerprint: fingerprintOf(publicKey.trim()),
+      createdAt: new Date().toISOString()
+    };
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+const sshCommandFor = (keyPath, hostsPath) => [
+  'ssh',
+  '-i', shellQuote(keyPath),
+  '-o', 'IdentitiesOnly=yes',
+  '-o', `UserKnownHostsFile=${shellQuote(hostsPath)}`,
+  // Trust on first use: the first connection records the host key, later changes fail the command.
+  '-o', 'StrictHostKeyChecking=accept-new',
+  '-o', 'BatchMode=yes'
+].join(' ');
+
+// ssh only reads keys from files, so the decrypted key lives in a 0600 file for as long as `fn` runs.
+// `fn` gets the GIT_SSH_COMMAND to use, or null when the project has no deploy key.
+async function withDeployKey(projectId, fn) {
+  let encrypted;
+  try {
+    encrypted = await fsp.readFile(encryptedKeyPath(projectId), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return fn(null);
+    throw error;
+  }
+  let privateKey;
+  try {
+    privateKey = decryptSecret(encrypted);
+  } catch (error) {
+    throw new Error(`Could not decrypt the deploy key: ${error.message}`);
+  }
+  const keyPath = path.join(projectStore.sshDir(projectId), `.key-${crypto.randomBytes(6).toString('hex')}`);
+  await fsp.writeFile(keyPath, privateKey, { mode: 0o600 });
+  try {
+    return await fn(sshCommandFor(keyPath, knownHostsPath(projectId)));
+  } finally {
+    await fsp.rm(keyPath, { force: true });
+  }
+}
+
+module.exports = {
+  KEY_TYPE,
+  knownHostsPath,
+  generateDeployKey,
+  withDeployKey
+};
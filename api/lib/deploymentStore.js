@@ -1,10 +1,26 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const config = require('./config');
 const projectStore = require('./projectStore');
 
 const INDEX_PATH = path.join(config.PROJECTS_DIR, '.deployments-index.json');
+const QUEUE_PATH = path.join(config.PROJECTS_DIR, '.deployments-queue.json');
+
+const FINAL_STATUSES = new Set(['success', 'failed', 'cancelled', 'interrupted', 'superseded']);
+const TRIGGER_TYPES = ['manual', 'webhook', 'api-token', 'schedule', 'rollback', 'promotion'];
+
+// Emits `step` (deploymentId, stepName, step) and `status` (record) so live log streams can follow a deployment.
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Readers poll these files while a deployment is running, so never expose a half-written file.
+async function writeJsonAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.rename(tempPath, filePath);
+}
 
 async function loadIndex() {
   try {
@@ -16,7 +32,24 @@ async function loadIndex() {
 }
 
 async function saveIndex(index) {
-  await fs.writeFile(INDEX_PATH, JSON.stringify(index, null, 2));
+  await writeJsonAtomic(INDEX_PATH, index);
+}
+
+async function loadQueueState() {
+  try {
+    const raw = await fs.readFile(QUEUE_PATH, 'utf8');
+    const parsed = JSON.parse(raw);
+    return {
+      queued: Array.isArray(parsed?.queued) ? parsed.queued : [],
+      running: Array.isArray(parsed?.running) ? parsed.running : []
+    };
+  } catch {
+    return { queued: [], running: [] };
+  }
+}
+
+async function saveQueueState(state) {
+  await writeJsonAtomic(QUEUE_PATH, { ...state, updatedAt: new Date().toISOString() });
 }
 
 async function createDeployment(projectId, payload = {}) {
@@ -36,7 +69,7 @@ async function createDeployment(projectId, payload = {}) {
   };
   const dir = projectStore.deploymentsDir(projectId);
   await fs.mkdir(dir, { recursive: true });
-  await fs.writeFile(getMetaPath(projectId, deploymentId), JSON.stringify(baseRecord, null, 2));
+  await writeJsonAtomic(getMetaPath(projectId, deploymentId), baseRecord);
   const index = await loadIndex();
   index[deploymentId] = { projectId };
   await saveIndex(index);
@@ -68,7 +101,10 @@ async function updateDeployment(deploymentId, updates) {
   if (updates.steps) {
     updated.steps = { ...(record.steps || {}), ...updates.steps };
   }
-  await fs.writeFile(getMetaPath(record.projectId, deploymentId), JSON.stringify(updated, null, 2));
+  await writeJsonAtomic(getMetaPath(record.projectId, deploymentId), updated);
+  if (updated.status !== record.status) {
+    events.emit('status', updated);
+  }
   return updated;
 }
 
@@ -81,10 +117,24 @@ async function appendStep(deploymentId, stepName, data) {
     ...steps,
     [stepName]: { ...existing, ...data }
   };
-  return updateDeployment(deploymentId, { steps: nextSteps });
+  const updated = await updateDeployment(deploymentId, { steps: nextSteps });
+  if (updated) {
+    events.emit('step', deploymentId, stepName, updated.steps[stepName]);
+  }
+  return updated;
 }
 
-async function listDeployments(projectId, limit = 10) {
+// `actor` matches a user id or username; `message` is a case-insensitive substring match. Records written before
+// environments existed belong to the default environment.
+const matchesFilters = (record, { trigger, actor, message, environment } = {}) => {
+  if (trigger && record.trigger !== trigger) return false;
+  if (environment && (record.environment || projectStore.DEFAULT_ENVIRONMENT) !== environment) return false;
+  if (actor && record.actor?.id !== actor && record.actor?.username?.toLowerCase() !== actor.toLowerCase()) return false;
+  if (message && !String(record.message || '').toLowerCase().includes(message.toLowerCase())) return false;
+  return true;
+};
+
+async function listDeployments(projectId, limit = 10, filters = {}) {
   const dir = projectStore.deploymentsDir(projectId);
   const files = await fs.readdir(dir).catch(() => []);
   const records = [];
@@ -92,7 +142,8 @@ async function listDeployments(projectId, limit = 10) {
     if (!file.endsWith('.json')) continue;
     try {
       const raw = await fs.readFile(path.join(dir, file), 'utf8');
-      records.push(JSON.parse(raw));
+      const record = JSON.parse(raw);
+      if (matchesFilters(record, filters)) records.push(record);
     } catch {
       // ignore
     }
@@ -105,11 +156,32 @@ async function listDeployments(projectId, limit = 10) {
   return records.slice(0, limit);
 }
 
+async function purgeProject(projectId, { dryRun = false } = {}) {
+  const index = await loadIndex();
+  const removed = [];
+  for (const [deploymentId, info] of Object.entries(index)) {
+    if (info?.projectId === projectId) {
+      removed.push(deploymentId);
+      delete index[deploymentId];
+    }
+  }
+  if (removed.length && !dryRun) {
+    await saveIndex(index);
+  }
+  return removed;
+}
+
 module.exports = {
+  FINAL_STATUSES,
+  TRIGGER_TYPES,
+  events,
   createDeployment,
   getDeployment,
   updateDeployment,
   appendStep,
   listDeployments,
+  purgeProject,
+  loadQueueState,
+  saveQueueState,
   getLogPath
 };
@@ -0,0 +1,71 @@
+const config = require('./config');
+const { decryptSecret } = require('./secrets');
+const { hostOf, isSshUrl } = require('./gitRemotes');
+const deployKeys = require('./deployKeys');
+
+// What each host expects as the username when the password is an access token; anything else accepts any name.
+const TOKEN_USERNAMES = {
+  'github.com': 'x-access-token',
+  'gitlab.com': 'oauth2',
+  'bitbucket.org': 'x-token-auth'
+};
+const FALLBACK_USERNAME = 'git';
+const ADMIN_OWNER_ID = 'admin';
+
+// git runs this through the shell with "get", "store" or "erase". It only echoes two environment variables, so the
+// token never shows up in argv (and therefore `ps`) or in the deploy log, which prints the command line.
+const CREDENTIAL_HELPER = '!f() { test "$1" = get || exit 0; echo "username=${DEPLOYER_GIT_USERNAME}"; echo "password=${DEPLOYER_GIT_PASSWORD}"; }; f';
+
+const defaultUsernameFor = (repoUrl) => TOKEN_USERNAMES[hostOf(repoUrl)] || FALLBACK_USERNAME;
+
+// A project's own token wins; the global GITHUB_TOKEN only covers admin-owned github.com projects without one, so
+// self-registered users cannot reach private repositories through the operator's token.
+function credentialsFor(project) {
+  if (project?.repoAuth?.encryptedToken) {
+    let token;
+    try {
+      token = decryptSecret(project.repoAuth.encryptedToken);
+    } catch (error) {
+      throw new Error(`Could not decrypt the repository token: ${error.message}`);
+    }
+    return { username: project.repoAuth.username || defaultUsernameFor(project.repo), token };
+  }
+  if (config.GITHUB_TOKEN && hostOf(project?.repo) === 'github.com' && (project.ownerId || ADMIN_OWNER_ID) === ADMIN_OWNER_ID) {
+    return { username: TOKEN_USERNAMES['github.com'], token: config.GITHUB_TOKEN };
+  }
+  return null;
+}
+
+// Returns the argv and environment for a git command. Configured helpers are reset first so a global
+// `credential.helper=store` cannot write the token to disk.
+function withCredentials(args, credentials) {
+  const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+  if (!credentials) {
+    return { args, env };
+  }
+  return {
+    args: ['-c', 'credential.helper=', '-c', `credential.helper=${CREDENTIAL_HELPER}`, ...args],
+    env: { ...env, DEPLOYER_GIT_USERNAME: credentials.username, DEPLOYER_GIT_PASSWORD: credentials.token }
+  };
+}
+
+// Runs `fn` with a function that maps git arguments to `{ args, env }` for this project: SSH remotes go through the
+// project's deploy key, HTTPS remotes through its access token. `credentials` overrides the stored token, e.g. during
+// an import, before anything is saved.
+async function withGitAuth(project, fn, { credentials } = {}) {
+  if (isSshUrl(project.repo)) {
+    return deployKeys.withDeployKey(project.id, (sshCommand) => fn((args) => {
+      const invocation = withCredentials(args, null);
+      return sshCommand ? { args: invocation.args, env: { ...invocation.env, GIT_SSH_COMMAND: sshCommand } } : invocation;
+    }));
+  }
+  const resolved = credentials !== undefined ? credentials : credentialsFor(project);
+  return fn((args) => withCredentials(args, resolved));
+}
+
+module.exports = {
+  defaultUsernameFor,
+  credentialsFor,
+  withCredentials,
+  withGitAuth
+};
@@ -0,0 +1,102 @@
+const path = require('path');
+const fsp = require('fs').promises;
+const { runCommand } = require('./command');
+const { withGitAuth } = require('./gitCredentials');
+
+const REMOTE_TIMEOUT_MS = 15000;
+const MAX_REF_LENGTH = 200;
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{7,40}$/i;
+const REF_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]*$/;
+const FIELD_SEPARATOR = '\x1f';
+
+// Never let git block on an interactive credential prompt inside the API process.
+const gitEnv = () => ({ ...process.env, GIT_TERMINAL_PROMPT: '0' });
+
+const repoUrlFor = (project) => (project.repo.endsWith('.git') ? project.repo : `${project.repo}.git`);
+
+const isCommitSha = (ref) => COMMIT_SHA_PATTERN.test(ref);
+
+// Stricter than git-check-ref-format: refs end up as command arguments, so option-like or odd names are refused.
+const isValidRef = (ref) => typeof ref === 'string'
+  && ref.length <= MAX_REF_LENGTH
+  && REF_PATTERN.test(ref)
+  && !ref.includes('..')
+  && !ref.includes('//')
+  && !ref.endsWith('/')
+  && !ref.endsWith('.lock');
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Confirms a branch or tag exists on the remote. Commit SHAs cannot be looked up there, so they are checked after fetching.
+async function resolveRemoteRef(project, ref) {
+  let stdout;
+  try {
+    ({ stdout } = await withGitAuth(project, (invocation) => {
+      const { args, env } = invocation(['ls-remote', '--heads', '--tags', repoUrlFor(project), ref, `${ref}^{}`]);
+      return runCommand('git', args, { env, signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS) });
+    }));
+  } catch (error) {
+    const reason = error.cancelled
+      ? `no answer within ${REMOTE_TIMEOUT_MS / 1000}s`
+      : (error.stderr || error.message).trim().split('\n')[0];
+    throw createHttpError(`Could not reach the repository: ${reason}`, 502);
+  }
+  const refs = new Map(stdout.split('\n').filter(Boolean).map((line) => {
+    const [sha, name] = line.split('\t');
+    return [name, sha];
+  }));
+  if (refs.has(`refs/heads/${ref}`)) {
+    return { type: 'branch', name: ref, sha: refs.get(`refs/heads/${ref}`) };
+  }
+  if (refs.has(`refs/tags/${ref}`)) {
+    return { type: 'tag', name: ref, sha: refs.get(`refs/tags/${ref}^{}`) || refs.get(`refs/tags/${ref}`) };
+  }
+  if (isCommitSha(ref)) {
+    return { type: 'commit', name: ref, sha: null };
+  }
+  throw createHttpError(`No branch or tag named "${ref}" exists on the remote`, 400);
+}
+
+// Order matters: a branch of the same name wins over a tag, and bare names are only trusted when they look like a SHA.
+const localRefCandidates = (ref) => [
+  `refs/remotes/origin/${ref}`,
+  `refs/tags/${ref}`,
+  ...(isCommitSha(ref) ? [ref] : [])
+];
+
+const splitLines = (stdout) => stdout.split('\n').filter(Boolean).map((line) => line.split(FIELD_SEPARATOR));
+
+async function listLocalRefs(repoPath, { limit = 20 } = {}) {
+  const cloned = await fsp.stat(path.join(repoPath, '.git')).then(() => true, () => false);
+  if (!cloned) {
+    return { cloned: false, branches: [], tags: [], commits: [] };
+  }
+  const git = (args) => runCommand('git', args, { cwd: repoPath, env: gitEnv() }).then((result) => result.stdout);
+  const [branchOutput, tagOutput, commitOutput] = await Promise.all([
+    git(['for-each-ref', '--sort=-committerdate', `--count=${limit + 1}`, '--format=%(refname:strip=3)%1f%(objectname)%1f%(committerdate:iso-strict)', 'refs/remotes/origin']),
+    git(['for-each-ref', '--sort=-creatordate', `--count=${limit}`, '--format=%(refname:strip=2)%1f%(objectname)%1f%(*objectname)%1f%(creatordate:iso-strict)', 'refs/tags']),
+    git(['log', '--remotes=origin', '--tags', `--max-count=${limit}`, '--date-order', '--format=%H%x1f%s%x1f%an%x1f%aI'])
+  ]);
+  return {
+    cloned: true,
+    branches: splitLines(branchOutput)
+      .filter(([name]) => name !== 'HEAD')
+      .slice(0, limit)
+      .map(([name, sha, date]) => ({ name, sha, date })),
+    tags: splitLines(tagOutput).map(([name, sha, peeledSha, date]) => ({ name, sha: peeledSha || sha, date })),
+    commits: splitLines(commitOutput).map(([sha, subject, author, date]) => ({ sha, subject, author, date }))
+  };
+}
+
+module.exports = {
+  repoUrlFor,
+  isCommitSha,
+  isValidRef,
+  resolveRemoteRef,
+  localRefCandidates,
+  listLocalRefs
+};
@@ -0,0 +1,119 @@
+// Turns user-supplied repository URLs into a canonical remote. Parsers are tried in registration order and
+// each returns `{ provider, host, owner, repoName, cleanUrl }` or null when the URL is not its kind.
+const DEFAULT_ALLOWED_HOSTS = ['github.com'];
+const SEGMENT_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d{1,5})?$/;
+// The user ends up on ssh's command line, so it may not start with a dash.
+const SSH_USER_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const SCP_LIKE_PATTERN = /^([^@/:\s]+)@([^:/\s]+):([^/].*)$/;
+
+const parsers = [];
+
+const registerRemoteParser = (provider, parse) => {
+  parsers.push({ provider, parse });
+};
+
+const parseHttpsUrl = (input) => {
+  try {
+    const url = new URL(input);
+    // Credentials in the URL would end up in deploy-config.json and every git command line.
+    if (url.protocol !== 'https:' || url.username || url.password || url.search || url.hash) return null;
+    return url;
+  } catch {
+    return null;
+  }
+};
+
+const splitRepoPath = (pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+  if (segments.length < 2) return null;
+  const repoName = segments[segments.length - 1].replace(/\.git$/i, '');
+  const ownerSegments = segments.slice(0, -1);
+  if (!repoName || ![...ownerSegments, repoName].every((segment) => SEGMENT_PATTERN.test(segment))) return null;
+  if ([...ownerSegments, repoName].some((segment) => segment === '.' || segment === '..')) return null;
+  return { owner: ownerSegments.join('/'), repoName };
+};
+
+registerRemoteParser('github', (input) => {
+  const url = parseHttpsUrl(input);
+  const hostname = url?.hostname.toLowerCase();
+  if (!url || url.port || (hostname !== 'github.com' && hostname !== 'www.github.com')) return null;
+  const segments = url.pathname.split('/').filter(Boolean);
+  const repo = segments.length >= 2 ? splitRepoPath(`/${segments[0]}/${segments[1]}`) : null;
+  if (!repo) return null;
+  return { host: 'github.com', ...repo, cleanUrl: `https://github.com/${repo.owner}/${repo.repoName}` };
+});
+
+// GitLab, Gitea, Bitbucket and self-hosted servers; nested groups are kept as part of the owner.
+registerRemoteParser('https', (input) => {
+  const url = parseHttpsUrl(input);
+  const repo = url && splitRepoPath(url.pathname);
+  if (!repo) return null;
+  const host = url.host.toLowerCase();
+  return { host, ...repo, cleanUrl: `https://${host}/${repo.owner}/${repo.repoName}` };
+});
+
+// `git@host:owner/repo.git` and `ssh://git@host[:port]/owner/repo` both become `ssh://user@host[:port]/owner/repo`.
+registerRemoteParser('ssh', (input) => {
+  let user;
+  let host;
+  let pathname;
+  const scpLike = input.match(SCP_LIKE_PATTERN);
+  if (scpLike) {
+    [, user, host, pathname] = scpLike;
+  } else {
+    let url;
+    try {
+      url = new URL(input);
+    } catch {
+      return null;
+    }
+    if (url.protocol !== 'ssh:' || url.password || url.search || url.hash) return null;
+    user = decodeURIComponent(url.username) || 'git';
+    host = url.host;
+    pathname = url.pathname;
+  }
+  host = host.toLowerCase();
+  if (!SSH_USER_PATTERN.test(user) || !HOST_PATTERN.test(host)) return null;
+  const repo = splitRepoPath(pathname);
+  if (!repo) return null;
+  return { host, ...repo, cleanUrl: `ssh://${user}@${host}/${repo.owner}/${repo.repoName}` };
+});
+
+function parseRemoteUrl(input) {
+  if (!input || typeof input !== 'string') return null;
+  const trimmed = input.trim();
+  for (const { provider, parse } of parsers) {
+    const remote = parse(trimmed);
+    if (remote) return { provider, ...remote };
+  }
+  return null;
+}
+
+const normalizeHost = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+const isValidHost = (value) => HOST_PATTERN.test(normalizeHost(value));
+
+const isHostAllowed = (host, allowedHosts = DEFAULT_ALLOWED_HOSTS) =>
+  allowedHosts.map(normalizeHost).includes(normalizeHost(host));
+
+const isSshUrl = (repoUrl) => typeof repoUrl === 'string' && repoUrl.startsWith('ssh://');
+
+const hostOf = (repoUrl) => {
+  try {
+    return new URL(repoUrl).host.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_ALLOWED_HOSTS,
+  registerRemoteParser,
+  parseRemoteUrl,
+  normalizeHost,
+  isValidHost,
+  isHostAllowed,
+  isSshUrl,
+  hostOf
+};
@@ -0,0 +1,77 @@
+const http = require('http');
+
+const ATTEMPT_TIMEOUT_MS = 5000;
+const RETRY_INTERVAL_MS = 2000;
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Resolves with the status code, or rejects on connection errors; a slow response counts as a failed attempt.
+const probe = ({ port, path, hostHeader }) => new Promise((resolve, reject) => {
+  const req = http.get({
+    host: '127.0.0.1',
+    port,
+    path,
+    headers: hostHeader ? { Host: hostHeader } : {},
+    timeout: ATTEMPT_TIMEOUT_MS
+  }, (res) => {
+    res.resume();
+    resolve(res.statusCode);
+  });
+  req.on('timeout', () => req.destroy(new Error(`no response within ${ATTEMPT_TIMEOUT_MS / 1000}s`)));
+  req.on('error', reject);
+});
+
+// Node apps are probed directly on their port; static sites go through nginx using the project's server name.
+function resolveTarget(project, runtimePort) {
+  const path = project.healthcheckPath;
+  if ((project.runtime || 'static') === 'node') {
+    return { port: Number(runtimePort), path, hostHeader: null, label: `http://127.0.0.1:${runtimePort}${path}` };
+  }
+  const hostHeader = project.domain || 'localhost';
+  return { port: 80, path, hostHeader, label: `http://${hostHeader}${path} (via 127.0.0.1:80)` };
+}
+
+async function waitForHealthy(target, { expectedStatus, timeoutMs, signal, logStream }) {
+  const deadline = Date.now() + timeoutMs;
+  let lastResult = 'no attempt made';
+  let attempt = 0;
+  while (Date.now() < deadline) {
+    attempt += 1;
+    try {
+      const status = await probe(target);
+      if (status === expectedStatus) {
+        if (logStream) logStream.write(`Health check passed on attempt ${attempt}: ${target.label} returned ${status}\n`);
+        return { attempts: attempt, status };
+      }
+      lastResult = `status ${status}`;
+    } catch (error) {
+      lastResult = error.message;
+    }
+    if (logStream) logStream.write(`Health check attempt ${attempt} failed: ${lastResult}\n`);
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) break;
+    await sleep(Math.min(RETRY_INTERVAL_MS, remaining), signal);
+  }
+  const error = new Error(`Health check failed: ${target.label} did not return ${expectedStatus} within ${timeoutMs / 1000}s (last result: ${lastResult})`);
+  error.healthcheckFailed = true;
+  throw error;
+}
+
+module.exports = {
+  resolveTarget,
+  waitForHealthy
+};
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const deploymentStore = require('./deploymentStore');
+
+const POLL_INTERVAL_MS = 500;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const MAX_CHUNK_BYTES = 64 * 1024;
+const NEWLINE = 0x0a;
+
+const parseOffset = (value) => {
+  const num = Number.parseInt(value, 10);
+  return Number.isInteger(num) && num >= 0 ? num : 0;
+};
+
+// Event ids are byte offsets into the log file, so Last-Event-ID (or ?offset=) resumes exactly where the client stopped.
+function streamDeploymentLog(req, res, deployment) {
+  const { deploymentId, logPath } = deployment;
+  let offset = parseOffset(req.get('last-event-id') ?? req.query.offset);
+  let closed = false;
+  let reading = false;
+  let finished = deploymentStore.FINAL_STATUSES.has(deployment.status);
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`id: ${offset}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const readNewBytes = async (final) => {
+    const handle = await fs.open(logPath, 'r').catch(() => null);
+    if (!handle) return;
+    try {
+      const { size } = await handle.stat();
+      if (size < offset) {
+        offset = 0;
+      }
+      while (!closed && offset < size) {
+        const length = Math.min(MAX_CHUNK_BYTES, size - offset);
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        if (!bytesRead) break;
+        // Only emit whole lines so a multi-byte character is never split across events.
+        let end = bytesRead;
+        if (!final || offset + bytesRead < size) {
+          const lastNewline = buffer.lastIndexOf(NEWLINE, bytesRead - 1);
+          if (lastNewline === -1) {
+            if (bytesRead < MAX_CHUNK_BYTES) break;
+          } else {
+            end = lastNewline + 1;
+          }
+        }
+        const text = buffer.subarray(0, end).toString('utf8');
+        offset += end;
+        send('log', { text });
+      }
+    } finally {
+      await handle.close();
+    }
+  };
+
+  const finish = (status) => {
+    if (closed) return;
+    send('end', { status });
+    cleanup();
+    res.end();
+  };
+
+  const tick = async () => {
+    if (closed || reading) return;
+    reading = true;
+    try {
+      await readNewBytes(finished);
+      if (finished) {
+        const record = await deploymentStore.getDeployment(deploymentId);
+        finish(record?.status || deployment.status);
+      }
+    } catch (error) {
+      send('error', { message: error.message });
+    } finally {
+      reading = false;
+    }
+  };
+
+  const onStep = (id, step, data) => {
+    if (id !== deploymentId) return;
+    send('step', { step, ...data });
+  };
+  const onStatus = (record) => {
+    if (record.deploymentId !== deploymentId) return;
+    send('status', { status: record.status, error: record.error || null });
+    if (deploymentStore.FINAL_STATUSES.has(record.status)) {
+      finished = true;
+      tick();
+    }
+  };
+
+  const poller = setInterval(tick, POLL_INTERVAL_MS);
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  function cleanup() {
+    closed = true;
+    clearInterval(poller);
+    clearInterval(heartbeat);
+    deploymentStore.events.off('step', onStep);
+    deploymentStore.events.off('status', onStatus);
+  }
+
+  deploymentStore.events.on('step', onStep);
+  deploymentStore.events.on('status', onStatus);
+  req.on('close', cleanup);
+
+  res.write('retry: 3000\n\n');
+  send('snapshot', {
+    status: deployment.status,
+    steps: deployment.steps || {},
+    offset
+  });
+  tick();
+}
+
+module.exports = {
+  streamDeploymentLog
+};
@@ -69,6 +69,26 @@ async function writeConfig(projectId, options, logStream, dryRun = false) {
   await runCommand('systemctl', ['reload', 'nginx'], {}, logStream, dryRun);
 }
 
+async function removeConfig(projectId, logStream, dryRun = false) {
+  const availablePath = path.join(config.NGINX_SITES_AVAILABLE, `deployer-${projectId}.conf`);
+  const enabledPath = path.join(config.NGINX_SITES_ENABLED, `deployer-${projectId}.conf`);
+  let removed = false;
+  for (const target of [enabledPath, availablePath]) {
+    const exists = await fs.lstat(target).then(() => true).catch(() => false);
+    if (!exists) continue;
+    removed = true;
+    if (logStream) logStream.write(`${dryRun ? '[dry-run] ' : ''}Removing nginx config ${target}\n`);
+    if (!dryRun) {
+      await fs.unlink(target);
+    }
+  }
+  if (!removed) return false;
+  await runCommand('nginx', ['-t'], {}, logStream, dryRun);
+  await runCommand('systemctl', ['reload', 'nginx'], {}, logStream, dryRun);
+  return true;
+}
+
 module.exports = {
-  writeConfig
+  writeConfig,
+  removeConfig
 };
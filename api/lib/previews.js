@@ -0,0 +1,70 @@
+const config = require('./config');
+const projectStore = require('./projectStore');
+const gitRefs = require('./gitRefs');
+const { resolveDeployPath } = require('./projectValidator');
+
+// pull_request actions that (re)build a preview; `closed` tears it down and everything else is ignored.
+const PREVIEW_ACTIONS = new Set(['opened', 'reopened', 'synchronize']);
+const MAX_TITLE_LENGTH = 200;
+
+const createHttpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const previewNameFor = (number) => `pr-${number}`;
+
+const previewLimitFor = (project) => project.maxPreviews ?? config.MAX_PREVIEWS_PER_PROJECT;
+
+const isPreviewEnabled = (project) => !!project?.previewDomain;
+
+// Fork heads are someone else's code; building them would run it on this server with the project's settings.
+const isForkPullRequest = (pullRequest) => {
+  const head = pullRequest?.head?.repo?.full_name;
+  const base = pullRequest?.base?.repo?.full_name;
+  return !head || !base || head.toLowerCase() !== base.toLowerCase();
+};
+
+// The part of a GitHub pull_request payload a preview keeps.
+const describePullRequest = (pullRequest) => ({
+  number: pullRequest.number,
+  title: typeof pullRequest.title === 'string' ? pullRequest.title.slice(0, MAX_TITLE_LENGTH) : '',
+  url: pullRequest.html_url || null,
+  author: pullRequest.user?.login || null,
+  headRef: pullRequest.head?.ref || null,
+  headSha: pullRequest.head?.sha || null,
+  baseRef: pullRequest.base?.ref || null
+});
+
+// Creates the preview environment for a pull request, or points an existing one at the new head. New previews are
+// refused once the project holds its maximum.
+async function savePreview(project, pullRequest) {
+  const details = describePullRequest(pullRequest);
+  if (!Number.isInteger(details.number) || details.number < 1) {
+    throw createHttpError('Pull request number is missing', 400);
+  }
+  if (!gitRefs.isValidRef(details.headRef || '') || !gitRefs.isCommitSha(details.headSha || '')) {
+    throw createHttpError('Pull request head branch or commit is missing or invalid', 400);
+  }
+  const name = previewNameFor(details.number);
+  const existing = project.previews?.[name];
+  // The limit is checked by projectStore under the project's config lock, so overlapping deliveries cannot overshoot it.
+  const { preview, created } = await projectStore.savePreview(project.id, name, {
+    branch: details.headRef,
+    domain: `${name}.${project.previewDomain}`,
+    deployPath: existing?.deployPath || resolveDeployPath(undefined, projectStore.runtimeName(project.id, name)),
+    pullRequest: details
+  }, { limit: previewLimitFor(project) });
+  return { name, preview, created };
+}
+
+module.exports = {
+  PREVIEW_ACTIONS,
+  previewNameFor,
+  previewLimitFor,
+  isPreviewEnabled,
+  isForkPullRequest,
+  describePullRequest,
+  savePreview
+};
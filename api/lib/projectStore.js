@@ -1,5 +1,6 @@
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const config = require('./config');
 const { encryptSecret } = require('./secrets');
 
@@ -7,9 +8,31 @@ const projectRoot = (projectId) => path.join(config.PROJECTS_DIR, projectId);
 const repoDir = (projectId) => path.join(projectRoot(projectId), 'repo');
 const configPath = (projectId) => path.join(projectRoot(projectId), 'deploy-config.json');
 const deploymentsDir = (projectId) => path.join(projectRoot(projectId), 'deployments');
-const releasesDir = (projectId) => path.join(projectRoot(projectId), config.RELEASES_DIR_NAME);
-const currentSymlink = (projectId) => path.join(projectRoot(projectId), 'current');
-const previousSymlink = (projectId) => path.join(projectRoot(projectId), 'previous');
+// The project's own branch, deployPath, domain, port and env form this environment, which keeps the original on-disk
+// layout so projects created before environments existed need no migration.
+const DEFAULT_ENVIRONMENT = 'production';
+const ENVIRONMENT_NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+const MAX_ENVIRONMENT_NAME_LENGTH = 32;
+// Pull request previews are environments kept under `project.previews`; the name is reserved for them.
+const PREVIEW_NAME_PATTERN = /^pr-[1-9][0-9]*$/;
+// Settings an environment owns; everything else (repo, build commands, runtime, ...) is shared with the project.
+const ENVIRONMENT_FIELDS = ['branch', 'deployPath', 'domain', 'port', 'runtimePort', 'lastDeploy', 'lastCommit'];
+
+const isDefaultEnvironment = (envName) => !envName || envName === DEFAULT_ENVIRONMENT;
+const environmentRoot = (projectId, envName) => (isDefaultEnvironment(envName)
+  ? projectRoot(projectId)
+  : path.join(projectRoot(projectId), 'environments', envName));
+const releasesDir = (projectId, envName) => path.join(environmentRoot(projectId, envName), config.RELEASES_DIR_NAME);
+// Deploy key material and the project's own known_hosts; never part of a release.
+const sshDir = (projectId) => path.join(projectRoot(projectId), 'ssh');
+const currentSymlink = (projectId, envName) => path.join(environmentRoot(projectId, envName), 'current');
+const previousSymlink = (projectId, envName) => path.join(environmentRoot(projectId, envName), 'previous');
+// Kept outside the releases themselves so the metadata is never served by nginx.
+const releaseManifestPath = (projectId, envName) => path.join(environmentRoot(projectId, envName), 'releases.json');
+// pm2 process and nginx site name. Project ids never contain "--", so these cannot collide with another project.
+const runtimeName = (projectId, envName) => (isDefaultEnvironment(envName) ? projectId : `${projectId}--${envName}`);
+// Release directories are `<timestamp>-<commit>`; a leading dot is refused so `.` and `..` can never resolve outside releases/.
+const RELEASE_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/;
 
 const normalizeStoredEnv = (rawEnv) => {
   if (!rawEnv) return [];
@@ -41,6 +64,23 @@ const normalizeStoredEnv = (rawEnv) => {
   return [];
 };
 
+const normalizeStoredProject = (projectId, data) => {
+  data.env = normalizeStoredEnv(data.env);
+  data.ownerId = data.ownerId || 'admin';
+  data.templateId = data.templateId ?? null;
+  if (data.environments && typeof data.environments === 'object') {
+    for (const settings of Object.values(data.environments)) {
+      settings.env = normalizeStoredEnv(settings.env);
+    }
+  } else {
+    data.environments = {};
+  }
+  if (!data.previews || typeof data.previews !== 'object') {
+    data.previews = {};
+  }
+  return { id: projectId, ...data };
+};
+
 const formatEnvForStorage = (existingEnv = [], updates) => {
   if (updates === undefined) {
     return existingEnv.map((entry) => ({ ...entry }));
@@ -67,6 +107,30 @@ const formatEnvForStorage = (existingEnv = [], updates) => {
   return next;
 };
 
+// Only the encrypted token is written; a username-only update keeps the stored token.
+const formatRepoAuthForStorage = (existingAuth, updates) => {
+  if (updates === undefined) return existingAuth ?? null;
+  if (updates === null) return null;
+  const encryptedToken = updates.token !== undefined ? encryptSecret(updates.token) : existingAuth?.encryptedToken;
+  if (!encryptedToken) {
+    throw new Error('Repository credentials require a token');
+  }
+  return { username: updates.username || null, encryptedToken, updatedAt: new Date().toISOString() };
+};
+
+// Config changes read deploy-config.json, merge and write it back, so they run one at a time per project; two
+// overlapping ones would otherwise each write the environment or preview map they read, dropping the other's entry.
+const configWriteChains = new Map();
+const withConfigLock = (projectId, fn) => {
+  const run = (configWriteChains.get(projectId) || Promise.resolve()).then(fn);
+  const chain = run.catch(() => {});
+  configWriteChains.set(projectId, chain);
+  chain.then(() => {
+    if (configWriteChains.get(projectId) === chain) configWriteChains.delete(projectId);
+  });
+  return run;
+};
+
 const writeProject = async (projectId, payload) => {
   await fs.mkdir(projectRoot(projectId), { recursive: true });
   const { id: _removed, ...rest } = payload || {};
@@ -87,11 +151,7 @@ async function listProjects() {
     const file = configPath(dir);
     try {
       const raw = await fs.readFile(file, 'utf8');
-      const data = JSON.parse(raw);
-      data.env = normalizeStoredEnv(data.env);
-      data.ownerId = data.ownerId || 'admin';
-      data.templateId = data.templateId ?? null;
-      projects.push({ id: dir, ...data });
+      projects.push(normalizeStoredProject(dir, JSON.parse(raw)));
     } catch {
       // ignore invalid project
     }
@@ -102,11 +162,7 @@ async function listProjects() {
 async function getProject(projectId) {
   try {
     const raw = await fs.readFile(configPath(projectId), 'utf8');
-    const data = JSON.parse(raw);
-    data.env = normalizeStoredEnv(data.env);
-    data.ownerId = data.ownerId || 'admin';
-    data.templateId = data.templateId ?? null;
-    return { id: projectId, ...data };
+    return normalizeStoredProject(projectId, JSON.parse(raw));
   } catch {
     return null;
   }
@@ -117,10 +173,14 @@ async function saveProject(projectId, data) {
   const storedEnv = formatEnvForStorage([], envUpdates);
   const ownerId = data?.ownerId || 'admin';
   const templateId = data?.templateId ?? null;
-  await writeProject(projectId, { ...data, env: storedEnv, ownerId, templateId });
+  const repoAuth = formatRepoAuthForStorage(null, data?.repoAuth);
+  await withConfigLock(projectId, () => writeProject(projectId, { ...data, env: storedEnv, ownerId, templateId, repoAuth }));
 }
 
-async function updateProject(projectId, updates) {
+const updateProject = (projectId, updates) => withConfigLock(projectId, () => mergeProjectUpdate(projectId, updates));
+
+// Callers hold the config lock.
+async function mergeProjectUpdate(projectId, updates) {
   const existing = await getProject(projectId);
   if (!existing) {
     throw new Error('Project not found');
@@ -133,13 +193,223 @@ async function updateProject(projectId, updates) {
     templateId: Object.prototype.hasOwnProperty.call(updates, 'templateId')
       ? (updates.templateId ?? null)
       : (existing.templateId ?? null),
-    env: storedEnv
+    env: storedEnv,
+    repoAuth: formatRepoAuthForStorage(existing.repoAuth, updates.repoAuth)
   };
   await writeProject(projectId, next);
   return next;
 }
 
+const isPreviewEnvironment = (envName) => PREVIEW_NAME_PATTERN.test(envName || '');
+const collectionFor = (envName) => (isPreviewEnvironment(envName) ? 'previews' : 'environments');
+
+// Every deploy target of the project. Previews are included unless asked otherwise, so teardown and release
+// pruning cover them too.
+const listEnvironmentNames = (project, { includePreviews = true } = {}) => [
+  DEFAULT_ENVIRONMENT,
+  ...Object.keys(project?.environments || {}),
+  ...(includePreviews ? Object.keys(project?.previews || {}) : [])
+];
+
+// The project as one environment sees it: that environment's branch, paths, domain, port and env on top of the
+// shared settings. Returns null for an environment the project does not have.
+function resolveEnvironment(project, envName = DEFAULT_ENVIRONMENT) {
+  if (!project) return null;
+  if (isDefaultEnvironment(envName)) {
+    return { ...project, environment: DEFAULT_ENVIRONMENT };
+  }
+  const settings = project[collectionFor(envName)]?.[envName];
+  if (!settings) return null;
+  const scoped = { ...project, environment: envName, env: settings.env || [] };
+  for (const field of ENVIRONMENT_FIELDS) {
+    scoped[field] = settings[field] ?? null;
+  }
+  if (isPreviewEnvironment(envName)) {
+    // Pull request code is less trusted than a deployed branch, so previews never see secret values.
+    scoped.env = (project.env || []).filter((entry) => !entry.isSecret);
+    scoped.pullRequest = settings.pullRequest || null;
+    // Push webhooks must not deploy previews; pull request events do.
+    scoped.watchPaths = [];
+  }
+  return scoped;
+}
+
+const environmentNotFound = (envName) => {
+  const error = new Error(`Environment "${envName}" not found`);
+  error.statusCode = 404;
+  return error;
+};
+
+const addEnvironment = (projectId, envName, settings) => withConfigLock(projectId, async () => {
+  const existing = await getProject(projectId);
+  if (!existing) {
+    throw new Error('Project not found');
+  }
+  if (isDefaultEnvironment(envName) || isPreviewEnvironment(envName) || existing.environments[envName]) {
+    const error = new Error(`Environment "${envName}" already exists`);
+    error.statusCode = 409;
+    throw error;
+  }
+  const { env, ...rest } = settings;
+  const environment = {
+    ...rest,
+    env: formatEnvForStorage([], Array.isArray(env) ? env : []),
+    createdAt: new Date().toISOString()
+  };
+  await mergeProjectUpdate(projectId, { environments: { ...existing.environments, [envName]: environment } });
+  return environment;
+});
+
+// The default environment is the project itself, so its updates go straight to updateProject.
+async function updateEnvironment(projectId, envName, updates) {
+  if (isDefaultEnvironment(envName)) {
+    return updateProject(projectId, updates);
+  }
+  return withConfigLock(projectId, async () => {
+    const collection = collectionFor(envName);
+    const existing = await getProject(projectId);
+    const current = existing?.[collection][envName];
+    if (!current) {
+      throw environmentNotFound(envName);
+    }
+    const environment = { ...current, ...updates };
+    if (collection === 'environments') {
+      environment.env = formatEnvForStorage(current.env || [], updates.env);
+    }
+    return mergeProjectUpdate(projectId, { [collection]: { ...existing[collection], [envName]: environment } });
+  });
+}
+
+// Creates or refreshes a pull request preview; `settings` replaces the stored ones except for what deploys recorded.
+// A new preview is refused once the project holds `limit` of them.
+const savePreview = (projectId, envName, settings, { limit = Infinity } = {}) => withConfigLock(projectId, async () => {
+  const existing = await getProject(projectId);
+  if (!existing) {
+    throw new Error('Project not found');
+  }
+  const current = existing.previews[envName];
+  if (!current && Object.keys(existing.previews).length >= limit) {
+    const error = new Error(`Preview limit reached (${limit}); close a pull request or raise maxPreviews`);
+    error.statusCode = 409;
+    throw error;
+  }
+  const preview = {
+    ...(current || { createdAt: new Date().toISOString() }),
+    ...settings,
+    updatedAt: new Date().toISOString()
+  };
+  await mergeProjectUpdate(projectId, { previews: { ...existing.previews, [envName]: preview } });
+  return { preview, created: !current };
+});
+
+const removeEnvironment = (projectId, envName) => withConfigLock(projectId, async () => {
+  const collection = collectionFor(envName);
+  const existing = await getProject(projectId);
+  if (!existing?.[collection][envName]) {
+    throw environmentNotFound(envName);
+  }
+  const { [envName]: _removed, ...remaining } = existing[collection];
+  await mergeProjectUpdate(projectId, { [collection]: remaining });
+  await fs.rm(environmentRoot(projectId, envName), { recursive: true, force: true });
+});
+
+async function dirSize(target) {
+  let total = 0;
+  const stat = await fs.lstat(target).catch(() => null);
+  if (!stat) return 0;
+  if (!stat.isDirectory()) return stat.size;
+  const entries = await fs.readdir(target).catch(() => []);
+  for (const entry of entries) {
+    total += await dirSize(path.join(target, entry));
+  }
+  return total;
+}
+
+async function readReleaseManifest(projectId, envName) {
+  try {
+    const raw = await fs.readFile(releaseManifestPath(projectId, envName), 'utf8');
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// Rollback and promotion depend on this file, so a crash mid-write must leave the previous version in place.
+async function writeReleaseManifest(projectId, manifest, envName) {
+  const manifestPath = releaseManifestPath(projectId, envName);
+  const tempPath = `${manifestPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+  await fs.rename(tempPath, manifestPath);
+}
+
+async function recordRelease(projectId, releaseName, metadata, envName) {
+  const manifest = await readReleaseManifest(projectId, envName);
+  manifest[releaseName] = { ...(manifest[releaseName] || {}), ...metadata };
+  await writeReleaseManifest(projectId, manifest, envName);
+  return manifest[releaseName];
+}
+
+async function forgetReleases(projectId, releaseNames, envName) {
+  const manifest = await readReleaseManifest(projectId, envName);
+  let changed = false;
+  for (const name of releaseNames) {
+    if (Object.prototype.hasOwnProperty.call(manifest, name)) {
+      delete manifest[name];
+      changed = true;
+    }
+  }
+  if (changed) {
+    await writeReleaseManifest(projectId, manifest, envName);
+  }
+}
+
+const readLinkTarget = async (linkPath) => {
+  try {
+    return path.resolve(path.dirname(linkPath), await fs.readlink(linkPath));
+  } catch {
+    return null;
+  }
+};
+
+async function listReleases(projectId, { withSize = true, environment } = {}) {
+  const dir = releasesDir(projectId, environment);
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const manifest = await readReleaseManifest(projectId, environment);
+  const currentTarget = await readLinkTarget(currentSymlink(projectId, environment));
+  const previousTarget = await readLinkTarget(previousSymlink(projectId, environment));
+  const releases = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !RELEASE_NAME_PATTERN.test(entry.name)) continue;
+    const releasePath = path.join(dir, entry.name);
+    const meta = manifest[entry.name] || {};
+    const stat = await fs.stat(releasePath).catch(() => null);
+    const timestamp = Number.parseInt(entry.name.split('-')[0], 10);
+    const createdAt = meta.createdAt
+      || (Number.isFinite(timestamp) && timestamp > 0 ? new Date(timestamp).toISOString() : null)
+      || (stat ? stat.mtime.toISOString() : null);
+    releases.push({
+      name: entry.name,
+      path: releasePath,
+      commit: meta.commit || null,
+      deploymentId: meta.deploymentId || null,
+      promotedFrom: meta.promotedFrom || null,
+      createdAt,
+      sizeBytes: withSize ? await dirSize(releasePath) : null,
+      current: currentTarget === releasePath,
+      previous: previousTarget === releasePath
+    });
+  }
+  releases.sort((a, b) => new Date(b.createdAt || 0).getTime() - new Date(a.createdAt || 0).getTime());
+  return releases;
+}
+
 module.exports = {
+  RELEASE_NAME_PATTERN,
+  DEFAULT_ENVIRONMENT,
+  ENVIRONMENT_NAME_PATTERN,
+  MAX_ENVIRONMENT_NAME_LENGTH,
+  PREVIEW_NAME_PATTERN,
   projectRoot,
   repoDir,
   configPath,
@@ -147,11 +417,29 @@ module.exports = {
   getProject,
   saveProject,
   updateProject,
+  isDefaultEnvironment,
+  isPreviewEnvironment,
+  environmentRoot,
+  runtimeName,
+  listEnvironmentNames,
+  resolveEnvironment,
+  addEnvironment,
+  updateEnvironment,
+  savePreview,
+  removeEnvironment,
   ensureProjectDirs,
   deploymentsDir,
   releasesDir,
+  sshDir,
   currentSymlink,
   previousSymlink,
+  releaseManifestPath,
+  readReleaseManifest,
+  recordRelease,
+  forgetReleases,
+  listReleases,
+  dirSize,
   normalizeStoredEnv,
-  formatEnvForStorage
+  formatEnvForStorage,
+  formatRepoAuthForStorage
 };
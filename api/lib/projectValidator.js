@@ -1,10 +1,29 @@
 const path = require('path');
 const config = require('./config');
 const { getTemplate } = require('./commandTemplates');
+const gitRemotes = require('./gitRemotes');
+const {
+  DEFAULT_ENVIRONMENT,
+  ENVIRONMENT_NAME_PATTERN,
+  MAX_ENVIRONMENT_NAME_LENGTH,
+  isPreviewEnvironment,
+  runtimeName
+} = require('./projectStore');
 
 const BRANCH_PATTERN = /^[A-Za-z0-9._/-]{1,128}$/;
 const TARGETS = new Set(['server', 'github-pages', 'both']);
 const RUNTIMES = new Set(['static', 'node']);
+const SYNC_STRATEGIES = new Set(['ff-only', 'reset']);
+const TIMEOUT_STEPS = new Set(['sync', 'install', 'test', 'build', 'release', 'nginx', 'runtime', 'healthcheck']);
+const HEALTHCHECK_PATH_PATTERN = /^\/[A-Za-z0-9._~!$&'()*+,;=:@%/?-]*$/;
+const MAX_TIMEOUT_SECONDS = 24 * 60 * 60;
+const MAX_KEEP_RELEASES = 100;
+const MAX_RELEASE_AGE_DAYS = 3650;
+const MAX_WATCH_PATHS = 20;
+const MAX_PREVIEWS = 50;
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/;
+const TOKEN_USERNAME_PATTERN = /^[A-Za-z0-9._@+-]{1,128}$/;
+const MAX_REPO_TOKEN_LENGTH = 4096;
 
 const sanitizeRelativePath = (value, field) => {
   if (value == null) return undefined;
@@ -22,29 +41,18 @@ const sanitizeRelativePath = (value, field) => {
   if (safePath === '.') {
     return '.';
   }
-  return safePath.replace(/^\.\//, '');
+  return safePath.replace(/^\.\//, '').replace(/\/+$/, '');
 };
 
-const parseGitHubRepo = (input) => {
-  if (!input || typeof input !== 'string') return null;
-  try {
-    const url = new URL(input.trim());
-    if (url.protocol !== 'https:') return null;
-    const hostname = url.hostname.toLowerCase();
-    if (hostname !== 'github.com' && hostname !== 'www.github.com') return null;
-    const segments = url.pathname.split('/').filter(Boolean);
-    if (segments.length < 2) return null;
-    const owner = segments[0];
-    const repoName = segments[1].replace(/\.git$/i, '');
-    if (!/^[A-Za-z0-9_.-]+$/.test(owner) || !/^[A-Za-z0-9_.-]+$/.test(repoName)) return null;
-    return {
-      owner,
-      repoName,
-      cleanUrl: `https://github.com/${owner}/${repoName}`
-    };
-  } catch {
-    return null;
-  }
+// An empty list (or null) turns the filter off.
+const sanitizeWatchPaths = (value) => {
+  if (value === null || value === '') return [];
+  if (!Array.isArray(value)) throw new Error('watchPaths must be a list of paths');
+  const paths = value
+    .map((entry) => sanitizeRelativePath(coerceString(entry, 'watchPaths'), 'watchPaths'))
+    .filter(Boolean);
+  if (paths.length > MAX_WATCH_PATHS) throw new Error(`watchPaths accepts at most ${MAX_WATCH_PATHS} paths`);
+  return Array.from(new Set(paths));
 };
 
 const resolveDeployPath = (requestedPath, projectId) => {
@@ -86,6 +94,82 @@ const coerceString = (value, field, { required = false } = {}) => {
   return trimmed;
 };
 
+const coerceTimeoutSeconds = (value, field) => {
+  if (value === null || value === '') return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < 0 || num > MAX_TIMEOUT_SECONDS) {
+    throw new Error(`${field} must be a whole number of seconds between 0 and ${MAX_TIMEOUT_SECONDS}`);
+  }
+  return num;
+};
+
+const coerceBoundedInteger = (value, field, min, max) => {
+  if (value === null || value === '') return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) {
+    throw new Error(`${field} must be a whole number between ${min} and ${max}`);
+  }
+  return num;
+};
+
+const sanitizeStepTimeouts = (value) => {
+  if (value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('stepTimeouts must be an object keyed by step name');
+  }
+  const result = {};
+  for (const [step, seconds] of Object.entries(value)) {
+    if (!TIMEOUT_STEPS.has(step)) {
+      throw new Error(`Unknown deploy step in stepTimeouts: ${step}`);
+    }
+    const normalized = coerceTimeoutSeconds(seconds, `stepTimeouts.${step}`);
+    if (normalized !== null) {
+      result[step] = normalized;
+    }
+  }
+  return result;
+};
+
+const sanitizePort = (value) => {
+  if (value === null || value === '') return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num <= 0) {
+    throw new Error('Port must be a positive integer');
+  }
+  return num;
+};
+
+// Secret entries sent without a value keep their stored ciphertext, so clients never need to read secrets back.
+const sanitizeEnv = (envPayload, existingEnv) => {
+  const envInput = normalizeEnvInput(envPayload) || [];
+  const existingMap = new Map((Array.isArray(existingEnv) ? existingEnv : []).map((entry) => [entry.key, entry]));
+  const sanitizedEnv = [];
+  for (const entry of envInput) {
+    const key = coerceString(entry?.key, 'env key', { required: true });
+    const prev = existingMap.get(key);
+    const requestedSecret = entry?.isSecret === true;
+    const isSecret = requestedSecret || prev?.isSecret || false;
+    if (prev?.isSecret && entry?.isSecret === false) {
+      throw new Error(`Cannot convert secret env ${key} to non-secret`);
+    }
+    const sanitizedEntry = { key, isSecret };
+    if (isSecret) {
+      const hasValue = entry?.value !== undefined && entry.value !== null && entry.value !== '';
+      if (hasValue) {
+        sanitizedEntry.value = String(entry.value);
+      } else if (!prev?.encryptedValue) {
+        throw new Error(`Secret env ${key} requires a value`);
+      }
+    } else {
+      const value = coerceString(entry?.value, `env ${key}`, { required: true });
+      sanitizedEntry.value = value;
+    }
+    sanitizedEnv.push(sanitizedEntry);
+    existingMap.delete(key);
+  }
+  return sanitizedEnv;
+};
+
 const sanitizeOptionalTemplateId = (value) => {
   if (value === undefined) return undefined;
   if (value === null) return null;
@@ -100,6 +184,38 @@ const sanitizeOptionalTemplateId = (value) => {
   return trimmed;
 };
 
+// Throws the message the API should return, since "unparsable" and "host not allowed" need different fixes.
+const parseRepoUrl = (input, allowedHosts = gitRemotes.DEFAULT_ALLOWED_HOSTS) => {
+  const remote = gitRemotes.parseRemoteUrl(input);
+  if (!remote) {
+    throw new Error('Repository URL must look like https://<host>/<owner>/<repo> or git@<host>:<owner>/<repo>, without credentials');
+  }
+  if (!gitRemotes.isHostAllowed(remote.host, allowedHosts)) {
+    throw new Error(`Git host ${remote.host} is not allowed. Ask an admin to add it to the allowed hosts.`);
+  }
+  return remote;
+};
+
+// `repoToken: null` (or "") removes the stored token; the username alone can change while a token is stored.
+const sanitizeRepoAuth = (payload, existing) => {
+  if (payload.repoToken === null || payload.repoToken === '') return null;
+  const token = payload.repoToken === undefined ? undefined : coerceString(payload.repoToken, 'repoToken', { required: true });
+  if (token !== undefined && token.length > MAX_REPO_TOKEN_LENGTH) {
+    throw new Error(`repoToken must be at most ${MAX_REPO_TOKEN_LENGTH} characters`);
+  }
+  if (token === undefined && !existing.repoAuth) {
+    throw new Error('repoTokenUsername requires a repoToken');
+  }
+  let username = existing.repoAuth?.username || null;
+  if (payload.repoTokenUsername !== undefined) {
+    username = coerceString(payload.repoTokenUsername, 'repoTokenUsername') || null;
+    if (username && !TOKEN_USERNAME_PATTERN.test(username)) {
+      throw new Error('repoTokenUsername may only contain letters, digits and . _ @ + -');
+    }
+  }
+  return token === undefined ? { username } : { username, token };
+};
+
 const sanitizeRequiredTemplateId = (value) => {
   const normalized = sanitizeOptionalTemplateId(value);
   if (normalized === undefined || normalized === null) {
@@ -117,8 +233,7 @@ function validateProjectPayload(payload = {}, options = {}) {
   const isAdmin = !!options.isAdmin || options.role === 'admin';
 
   if (payload.repoUrl !== undefined) {
-    repoMeta = parseGitHubRepo(payload.repoUrl);
-    if (!repoMeta) throw new Error('Valid GitHub repository URL is required');
+    repoMeta = parseRepoUrl(payload.repoUrl, options.allowedGitHosts);
     project.repo = repoMeta.cleanUrl;
   } else if (!partial && !existing.repo) {
     throw new Error('Repository URL is required');
@@ -167,6 +282,14 @@ function validateProjectPayload(payload = {}, options = {}) {
     }
   }
 
+  if (payload.rootDirectory !== undefined) {
+    const rootDirectory = payload.rootDirectory === null ? '' : sanitizeRelativePath(coerceString(payload.rootDirectory, 'rootDirectory'), 'rootDirectory');
+    project.rootDirectory = rootDirectory && rootDirectory !== '.' ? rootDirectory : null;
+  }
+  if (payload.watchPaths !== undefined) {
+    project.watchPaths = sanitizeWatchPaths(payload.watchPaths);
+  }
+
   if (payload.buildOutput !== undefined) {
     const buildOutput = coerceString(payload.buildOutput, 'buildOutput', { required: true });
     project.buildOutput = sanitizeRelativePath(buildOutput, 'buildOutput');
@@ -201,55 +324,71 @@ function validateProjectPayload(payload = {}, options = {}) {
     project.runtime = 'static';
   }
 
+  if (payload.repoToken !== undefined || payload.repoTokenUsername !== undefined) {
+    project.repoAuth = sanitizeRepoAuth(payload, existing);
+  }
+
+  if (payload.syncStrategy !== undefined) {
+    const syncStrategy = payload.syncStrategy === null ? 'ff-only' : coerceString(payload.syncStrategy, 'syncStrategy', { required: true }).toLowerCase();
+    if (!SYNC_STRATEGIES.has(syncStrategy)) throw new Error('syncStrategy must be "ff-only" or "reset"');
+    project.syncStrategy = syncStrategy;
+  }
+
   if (payload.domain !== undefined) {
     project.domain = coerceString(payload.domain, 'domain') || '';
   }
+  if (payload.previewDomain !== undefined) {
+    const previewDomain = payload.previewDomain === null ? '' : coerceString(payload.previewDomain, 'previewDomain').toLowerCase();
+    if (previewDomain && (previewDomain.length > 200 || !DOMAIN_PATTERN.test(previewDomain))) {
+      throw new Error('previewDomain must be a domain name such as "preview.example.com"');
+    }
+    project.previewDomain = previewDomain || null;
+  }
+  if (payload.maxPreviews !== undefined) {
+    project.maxPreviews = coerceBoundedInteger(payload.maxPreviews, 'maxPreviews', 1, MAX_PREVIEWS);
+  }
   if (payload.target !== undefined) {
     const target = coerceString(payload.target, 'target', { required: true });
     if (!TARGETS.has(target)) throw new Error('Invalid deployment target');
     project.target = target;
   }
   if (payload.port !== undefined) {
-    if (payload.port === null || payload.port === '') {
-      project.port = null;
-    } else {
-      const num = Number(payload.port);
-      if (!Number.isInteger(num) || num <= 0) {
-        throw new Error('Port must be a positive integer');
-      }
-      project.port = num;
+    project.port = sanitizePort(payload.port);
+  }
+
+  if (payload.stepTimeoutSeconds !== undefined) {
+    project.stepTimeoutSeconds = coerceTimeoutSeconds(payload.stepTimeoutSeconds, 'stepTimeoutSeconds');
+  }
+  if (payload.deployTimeoutSeconds !== undefined) {
+    project.deployTimeoutSeconds = coerceTimeoutSeconds(payload.deployTimeoutSeconds, 'deployTimeoutSeconds');
+  }
+  if (payload.stepTimeouts !== undefined) {
+    project.stepTimeouts = sanitizeStepTimeouts(payload.stepTimeouts);
+  }
+
+  if (payload.healthcheckPath !== undefined) {
+    const healthcheckPath = payload.healthcheckPath === null ? '' : coerceString(payload.healthcheckPath, 'healthcheckPath');
+    if (healthcheckPath && (healthcheckPath.length > 512 || !HEALTHCHECK_PATH_PATTERN.test(healthcheckPath))) {
+      throw new Error('healthcheckPath must be a URL path starting with "/"');
     }
+    project.healthcheckPath = healthcheckPath || null;
+  }
+  if (payload.healthcheckStatus !== undefined) {
+    project.healthcheckStatus = coerceBoundedInteger(payload.healthcheckStatus, 'healthcheckStatus', 100, 599);
+  }
+  if (payload.healthcheckTimeoutSeconds !== undefined) {
+    project.healthcheckTimeoutSeconds = coerceBoundedInteger(payload.healthcheckTimeoutSeconds, 'healthcheckTimeoutSeconds', 1, MAX_TIMEOUT_SECONDS);
+  }
+
+  if (payload.keepReleases !== undefined) {
+    project.keepReleases = coerceBoundedInteger(payload.keepReleases, 'keepReleases', 1, MAX_KEEP_RELEASES);
+  }
+  if (payload.releaseMaxAgeDays !== undefined) {
+    project.releaseMaxAgeDays = coerceBoundedInteger(payload.releaseMaxAgeDays, 'releaseMaxAgeDays', 0, MAX_RELEASE_AGE_DAYS);
   }
 
   if (payload.env !== undefined) {
-    const envInput = normalizeEnvInput(payload.env) || [];
-    const existingEnv = Array.isArray(existing.env) ? existing.env : [];
-    const existingMap = new Map(existingEnv.map((entry) => [entry.key, entry]));
-    const sanitizedEnv = [];
-    for (const entry of envInput) {
-      const key = coerceString(entry?.key, 'env key', { required: true });
-      const prev = existingMap.get(key);
-      const requestedSecret = entry?.isSecret === true;
-      const isSecret = requestedSecret || prev?.isSecret || false;
-      if (prev?.isSecret && entry?.isSecret === false) {
-        throw new Error(`Cannot convert secret env ${key} to non-secret`);
-      }
-      const sanitizedEntry = { key, isSecret };
-      if (isSecret) {
-        const hasValue = entry?.value !== undefined && entry.value !== null && entry.value !== '';
-        if (hasValue) {
-          sanitizedEntry.value = String(entry.value);
-        } else if (!prev?.encryptedValue) {
-          throw new Error(`Secret env ${key} requires a value`);
-        }
-      } else {
-        const value = coerceString(entry?.value, `env ${key}`, { required: true });
-        sanitizedEntry.value = value;
-      }
-      sanitizedEnv.push(sanitizedEntry);
-      existingMap.delete(key);
-    }
-    project.env = sanitizedEnv;
+    project.env = sanitizeEnv(payload.env, existing.env);
   } else if (!partial && !existing.env) {
     project.env = [];
   }
@@ -257,12 +396,60 @@ function validateProjectPayload(payload = {}, options = {}) {
   return { project, repoMeta };
 }
 
+const isValidEnvironmentName = (value) => typeof value === 'string'
+  && value.length <= MAX_ENVIRONMENT_NAME_LENGTH
+  && ENVIRONMENT_NAME_PATTERN.test(value);
+
+// Settings of one extra environment. Everything not listed here is shared with the project, and the default
+// environment is edited through validateProjectPayload instead.
+function validateEnvironmentPayload(payload = {}, options = {}) {
+  const partial = !!options.partial;
+  const existing = options.existing || {};
+  const environment = {};
+  let name = options.envName;
+
+  if (!partial) {
+    name = coerceString(payload.name, 'name', { required: true }).toLowerCase();
+    if (!isValidEnvironmentName(name)) {
+      throw new Error(`Environment name must be lowercase letters, digits and dashes (at most ${MAX_ENVIRONMENT_NAME_LENGTH} characters)`);
+    }
+    if (name === DEFAULT_ENVIRONMENT) {
+      throw new Error(`"${DEFAULT_ENVIRONMENT}" is the project's own environment and already exists`);
+    }
+    if (isPreviewEnvironment(name)) {
+      throw new Error('Names like "pr-12" are reserved for pull request previews');
+    }
+  }
+
+  if (payload.branch !== undefined || !partial) {
+    const branch = coerceString(payload.branch, 'branch', { required: true });
+    if (!BRANCH_PATTERN.test(branch)) throw new Error('Invalid branch name');
+    environment.branch = branch;
+  }
+  if (payload.deployPath !== undefined || !partial) {
+    // Project ids never contain "--", so `<id>--<name>` cannot collide with another project's default path.
+    environment.deployPath = resolveDeployPath(payload.deployPath, runtimeName(options.projectId, name));
+  }
+  if (payload.domain !== undefined) {
+    environment.domain = coerceString(payload.domain, 'domain') || '';
+  }
+  if (payload.port !== undefined) {
+    environment.port = sanitizePort(payload.port);
+  }
+  if (payload.env !== undefined) {
+    environment.env = sanitizeEnv(payload.env, existing.env);
+  }
+  return { name, environment };
+}
+
 module.exports = {
   BRANCH_PATTERN,
   TARGETS,
   RUNTIMES,
-  parseGitHubRepo,
+  parseRepoUrl,
   resolveDeployPath,
   normalizeEnvInput,
-  validateProjectPayload
+  isValidEnvironmentName,
+  validateProjectPayload,
+  validateEnvironmentPayload
 };
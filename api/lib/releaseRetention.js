@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const config = require('./config');
+const projectStore = require('./projectStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const resolvePolicy = (project = {}) => ({
+  keepReleases: project.keepReleases ?? config.KEEP_RELEASES,
+  maxAgeDays: project.releaseMaxAgeDays ?? config.RELEASE_MAX_AGE_DAYS
+});
+
+// `releases` must be sorted newest first. current/previous count towards keepReleases but are never removed.
+function selectPrunable(releases, policy, now = Date.now()) {
+  const maxAgeMs = policy.maxAgeDays > 0 ? policy.maxAgeDays * DAY_MS : null;
+  const prunable = [];
+  let kept = 0;
+  for (const release of releases) {
+    if (release.current || release.previous) {
+      kept += 1;
+      continue;
+    }
+    const createdAt = new Date(release.createdAt || 0).getTime();
+    const expired = maxAgeMs !== null && Number.isFinite(createdAt) && now - createdAt > maxAgeMs;
+    if (!expired && kept < policy.keepReleases) {
+      kept += 1;
+      continue;
+    }
+    prunable.push({ ...release, reason: expired ? 'age' : 'count' });
+  }
+  return prunable;
+}
+
+// `project` may be an environment-scoped view (projectStore.resolveEnvironment); its releases are pruned on their own.
+async function pruneProjectReleases(project, { dryRun = false, logStream } = {}) {
+  const projectId = project.id;
+  const environment = project.environment || projectStore.DEFAULT_ENVIRONMENT;
+  const policy = resolvePolicy(project);
+  const releases = await projectStore.listReleases(projectId, { withSize: false, environment });
+  const prunable = selectPrunable(releases, policy);
+  const removed = [];
+  let bytesFreed = 0;
+  for (const release of prunable) {
+    const sizeBytes = await projectStore.dirSize(release.path);
+    if (logStream) {
+      logStream.write(`${dryRun ? '[dry-run] ' : ''}Pruning release ${release.name} (${release.reason}, ${sizeBytes} bytes)\n`);
+    }
+    if (!dryRun) {
+      await fs.rm(release.path, { recursive: true, force: true });
+    }
+    bytesFreed += sizeBytes;
+    removed.push({
+      name: release.name,
+      commit: release.commit,
+      createdAt: release.createdAt,
+      reason: release.reason,
+      sizeBytes
+    });
+  }
+  if (!dryRun && removed.length) {
+    await projectStore.forgetReleases(projectId, removed.map((release) => release.name), environment);
+  }
+  return {
+    projectId,
+    environment,
+    ...policy,
+    dryRun,
+    releaseCount: releases.length,
+    removed,
+    bytesFreed
+  };
+}
+
+// `isBusy(projectId)` lets the caller skip projects whose releases are being written right now.
+async function pruneAllProjects({ dryRun = false, isBusy = () => false } = {}) {
+  const projects = await projectStore.listProjects();
+  const results = [];
+  let bytesFreed = 0;
+  for (const project of projects) {
+    if (isBusy(project.id)) {
+      results.push({ projectId: project.id, skipped: 'Deployment in progress', removed: [], bytesFreed: 0 });
+      continue;
+    }
+    for (const envName of projectStore.listEnvironmentNames(project)) {
+      try {
+        const result = await pruneProjectReleases(projectStore.resolveEnvironment(project, envName), { dryRun });
+        bytesFreed += result.bytesFreed;
+        results.push(result);
+      } catch (error) {
+        results.push({ projectId: project.id, environment: envName, error: error.message, removed: [], bytesFreed: 0 });
+      }
+    }
+  }
+  return { dryRun, bytesFreed, projects: results };
+}
+
+module.exports = {
+  resolvePolicy,
+  selectPrunable,
+  pruneProjectReleases,
+  pruneAllProjects
+};
@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const SESSIONS_FILE = config.SESSIONS_FILE;
+// lastSeenAt is informational, so only persist it when it is noticeably stale.
+const LAST_SEEN_WRITE_INTERVAL_MS = 60 * 1000;
+
+let cache = null;
+let writeChain = Promise.resolve();
+
+async function load() {
+  if (cache) return cache;
+  try {
+    const raw = await fs.readFile(SESSIONS_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    cache = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    cache = {};
+  }
+  return cache;
+}
+
+const isExpired = (session, now = Date.now()) => new Date(session.expiresAt).getTime() <= now;
+
+// Writes are chained so concurrent requests never interleave partial files.
+function persist() {
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const sessions = await load();
+    const now = Date.now();
+    for (const [id, session] of Object.entries(sessions)) {
+      if (isExpired(session, now)) delete sessions[id];
+    }
+    await fs.mkdir(path.dirname(SESSIONS_FILE), { recursive: true });
+    const tempPath = `${SESSIONS_FILE}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(sessions, null, 2), 'utf8');
+    await fs.rename(tempPath, SESSIONS_FILE);
+  });
+  return writeChain;
+}
+
+async function createSession({ userId, username, ttlSeconds, ip, userAgent }) {
+  const sessions = await load();
+  const now = new Date();
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    username,
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+    ip: ip || null,
+    userAgent: userAgent ? String(userAgent).slice(0, 256) : null
+  };
+  sessions[session.id] = session;
+  await persist();
+  return session;
+}
+
+async function getSession(sessionId) {
+  if (!sessionId) return null;
+  const sessions = await load();
+  const session = sessions[sessionId];
+  if (!session || isExpired(session)) return null;
+  return session;
+}
+
+async function touchSession(sessionId, ip) {
+  const session = await getSession(sessionId);
+  if (!session) return;
+  const now = Date.now();
+  if (now - new Date(session.lastSeenAt).getTime() < LAST_SEEN_WRITE_INTERVAL_MS) return;
+  session.lastSeenAt = new Date(now).toISOString();
+  if (ip) session.ip = ip;
+  await persist();
+}
+
+async function listSessions(userId) {
+  const sessions = await load();
+  return Object.values(sessions)
+    .filter((session) => session.userId === userId && !isExpired(session))
+    .sort((a, b) => new Date(b.lastSeenAt).getTime() - new Date(a.lastSeenAt).getTime());
+}
+
+async function revokeSession(sessionId) {
+  const sessions = await load();
+  if (!sessions[sessionId]) return false;
+  delete sessions[sessionId];
+  await persist();
+  return true;
+}
+
+async function revokeUserSessions(userId) {
+  const sessions = await load();
+  const revoked = [];
+  for (const [id, session] of Object.entries(sessions)) {
+    if (session.userId === userId) {
+      delete sessions[id];
+      revoked.push(id);
+    }
+  }
+  if (revoked.length) await persist();
+  return revoked;
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeUserSessions
+};
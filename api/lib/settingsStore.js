@@ -0,0 +1,40 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const { DEFAULT_ALLOWED_HOSTS } = require('./gitRemotes');
+
+const SETTINGS_FILE = config.SETTINGS_FILE;
+const DEFAULT_SETTINGS = {
+  requireTwoFactor: false,
+  allowedGitHosts: DEFAULT_ALLOWED_HOSTS
+};
+
+let cache = null;
+
+// Read on every authenticated request, so the parsed file is kept in memory.
+async function getSettings() {
+  if (cache) return cache;
+  try {
+    const raw = await fs.readFile(SETTINGS_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    cache = { ...DEFAULT_SETTINGS, ...(parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {}) };
+  } catch {
+    cache = { ...DEFAULT_SETTINGS };
+  }
+  return cache;
+}
+
+async function updateSettings(patch) {
+  const next = { ...(await getSettings()), ...patch, updatedAt: new Date().toISOString() };
+  await fs.mkdir(path.dirname(SETTINGS_FILE), { recursive: true });
+  const tempPath = `${SETTINGS_FILE}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(next, null, 2), 'utf8');
+  await fs.rename(tempPath, SETTINGS_FILE);
+  cache = next;
+  return next;
+}
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
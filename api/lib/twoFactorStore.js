@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const totp = require('./totp');
+const { encryptSecret, decryptSecret } = require('./secrets');
+
+const TWO_FACTOR_FILE = config.TWO_FACTOR_FILE;
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+let cache = null;
+let writeChain = Promise.resolve();
+
+// Keyed by user id; the env-configured admin is stored under "admin".
+async function load() {
+  if (cache) return cache;
+  try {
+    const raw = await fs.readFile(TWO_FACTOR_FILE, 'utf8');
+    const parsed = JSON.parse(raw);
+    cache = parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    cache = {};
+  }
+  return cache;
+}
+
+function persist() {
+  writeChain = writeChain.catch(() => {}).then(async () => {
+    const entries = await load();
+    await fs.mkdir(path.dirname(TWO_FACTOR_FILE), { recursive: true });
+    const tempPath = `${TWO_FACTOR_FILE}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entries, null, 2), 'utf8');
+    await fs.rename(tempPath, TWO_FACTOR_FILE);
+  });
+  return writeChain;
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const bytes = crypto.randomBytes(10);
+    const chars = Array.from(bytes, (byte) => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]).join('');
+    codes.push(`${chars.slice(0, 5)}-${chars.slice(5)}`);
+  }
+  return codes;
+}
+
+async function getStatus(userId) {
+  const entries = await load();
+  const entry = entries[userId];
+  return {
+    enabled: !!entry?.enabled,
+    enabledAt: entry?.enabledAt || null,
+    recoveryCodesRemaining: entry?.enabled ? (entry.recoveryCodes || []).length : 0
+  };
+}
+
+async function isEnabled(userId) {
+  const entries = await load();
+  return !!entries[userId]?.enabled;
+}
+
+async function listEnabledUserIds() {
+  const entries = await load();
+  return new Set(Object.keys(entries).filter((userId) => entries[userId].enabled));
+}
+
+// The new secret stays pending until a code from it is confirmed, so an abandoned setup never locks anyone out.
+async function beginEnrollment(userId) {
+  const entries = await load();
+  const secret = totp.generateSecret();
+  entries[userId] = { ...entries[userId], pendingSecret: encryptSecret(secret), pendingCreatedAt: new Date().toISOString() };
+  await persist();
+  return secret;
+}
+
+async function confirmEnrollment(userId, code) {
+  const entries = await load();
+  const entry = entries[userId];
+  if (!entry?.pendingSecret) {
+    const error = new Error('Start two-factor setup first');
+    error.statusCode = 400;
+    throw error;
+  }
+  const counter = totp.verifyCode(decryptSecret(entry.pendingSecret), code);
+  if (counter === null) {
+    const error = new Error('Invalid authentication code');
+    error.statusCode = 400;
+    throw error;
+  }
+  const recoveryCodes = generateRecoveryCodes();
+  entries[userId] = {
+    enabled: true,
+    enabledAt: new Date().toISOString(),
+    secret: entry.pendingSecret,
+    lastCounter: counter,
+    recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+  };
+  await persist();
+  return recoveryCodes;
+}
+
+// Accepts a current TOTP code (each time step only once) or an unused recovery code, which is consumed.
+// Returns the method that matched, or null.
+async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const entries = await load();
+  const entry = entries[userId];
+  if (!entry?.enabled) return null;
+  if (code) {
+    const counter = totp.verifyCode(decryptSecret(entry.secret), code);
+    if (counter === null || counter <= (entry.lastCounter ?? -1)) return null;
+    entry.lastCounter = counter;
+    await persist();
+    return 'totp';
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = (entry.recoveryCodes || []).indexOf(hash);
+    if (index === -1) return null;
+    entry.recoveryCodes.splice(index, 1);
+    await persist();
+    return 'recovery';
+  }
+  return null;
+}
+
+async function regenerateRecoveryCodes(userId) {
+  const entries = await load();
+  const entry = entries[userId];
+  if (!entry?.enabled) return null;
+  const recoveryCodes = generateRecoveryCodes();
+  entry.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await persist();
+  return recoveryCodes;
+}
+
+async function disable(userId) {
+  const entries = await load();
+  if (!entries[userId]) return false;
+  delete entries[userId];
+  await persist();
+  return true;
+}
+
+module.exports = {
+  getStatus,
+  isEnabled,
+  listEnabledUserIds,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable
+};
@@ -89,7 +89,9 @@ async function updateUser(userId, patch = {}) {
   const users = await readUsers();
   const index = users.findIndex((user) => user.id === userId);
   if (index === -1) {
-    throw new Error('User not found');
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
   }
   const updated = { ...users[index], ...patch };
   users[index] = updated;
@@ -97,10 +99,24 @@ async function updateUser(userId, patch = {}) {
   return updated;
 }
 
+async function deleteUser(userId) {
+  const users = await readUsers();
+  const index = users.findIndex((user) => user.id === userId);
+  if (index === -1) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  const [removed] = users.splice(index, 1);
+  await writeUsers(users);
+  return removed;
+}
+
 module.exports = {
   getAllUsers,
   getUserByUsername,
   getUserById,
   createUser,
-  updateUser
+  updateUser,
+  deleteUser
 };
@@ -0,0 +1,30 @@
+// Decides whether a push touched a project's watch paths. Paths are relative to the repository root and match
+// themselves and everything below them.
+
+// GitHub lists at most 20 commits in a push payload; beyond that, or without a commit list, the changes are unknown.
+const MAX_LISTED_COMMITS = 20;
+
+function changedFilesFromPush(payload) {
+  const commits = Array.isArray(payload?.commits) ? payload.commits : [];
+  if (!commits.length || commits.length >= MAX_LISTED_COMMITS) return null;
+  const files = new Set();
+  for (const commit of commits) {
+    for (const field of ['added', 'modified', 'removed']) {
+      (Array.isArray(commit?.[field]) ? commit[field] : []).forEach((file) => files.add(file));
+    }
+  }
+  return Array.from(files);
+}
+
+const touchesPath = (file, watchPath) => watchPath === '.' || file === watchPath || file.startsWith(`${watchPath}/`);
+
+// Unknown changes count as a match: skipping a needed deploy is worse than running an extra one.
+function pushTouchesWatchPaths(changedFiles, watchPaths) {
+  if (!Array.isArray(watchPaths) || !watchPaths.length || !changedFiles) return true;
+  return changedFiles.some((file) => watchPaths.some((watchPath) => touchesPath(file, watchPath)));
+}
+
+module.exports = {
+  changedFilesFromPush,
+  pushTouchesWatchPaths
+};
@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+
+const DELIVERIES_PATH = path.join(config.PROJECTS_DIR, '.webhook-deliveries.json');
+const MAX_DELIVERIES = 500;
+
+// Delivery IDs currently being processed, so a redelivery racing the original is still treated as a duplicate.
+const inFlight = new Set();
+
+async function loadDeliveries() {
+  try {
+    const raw = await fs.readFile(DELIVERIES_PATH, 'utf8');
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+async function saveDeliveries(deliveries) {
+  const entries = Object.entries(deliveries);
+  if (entries.length > MAX_DELIVERIES) {
+    entries.sort((a, b) => new Date(a[1].receivedAt).getTime() - new Date(b[1].receivedAt).getTime());
+    deliveries = Object.fromEntries(entries.slice(entries.length - MAX_DELIVERIES));
+  }
+  await fs.mkdir(path.dirname(DELIVERIES_PATH), { recursive: true });
+  await fs.writeFile(DELIVERIES_PATH, JSON.stringify(deliveries, null, 2));
+}
+
+async function claimDelivery(deliveryId) {
+  if (!deliveryId) return true;
+  if (inFlight.has(deliveryId)) return false;
+  inFlight.add(deliveryId);
+  const deliveries = await loadDeliveries();
+  if (deliveries[deliveryId]) {
+    inFlight.delete(deliveryId);
+    return false;
+  }
+  return true;
+}
+
+async function recordDelivery(deliveryId, record) {
+  if (!deliveryId) return null;
+  const deliveries = await loadDeliveries();
+  const entry = { receivedAt: new Date().toISOString(), ...record };
+  deliveries[deliveryId] = entry;
+  await saveDeliveries(deliveries);
+  inFlight.delete(deliveryId);
+  return entry;
+}
+
+function releaseDelivery(deliveryId) {
+  inFlight.delete(deliveryId);
+}
+
+async function markDuplicate(deliveryId) {
+  const deliveries = await loadDeliveries();
+  const existing = deliveries[deliveryId];
+  if (!existing) return null;
+  existing.duplicateCount = (existing.duplicateCount || 0) + 1;
+  existing.lastDuplicateAt = new Date().toISOString();
+  await saveDeliveries(deliveries);
+  return existing;
+}
+
+async function getDelivery(deliveryId) {
+  const deliveries = await loadDeliveries();
+  return deliveries[deliveryId] || null;
+}
+
+module.exports = {
+  claimDelivery,
+  recordDelivery,
+  releaseDelivery,
+  markDuplicate,
+  getDelivery
+};
@@ -4,6 +4,8 @@ const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const { execFile } = require('child_process');
@@ -13,17 +15,36 @@ const projectStore = require('./lib/projectStore');
 const deploymentStore = require('./lib/deploymentStore');
 const deployEngine = require('./lib/deployEngine');
 const userStore = require('./lib/userStore');
+const webhookStore = require('./lib/webhookStore');
+const gitRefs = require('./lib/gitRefs');
+const gitRemotes = require('./lib/gitRemotes');
+const gitCredentials = require('./lib/gitCredentials');
+const deployKeys = require('./lib/deployKeys');
+const watchPaths = require('./lib/watchPaths');
+const previews = require('./lib/previews');
+const { streamDeploymentLog } = require('./lib/logTail');
 const { getTemplate, listTemplates } = require('./lib/commandTemplates');
-const { validateProjectPayload, parseGitHubRepo } = require('./lib/projectValidator');
+const { validateProjectPayload, validateEnvironmentPayload, parseRepoUrl } = require('./lib/projectValidator');
 const {
   requireAuth,
+  requireScope,
+  requireAdmin,
   setAuthCookie,
   clearAuthCookie,
   getUserFromRequest,
-  signSessionToken,
+  getSessionIdFromRequest,
+  issueSessionToken,
   createUserPayload,
-  authenticateCredentials
+  authenticateCredentials,
+  completeTwoFactorLogin,
+  isTwoFactorEnrollmentRequired
 } = require('./lib/auth');
+const sessionStore = require('./lib/sessionStore');
+const apiTokenStore = require('./lib/apiTokenStore');
+const twoFactorStore = require('./lib/twoFactorStore');
+const settingsStore = require('./lib/settingsStore');
+const { buildOtpAuthUri } = require('./lib/totp');
+const auditLog = require('./lib/auditLog');
 
 const execFileAsync = promisify(execFile);
 const app = express();
@@ -31,8 +52,19 @@ const PORT = process.env.PORT || 3001;
 const AUTH_USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,32}$/;
 const MIN_PASSWORD_LENGTH = 8;
 const ADMIN_OWNER_ID = 'admin';
+const TWO_FACTOR_ISSUER = 'Deployment Dashboard';
+// What ssh prints when the host rejects the key, e.g. "Permission denied (publickey,keyboard-interactive)".
+const SSH_AUTH_FAILURE_PATTERN = /Permission denied \(publickey/;
 
 app.set('trust proxy', true);
+// GitHub sends payloads of up to 25 MB, far past the default 100kb for busy pushes, and signs the exact bytes it sent.
+// The webhook gets its own parser; every other route keeps the default limit.
+app.use('/api/webhooks/github', bodyParser.json({
+  limit: '25mb',
+  verify(req, res, buf) {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.json());
 app.use(cookieParser());
 
@@ -88,6 +120,15 @@ const authLimiter = rateLimit({
   handler: (req, res) => res.status(429).json({ error: 'Too many authentication attempts. Please try again later.' })
 });
 
+// A six-digit code has a small keyspace, so second-factor attempts get a much tighter budget than passwords.
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => res.status(429).json({ error: 'Too many verification attempts. Please try again later.' })
+});
+
 app.use('/api', generalLimiter);
 
 const sendError = (res, error, defaultStatus = 500) => {
@@ -95,16 +136,24 @@ const sendError = (res, error, defaultStatus = 500) => {
   res.status(status).json({ error: error.message || 'Unexpected error' });
 };
 
+const sessionMeta = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
 app.post('/api/auth/login', authLimiter, async (req, res) => {
   const { username, password } = req.body || {};
   if (!username || !password) {
     return res.status(400).json({ error: 'Username and password are required' });
   }
   try {
-    const result = await authenticateCredentials(username, password);
+    const result = await authenticateCredentials(username, password, sessionMeta(req));
     if (!result) {
+      auditLog.record(req, 'auth.login', { outcome: 'failure', actor: null, details: { username: String(username).slice(0, 64) } });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    if (result.challengeToken) {
+      auditLog.record(req, 'auth.2fa.challenge', { actor: auditLog.describeActor(result.user) });
+      return res.json({ ok: true, twoFactorRequired: true, challengeToken: result.challengeToken });
+    }
+    auditLog.record(req, 'auth.login', { actor: auditLog.describeActor(result.user) });
     setAuthCookie(res, result.token);
     return res.json({ ok: true, user: toPublicUser(result.user) });
   } catch (error) {
@@ -112,11 +161,241 @@ app.post('/api/auth/login', authLimiter, async (req, res) => {
   }
 });
 
-app.post('/api/auth/logout', (req, res) => {
+app.post('/api/auth/2fa/verify', twoFactorLimiter, async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'challengeToken and a code or recoveryCode are required' });
+  }
+  try {
+    const result = await completeTwoFactorLogin(challengeToken, { code, recoveryCode }, sessionMeta(req));
+    if (!result) {
+      auditLog.record(req, 'auth.2fa.verify', { outcome: 'failure', actor: null });
+      return res.status(401).json({ error: 'Invalid or expired verification code' });
+    }
+    auditLog.record(req, 'auth.login', { actor: auditLog.describeActor(result.user), details: { twoFactor: result.method } });
+    setAuthCookie(res, result.token);
+    const response = { ok: true, user: toPublicUser(result.user) };
+    if (result.method === 'recovery') {
+      response.recoveryCodesRemaining = (await twoFactorStore.getStatus(result.user.id)).recoveryCodesRemaining;
+    }
+    return res.json(response);
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  const sessionId = getSessionIdFromRequest(req);
   clearAuthCookie(res);
+  try {
+    if (sessionId) await sessionStore.revokeSession(sessionId);
+  } catch (error) {
+    console.error('Failed to revoke session on logout', error);
+  }
   res.json({ ok: true });
 });
 
+// Credentials are managed from a signed-in browser only, so a leaked token cannot mint or hide other credentials.
+const rejectApiToken = (req, res) => {
+  if (!req.user?.tokenId) return false;
+  res.status(403).json({ error: 'Sign in with a password to manage sessions and API tokens' });
+  return true;
+};
+
+const presentSession = (session, currentSessionId) => ({
+  id: session.id,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  ip: session.ip,
+  userAgent: session.userAgent,
+  current: session.id === currentSessionId
+});
+
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  try {
+    const sessions = await sessionStore.listSessions(req.user.id);
+    res.json(sessions.map((session) => presentSession(session, req.user.sessionId)));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.delete('/api/auth/sessions/:sessionId', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  try {
+    const session = await sessionStore.getSession(req.params.sessionId);
+    if (!session || session.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await sessionStore.revokeSession(session.id);
+    const current = session.id === req.user.sessionId;
+    if (current) clearAuthCookie(res);
+    return res.json({ revoked: session.id, current });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+// Log out everywhere: bumping tokenVersion also kills any token that somehow escaped the registry.
+app.delete('/api/auth/sessions', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  try {
+    if (req.user.id !== ADMIN_OWNER_ID) {
+      const record = await userStore.getUserById(req.user.id);
+      if (record) {
+        await userStore.updateUser(record.id, { tokenVersion: (record.tokenVersion || 0) + 1 });
+      }
+    }
+    const revoked = await sessionStore.revokeUserSessions(req.user.id);
+    clearAuthCookie(res);
+    return res.json({ revoked: revoked.length });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+// Enrollment has to stay reachable while the "require 2FA" setting is blocking everything else.
+const requireEnrollmentAuth = requireScope(null, { allowPendingTwoFactor: true });
+
+app.get('/api/auth/2fa', requireEnrollmentAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  try {
+    const [status, settings] = await Promise.all([
+      twoFactorStore.getStatus(req.user.id),
+      settingsStore.getSettings()
+    ]);
+    res.json({ ...status, required: !!settings.requireTwoFactor });
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post('/api/auth/2fa/setup', requireEnrollmentAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  try {
+    if (await twoFactorStore.isEnabled(req.user.id)) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    const secret = await twoFactorStore.beginEnrollment(req.user.id);
+    const otpauthUrl = buildOtpAuthUri({ issuer: TWO_FACTOR_ISSUER, account: req.user.username, secret });
+    const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+    return res.json({ secret, otpauthUrl, qrCodeDataUrl });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.post('/api/auth/2fa/enable', requireEnrollmentAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  if (!req.body?.code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+  try {
+    const recoveryCodes = await twoFactorStore.confirmEnrollment(req.user.id, req.body.code);
+    auditLog.record(req, 'auth.2fa.enable');
+    return res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.post('/api/auth/2fa/disable', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  const { code, recoveryCode } = req.body || {};
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'code or recoveryCode is required' });
+  }
+  try {
+    const settings = await settingsStore.getSettings();
+    if (settings.requireTwoFactor) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for all users' });
+    }
+    const method = await twoFactorStore.verifySecondFactor(req.user.id, { code, recoveryCode });
+    if (!method) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    await twoFactorStore.disable(req.user.id);
+    auditLog.record(req, 'auth.2fa.disable');
+    return res.json({ enabled: false });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.post('/api/auth/2fa/recovery-codes', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  if (!req.body?.code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+  try {
+    const method = await twoFactorStore.verifySecondFactor(req.user.id, { code: req.body.code });
+    if (!method) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    const recoveryCodes = await twoFactorStore.regenerateRecoveryCodes(req.user.id);
+    return res.json({ recoveryCodes });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+const MAX_TOKEN_NAME_LENGTH = 64;
+const MAX_TOKEN_LIFETIME_DAYS = 365;
+
+app.get('/api/auth/tokens', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  try {
+    const tokens = await apiTokenStore.listTokens(req.user.id);
+    res.json(tokens.map(apiTokenStore.presentToken));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post('/api/auth/tokens', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  const scopes = Array.isArray(req.body?.scopes) ? Array.from(new Set(req.body.scopes)) : [];
+  const expiresInDays = req.body?.expiresInDays;
+  if (!name || name.length > MAX_TOKEN_NAME_LENGTH) {
+    return res.status(400).json({ error: `Token name must be 1-${MAX_TOKEN_NAME_LENGTH} characters` });
+  }
+  if (!scopes.length || scopes.some((scope) => !apiTokenStore.SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `Scopes must be a non-empty list of: ${apiTokenStore.SCOPES.join(', ')}` });
+  }
+  let expiresAt = null;
+  if (expiresInDays != null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_LIFETIME_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be a whole number between 1 and ${MAX_TOKEN_LIFETIME_DAYS}` });
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  try {
+    const { token, record } = await apiTokenStore.createToken({ userId: req.user.id, name, scopes, expiresAt });
+    auditLog.record(req, 'auth.token.create', { target: record.id, details: { name, scopes, expiresAt } });
+    return res.status(201).json({ ...apiTokenStore.presentToken(record), token });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.delete('/api/auth/tokens/:tokenId', requireAuth, async (req, res) => {
+  if (rejectApiToken(req, res)) return;
+  try {
+    const revoked = await apiTokenStore.revokeToken(req.user.id, req.params.tokenId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    auditLog.record(req, 'auth.token.revoke', { target: req.params.tokenId });
+    return res.json({ revoked: req.params.tokenId });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
 app.post('/api/users/signup', authLimiter, async (req, res) => {
   const username = (req.body?.username || '').trim();
   const password = req.body?.password || '';
@@ -132,8 +411,9 @@ app.post('/api/users/signup', authLimiter, async (req, res) => {
   try {
     const passwordHash = await bcrypt.hash(password, 12);
     const user = await userStore.createUser({ username, passwordHash, role: 'user' });
+    auditLog.record(req, 'auth.signup', { actor: { id: user.id, username: user.username, role: 'user', via: 'session' } });
     const payload = createUserPayload(user);
-    const token = signSessionToken(payload);
+    const token = await issueSessionToken(payload, sessionMeta(req));
     setAuthCookie(res, token);
     return res.status(201).json({
       ok: true,
@@ -141,18 +421,30 @@ app.post('/api/users/signup', authLimiter, async (req, res) => {
     });
   } catch (error) {
     if (error?.statusCode === 409) {
+      auditLog.record(req, 'auth.signup', { outcome: 'failure', actor: null, details: { username, reason: 'exists' } });
       return res.status(409).json({ error: 'Username already exists' });
     }
     return sendError(res, error, 500);
   }
 });
 
-app.get('/api/auth/me', (req, res) => {
-  const user = getUserFromRequest(req);
-  if (!user) {
-    return res.status(401).json({ authenticated: false });
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const user = await getUserFromRequest(req);
+    if (!user) {
+      return res.status(401).json({ authenticated: false });
+    }
+    return res.json({
+      authenticated: true,
+      user: toPublicUser(user),
+      twoFactor: {
+        enabled: await twoFactorStore.isEnabled(user.id),
+        enrollmentRequired: await isTwoFactorEnrollmentRequired(user)
+      }
+    });
+  } catch (error) {
+    return sendError(res, error, 500);
   }
-  return res.json({ authenticated: true, user: toPublicUser(user) });
 });
 
 const pathExists = async (candidate) => {
@@ -197,27 +489,53 @@ const presentProject = (project) => {
   if (Array.isArray(clone.env)) {
     clone.env = presentEnv(clone.env);
   }
+  clone.repoAuth = project.repoAuth
+    ? { username: project.repoAuth.username || null, hasToken: !!project.repoAuth.encryptedToken, updatedAt: project.repoAuth.updatedAt || null }
+    : null;
+  clone.environments = Object.fromEntries(Object.entries(project.environments || {})
+    .map(([name, settings]) => [name, { ...settings, env: presentEnv(settings.env) }]));
   return clone;
 };
 
-const ownsProject = (project, user) => {
-  if (!project || !user) return false;
-  if (user.isAdmin) return true;
-  return project.ownerId === user.id;
+const PROJECT_ROLES = ['viewer', 'deployer', 'maintainer'];
+const PROJECT_ROLE_RANK = { viewer: 1, deployer: 2, maintainer: 3, owner: 4 };
+
+// Admins and the owner can do everything; collaborators get the role they were added with.
+const projectRoleFor = (project, user) => {
+  if (!project || !user) return null;
+  if (user.isAdmin || project.ownerId === user.id) return 'owner';
+  const membership = (project.members || []).find((member) => member.userId === user.id);
+  return membership && PROJECT_ROLE_RANK[membership.role] ? membership.role : null;
 };
 
-const ensureProjectAccess = (project, user, res) => {
-  if (!project) {
+// Non-members get 404 so project ids do not leak; members without enough rights get 403.
+const ensureProjectAccess = (project, user, res, requiredRole = 'viewer') => {
+  const role = projectRoleFor(project, user);
+  if (!role) {
     res.status(404).json({ error: 'Project not found' });
     return null;
   }
-  if (!ownsProject(project, user)) {
-    res.status(404).json({ error: 'Project not found' });
+  if (PROJECT_ROLE_RANK[role] < PROJECT_ROLE_RANK[requiredRole]) {
+    res.status(403).json({ error: `This action requires the ${requiredRole} role on this project` });
     return null;
   }
   return project;
 };
 
+// Environment values are only shown to those who may edit them.
+const presentProjectFor = (project, user) => {
+  const accessRole = projectRoleFor(project, user);
+  const presented = { ...presentProject(project), accessRole };
+  if (PROJECT_ROLE_RANK[accessRole] < PROJECT_ROLE_RANK.maintainer) {
+    delete presented.env;
+    delete presented.repoAuth;
+    for (const settings of Object.values(presented.environments)) {
+      delete settings.env;
+    }
+  }
+  return presented;
+};
+
 const toPublicUser = (user) => {
   if (!user) return null;
   return {
@@ -228,6 +546,22 @@ const toPublicUser = (user) => {
   };
 };
 
+const presentUserRecord = (record, projects = [], twoFactorUserIds = new Set()) => {
+  const owned = projects.filter((project) => project.ownerId === record.id);
+  return {
+    id: record.id,
+    username: record.username,
+    role: record.role || 'user',
+    disabled: !!record.disabled,
+    twoFactorEnabled: twoFactorUserIds.has(record.id),
+    createdAt: record.createdAt || null,
+    disabledAt: record.disabledAt || null,
+    passwordResetAt: record.passwordResetAt || null,
+    projectCount: owned.length,
+    projects: owned.map((project) => ({ id: project.id, name: project.name }))
+  };
+};
+
 const determineOwnerId = (user) => (user && user.isAdmin ? ADMIN_OWNER_ID : user?.id);
 
 app.get('/api/health', (req, res) => {
@@ -241,6 +575,257 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+const verifyGitHubSignature = (rawBody, signatureHeader) => {
+  if (!config.WEBHOOK_SECRET || !rawBody || typeof signatureHeader !== 'string') return false;
+  const expected = `sha256=${crypto.createHmac('sha256', config.WEBHOOK_SECRET).update(rawBody).digest('hex')}`;
+  const provided = Buffer.from(signatureHeader.trim());
+  const wanted = Buffer.from(expected);
+  return provided.length === wanted.length && crypto.timingSafeEqual(provided, wanted);
+};
+
+const DEPLOY_MESSAGE_MAX_LENGTH = 500;
+
+// Deploy, rollback and activation requests may carry an optional free-text reason.
+const readDeployMessage = (body) => {
+  const value = body?.message;
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    const error = new Error('message must be a string');
+    error.statusCode = 400;
+    throw error;
+  }
+  const message = value.trim();
+  if (message.length > DEPLOY_MESSAGE_MAX_LENGTH) {
+    const error = new Error(`message must be at most ${DEPLOY_MESSAGE_MAX_LENGTH} characters`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return message || null;
+};
+
+const deployActorFor = (user) => ({ id: user.id, username: user.username });
+
+// Routes with an `:envName` segment act on that environment; the plain project routes act on the default one.
+const environmentFor = (project, req, res) => {
+  const envName = req.params.envName || projectStore.DEFAULT_ENVIRONMENT;
+  const scoped = projectStore.resolveEnvironment(project, envName);
+  if (!scoped) {
+    res.status(404).json({ error: `Environment "${envName}" not found` });
+    return null;
+  }
+  return scoped;
+};
+
+// How webhook responses name a deploy target: the bare project id for the default environment.
+const targetLabel = (scoped) => (projectStore.isDefaultEnvironment(scoped.environment)
+  ? scoped.id
+  : `${scoped.id}/${scoped.environment}`);
+
+const normalizeRepoUrl = (value) => {
+  if (!value || typeof value !== 'string') return '';
+  return value.trim().toLowerCase().replace(/\/+$/, '').replace(/\.git$/, '');
+};
+
+// Projects may follow the repository over HTTPS or over SSH.
+const projectsForRepository = async (repository) => {
+  const repoUrl = normalizeRepoUrl(repository?.html_url);
+  if (!repoUrl) return [];
+  const sshUrl = normalizeRepoUrl(gitRemotes.parseRemoteUrl(repository?.ssh_url)?.cleanUrl);
+  const projects = await projectStore.listProjects();
+  return projects.filter((project) => {
+    const projectRepo = normalizeRepoUrl(project.repo);
+    return projectRepo === repoUrl || (!!sshUrl && projectRepo === sshUrl);
+  });
+};
+
+// Opening, reopening or pushing to a pull request (re)deploys its preview on every project with previews enabled;
+// closing it tears the preview down. Pull requests from forks never get one.
+const handlePullRequestEvent = async (res, deliveryId, payload) => {
+  const event = 'pull_request';
+  const action = payload.action || '';
+  const pullRequest = payload.pull_request || {};
+  const baseRecord = {
+    event,
+    action,
+    repo: normalizeRepoUrl(payload.repository?.html_url),
+    pullRequest: pullRequest.number ?? null,
+    commit: pullRequest.head?.sha || null
+  };
+  const ignore = async (reason, status = 'ignored') => {
+    await webhookStore.recordDelivery(deliveryId, { ...baseRecord, status, reason });
+    return res.json({ status, deliveryId, reason });
+  };
+  const closing = action === 'closed';
+  if (!closing && !previews.PREVIEW_ACTIONS.has(action)) {
+    return ignore(`Pull request action "${action}" is not handled`);
+  }
+  if (!closing && previews.isForkPullRequest(pullRequest)) {
+    return ignore('Pull requests from forks do not get previews');
+  }
+  const envName = previews.previewNameFor(pullRequest.number);
+  // A preview outlives its project's previewDomain being cleared, so closing looks for the preview itself.
+  const repoProjects = (await projectsForRepository(payload.repository))
+    .filter((project) => (closing ? !!project.previews?.[envName] : previews.isPreviewEnabled(project)));
+
+  if (closing) {
+    const removed = [];
+    const errors = [];
+    for (const project of repoProjects) {
+      try {
+        await deployEngine.removeEnvironment(project.id, envName, { cancelRunning: true });
+        removed.push({ projectId: project.id, environment: envName });
+      } catch (error) {
+        errors.push({ projectId: project.id, environment: envName, error: error.message });
+      }
+    }
+    if (removed.length === 0 && errors.length === 0) {
+      return ignore('No preview exists for this pull request');
+    }
+    const status = removed.length ? 'removed' : 'failed';
+    await webhookStore.recordDelivery(deliveryId, { ...baseRecord, status, removed, errors });
+    return res.status(removed.length ? 200 : 500).json({ status, deliveryId, removed, errors });
+  }
+
+  if (repoProjects.length === 0) {
+    return ignore('No project tracking this repository has previews enabled', 'untracked');
+  }
+  const webhookMeta = {
+    deliveryId,
+    event,
+    ref: pullRequest.head?.ref || null,
+    commit: pullRequest.head?.sha || null,
+    pusher: payload.sender?.login || null,
+    pullRequest: pullRequest.number ?? null
+  };
+  const title = typeof pullRequest.title === 'string' ? pullRequest.title.split('\n')[0].trim() : '';
+  const message = `PR #${pullRequest.number}${title ? `: ${title}` : ''}`.slice(0, DEPLOY_MESSAGE_MAX_LENGTH);
+  const deployments = [];
+  const errors = [];
+  for (const project of repoProjects) {
+    try {
+      await previews.savePreview(project, pullRequest);
+      // The head commit is deployed rather than the branch so a later push cannot slip into this build.
+      const result = await deployEngine.queueDeployment(project.id, {
+        environment: envName,
+        ref: pullRequest.head.sha,
+        webhook: webhookMeta,
+        trigger: 'webhook',
+        message
+      });
+      deployments.push(result);
+    } catch (error) {
+      errors.push({ projectId: project.id, environment: envName, error: error.message });
+    }
+  }
+  const status = deployments.length ? 'queued' : 'failed';
+  await webhookStore.recordDelivery(deliveryId, {
+    ...baseRecord,
+    status,
+    deployments: deployments.map((item) => item.deploymentId),
+    errors
+  });
+  return res.status(deployments.length ? 202 : 500).json({ status, deliveryId, deployments, errors });
+};
+
+app.post('/api/webhooks/github', async (req, res) => {
+  if (!config.WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Webhook secret is not configured' });
+  }
+  if (!verifyGitHubSignature(req.rawBody, req.get('x-hub-signature-256'))) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  const event = req.get('x-github-event') || '';
+  const deliveryId = req.get('x-github-delivery') || null;
+  const payload = req.body || {};
+
+  if (!(await webhookStore.claimDelivery(deliveryId))) {
+    await webhookStore.markDuplicate(deliveryId).catch(() => {});
+    return res.json({ status: 'duplicate', deliveryId });
+  }
+
+  try {
+    if (event === 'ping') {
+      await webhookStore.recordDelivery(deliveryId, { event, status: 'pong', hookId: payload.hook_id ?? null });
+      return res.json({ status: 'pong', deliveryId });
+    }
+    if (event === 'pull_request') {
+      return await handlePullRequestEvent(res, deliveryId, payload);
+    }
+    if (event !== 'push') {
+      await webhookStore.recordDelivery(deliveryId, { event, status: 'ignored', reason: 'Unsupported event' });
+      return res.json({ status: 'ignored', deliveryId, reason: `Event "${event}" is not handled` });
+    }
+
+    const repoUrl = normalizeRepoUrl(payload.repository?.html_url);
+    const ref = typeof payload.ref === 'string' ? payload.ref : '';
+    const branch = ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null;
+    const baseRecord = { event, ref, repo: repoUrl, commit: payload.after || null };
+    if (!repoUrl || !branch || payload.deleted) {
+      const reason = payload.deleted ? 'Branch deletion' : 'Not a branch push';
+      await webhookStore.recordDelivery(deliveryId, { ...baseRecord, status: 'ignored', reason });
+      return res.json({ status: 'ignored', deliveryId, reason });
+    }
+
+    const repoProjects = await projectsForRepository(payload.repository);
+    // Every environment tracking the pushed branch deploys, e.g. develop to staging and main to production. Previews
+    // follow their pull request's own events instead.
+    const matches = repoProjects.flatMap((project) => projectStore.listEnvironmentNames(project, { includePreviews: false })
+      .map((envName) => projectStore.resolveEnvironment(project, envName))
+      .filter((scoped) => scoped.branch === branch));
+    if (matches.length === 0) {
+      const reason = repoProjects.length
+        ? `Branch ${branch} is not tracked by any project`
+        : 'Repository is not tracked by any project';
+      await webhookStore.recordDelivery(deliveryId, { ...baseRecord, status: 'untracked', reason });
+      return res.json({ status: 'untracked', deliveryId, reason });
+    }
+
+    // Projects with watch paths only deploy when the push changed something under one of them.
+    const changedFiles = watchPaths.changedFilesFromPush(payload);
+    const skipped = matches
+      .filter((scoped) => !watchPaths.pushTouchesWatchPaths(changedFiles, scoped.watchPaths))
+      .map(targetLabel);
+    const toDeploy = matches.filter((scoped) => !skipped.includes(targetLabel(scoped)));
+    if (toDeploy.length === 0) {
+      const reason = 'No changed files under the watch paths';
+      await webhookStore.recordDelivery(deliveryId, { ...baseRecord, status: 'skipped', reason, skipped });
+      return res.json({ status: 'skipped', deliveryId, reason, skipped });
+    }
+
+    const webhookMeta = { deliveryId, event, ref, commit: payload.after || null, pusher: payload.pusher?.name || null };
+    const headCommitMessage = typeof payload.head_commit?.message === 'string'
+      ? payload.head_commit.message.split('\n')[0].trim().slice(0, DEPLOY_MESSAGE_MAX_LENGTH) || null
+      : null;
+    const deployments = [];
+    const errors = [];
+    for (const scoped of toDeploy) {
+      try {
+        const result = await deployEngine.queueDeployment(scoped.id, {
+          environment: scoped.environment,
+          webhook: webhookMeta,
+          trigger: 'webhook',
+          message: headCommitMessage
+        });
+        deployments.push(result);
+      } catch (error) {
+        errors.push({ projectId: scoped.id, environment: scoped.environment, error: error.message });
+      }
+    }
+    const status = deployments.length ? 'queued' : 'failed';
+    await webhookStore.recordDelivery(deliveryId, {
+      ...baseRecord,
+      status,
+      deployments: deployments.map((item) => item.deploymentId),
+      errors,
+      skipped
+    });
+    return res.status(deployments.length ? 202 : 500).json({ status, deliveryId, deployments, errors, skipped });
+  } catch (error) {
+    webhookStore.releaseDelivery(deliveryId);
+    return sendError(res, error, 500);
+  }
+});
+
 app.get('/api/command-templates', requireAuth, (req, res) => {
   res.json(listTemplates());
 });
@@ -248,8 +833,8 @@ app.get('/api/command-templates', requireAuth, (req, res) => {
 app.get('/api/projects', requireAuth, async (req, res) => {
   try {
     const projects = await projectStore.listProjects();
-    const scoped = req.user.isAdmin ? projects : projects.filter((project) => project.ownerId === req.user.id);
-    res.json(scoped.map(presentProject));
+    const scoped = projects.filter((project) => projectRoleFor(project, req.user));
+    res.json(scoped.map((project) => presentProjectFor(project, req.user)));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -260,7 +845,7 @@ app.get('/api/projects/:projectId', requireAuth, async (req, res) => {
     const project = await projectStore.getProject(req.params.projectId);
     const allowed = ensureProjectAccess(project, req.user, res);
     if (!allowed) return;
-    res.json(presentProject(allowed));
+    res.json(presentProjectFor(allowed, req.user));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -268,9 +853,12 @@ app.get('/api/projects/:projectId', requireAuth, async (req, res) => {
 
 app.post('/api/projects/import', requireAuth, async (req, res) => {
   const payload = req.body || {};
-  const repoMeta = parseGitHubRepo(payload.repoUrl);
-  if (!repoMeta) {
-    return res.status(400).json({ error: 'Valid GitHub repository URL is required' });
+  const { allowedGitHosts } = await settingsStore.getSettings();
+  let repoMeta;
+  try {
+    repoMeta = parseRepoUrl(payload.repoUrl, allowedGitHosts);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
   const projectId = slugifyProjectId(repoMeta.owner, repoMeta.repoName);
   const projectDir = path.join(config.PROJECTS_DIR, projectId);
@@ -284,7 +872,7 @@ app.post('/api/projects/import', requireAuth, async (req, res) => {
     await projectStore.ensureProjectDirs(projectId);
     const { project: validated } = validateProjectPayload(
       { ...payload, repoUrl: repoMeta.cleanUrl },
-      { partial: false, projectId, isAdmin: !!req.user?.isAdmin, role: req.user?.isAdmin ? 'admin' : 'user' }
+      { partial: false, projectId, allowedGitHosts, isAdmin: !!req.user?.isAdmin, role: req.user?.isAdmin ? 'admin' : 'user' }
     );
     const branchName = validated.branch || 'main';
     const templateId = Object.prototype.hasOwnProperty.call(validated, 'templateId') ? validated.templateId : null;
@@ -305,10 +893,28 @@ app.post('/api/projects/import', requireAuth, async (req, res) => {
     const resolvedStartCommand = req.user?.isAdmin
       ? pickCommand(validated.startCommand, payload.startCommand ?? '')
       : (template?.startCommand || '');
-    await execFileAsync('git', ['clone', '--depth', '1', '--branch', branchName, cloneUrl, repoDir]);
+    const isSshRemote = gitRemotes.isSshUrl(repoMeta.cleanUrl);
+    const deployKey = isSshRemote ? await deployKeys.generateDeployKey(projectId) : null;
+    const credentials = validated.repoAuth?.token
+      ? { username: validated.repoAuth.username || gitCredentials.defaultUsernameFor(repoMeta.cleanUrl), token: validated.repoAuth.token }
+      : undefined;
+    let cloneWarning = null;
+    try {
+      await gitCredentials.withGitAuth({ id: projectId, repo: repoMeta.cleanUrl, ownerId: determineOwnerId(req.user) }, (invocation) => {
+        const clone = invocation(['clone', '--branch', branchName, cloneUrl, repoDir]);
+        return execFileAsync('git', clone.args, { env: clone.env });
+      }, { credentials });
+    } catch (error) {
+      // A brand-new deploy key cannot be registered with the host yet, so the first deploy clones instead. Anything
+      // else (a wrong branch, an unknown host, a changed host key) fails the import.
+      if (!isSshRemote || !SSH_AUTH_FAILURE_PATTERN.test(error.stderr || '')) throw error;
+      await fs.rm(repoDir, { recursive: true, force: true });
+      cloneWarning = 'Add the deploy key to the repository, then deploy. The repository will be cloned on the first deployment.';
+    }
     const stack = [];
-    if (await pathExists(path.join(repoDir, 'package.json'))) stack.push('Node.js');
-    if (await pathExists(path.join(repoDir, 'requirements.txt'))) stack.push('Python');
+    const appDir = path.join(repoDir, validated.rootDirectory || '.');
+    if (await pathExists(path.join(appDir, 'package.json'))) stack.push('Node.js');
+    if (await pathExists(path.join(appDir, 'requirements.txt'))) stack.push('Python');
     const projectConfig = {
       name: validated.name || repoMeta.repoName,
       description: validated.description || '',
@@ -321,20 +927,40 @@ app.post('/api/projects/import', requireAuth, async (req, res) => {
       testCommand: resolvedTestCommand,
       startCommand: resolvedStartCommand,
       runtime: validated.runtime || payload.runtime || 'static',
+      syncStrategy: validated.syncStrategy || 'ff-only',
+      rootDirectory: validated.rootDirectory ?? null,
+      watchPaths: validated.watchPaths || [],
       domain: validated.domain ?? payload.domain ?? '',
       port: Object.prototype.hasOwnProperty.call(validated, 'port') ? validated.port : (payload.port ? Number.parseInt(payload.port, 10) : null),
       deployPath: validated.deployPath,
       templateId: templateId ?? null,
+      stepTimeoutSeconds: validated.stepTimeoutSeconds ?? null,
+      deployTimeoutSeconds: validated.deployTimeoutSeconds ?? null,
+      stepTimeouts: validated.stepTimeouts || {},
+      healthcheckPath: validated.healthcheckPath ?? null,
+      healthcheckStatus: validated.healthcheckStatus ?? null,
+      healthcheckTimeoutSeconds: validated.healthcheckTimeoutSeconds ?? null,
+      keepReleases: validated.keepReleases ?? null,
+      releaseMaxAgeDays: validated.releaseMaxAgeDays ?? null,
+      previewDomain: validated.previewDomain ?? null,
+      maxPreviews: validated.maxPreviews ?? null,
       ownerId: determineOwnerId(req.user),
       stack: Array.from(new Set(stack)),
       env: validated.env || [],
+      repoAuth: validated.repoAuth ?? null,
+      deployKey,
       createdAt: new Date().toISOString(),
       status: 'imported',
       lastDeploy: null
     };
     await projectStore.saveProject(projectId, projectConfig);
     const stored = await projectStore.getProject(projectId);
-    res.status(201).json(presentProject(stored));
+    auditLog.record(req, 'project.import', {
+      projectId,
+      changes: auditLog.diffFields({}, stored),
+      env: auditLog.diffEnv([], stored.env)
+    });
+    res.status(201).json({ ...presentProjectFor(stored, req.user), ...(cloneWarning ? { cloneWarning } : {}) });
   } catch (error) {
     await fs.rm(projectDir, { recursive: true, force: true }).catch(() => {});
     res.status(500).json({ error: error.message });
@@ -344,12 +970,14 @@ app.post('/api/projects/import', requireAuth, async (req, res) => {
 app.patch('/api/projects/:projectId', requireAuth, async (req, res) => {
   try {
     const existing = await projectStore.getProject(req.params.projectId);
-    const allowed = ensureProjectAccess(existing, req.user, res);
+    const allowed = ensureProjectAccess(existing, req.user, res, 'maintainer');
     if (!allowed) return;
+    const { allowedGitHosts } = await settingsStore.getSettings();
     const { project: updates } = validateProjectPayload(req.body || {}, {
       partial: true,
       projectId: req.params.projectId,
       existing: allowed,
+      allowedGitHosts,
       isAdmin: !!req.user?.isAdmin,
       role: req.user?.isAdmin ? 'admin' : 'user'
     });
@@ -371,41 +999,158 @@ app.patch('/api/projects/:projectId', requireAuth, async (req, res) => {
       }
     }
     if (Object.keys(updates).length === 0) {
-      return res.json(presentProject(allowed));
+      return res.json(presentProjectFor(allowed, req.user));
     }
     const repoChanged = updates.repo && updates.repo !== allowed.repo;
+    // Admin-owned projects clone with the operator's GITHUB_TOKEN, so only admins may point them at another repository.
+    if (repoChanged && !req.user?.isAdmin && (allowed.ownerId || ADMIN_OWNER_ID) === ADMIN_OWNER_ID) {
+      return res.status(403).json({ error: 'Only admins can change the repository of this project' });
+    }
+    if (repoChanged && gitRemotes.isSshUrl(updates.repo) && !allowed.deployKey) {
+      updates.deployKey = await deployKeys.generateDeployKey(req.params.projectId);
+    }
     const next = await projectStore.updateProject(req.params.projectId, {
       ...updates,
       updatedAt: new Date().toISOString()
     });
+    auditLog.record(req, 'project.update', {
+      projectId: req.params.projectId,
+      changes: auditLog.diffFields(allowed, next),
+      env: auditLog.diffEnv(allowed.env, next.env),
+      details: updates.repoAuth !== undefined
+        ? { repoToken: updates.repoAuth === null ? 'removed' : 'updated' }
+        : undefined
+    });
     if (repoChanged) {
       await fs.rm(projectStore.repoDir(req.params.projectId), { recursive: true, force: true }).catch(() => {});
     }
-    res.json(presentProject(next));
+    res.json(presentProjectFor(next, req.user));
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
-app.post('/api/projects/:projectId/deploy', deployLimiter, requireAuth, async (req, res) => {
+const parseFlag = (value) => value === true || value === 'true' || value === '1' || value === 1;
+
+app.delete('/api/projects/:projectId', requireAuth, async (req, res) => {
   try {
     const project = await projectStore.getProject(req.params.projectId);
-    const allowed = ensureProjectAccess(project, req.user, res);
+    const allowed = ensureProjectAccess(project, req.user, res, 'owner');
+    if (!allowed) return;
+    const options = { ...(req.query || {}), ...(req.body || {}) };
+    const teardownOptions = {
+      dryRun: parseFlag(options.dryRun),
+      keepReleases: parseFlag(options.keepReleases),
+      archive: parseFlag(options.archive)
+    };
+    const report = await deployEngine.teardownProject(req.params.projectId, teardownOptions);
+    if (!teardownOptions.dryRun) {
+      auditLog.record(req, 'project.delete', { projectId: req.params.projectId, details: teardownOptions });
+    }
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post([
+  '/api/projects/:projectId/deploy',
+  '/api/projects/:projectId/environments/:envName/deploy'
+], deployLimiter, requireScope('deploy'), async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'deployer');
     if (!allowed) return;
-    const result = await deployEngine.queueDeployment(req.params.projectId, { dryRun: !!req.body?.dryRun });
+    const scoped = environmentFor(allowed, req, res);
+    if (!scoped) return;
+    const message = readDeployMessage(req.body);
+    const ref = req.body?.ref === undefined || req.body?.ref === null || req.body?.ref === ''
+      ? null
+      : req.body.ref;
+    if (ref !== null) {
+      if (!gitRefs.isValidRef(ref)) {
+        return res.status(400).json({ error: 'ref must be a branch, tag or commit SHA' });
+      }
+      await gitRefs.resolveRemoteRef(allowed, ref);
+    }
+    const result = await deployEngine.queueDeployment(req.params.projectId, {
+      environment: scoped.environment,
+      dryRun: !!req.body?.dryRun,
+      trigger: req.user.tokenId ? 'api-token' : 'manual',
+      actor: deployActorFor(req.user),
+      message,
+      ref
+    });
+    auditLog.record(req, 'deployment.queue', {
+      projectId: req.params.projectId,
+      target: result.deploymentId,
+      details: { environment: scoped.environment, dryRun: !!req.body?.dryRun, message, ref }
+    });
     res.status(202).json(result);
   } catch (error) {
     sendError(res, error, 400);
   }
 });
 
+app.post('/api/projects/:projectId/repo/reset', deployLimiter, requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'maintainer');
+    if (!allowed) return;
+    const result = await deployEngine.resetRepository(req.params.projectId);
+    auditLog.record(req, 'project.repo.reset', { projectId: req.params.projectId, details: { commit: result.commit } });
+    res.json(result);
+  } catch (error) {
+    auditLog.record(req, 'project.repo.reset', { outcome: 'failure', projectId: req.params.projectId, details: { error: error.message } });
+    sendError(res, error, 500);
+  }
+});
+
+// Replaces the key right away: deploys fail until the new public key is added to the repository.
+app.post('/api/projects/:projectId/deploy-key/rotate', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'maintainer');
+    if (!allowed) return;
+    const deployKey = await deployKeys.generateDeployKey(allowed.id);
+    const next = await projectStore.updateProject(allowed.id, { deployKey });
+    auditLog.record(req, 'project.deploy-key.rotate', {
+      projectId: allowed.id,
+      details: { previousFingerprint: allowed.deployKey?.fingerprint || null, fingerprint: deployKey.fingerprint }
+    });
+    res.json(presentProjectFor(next, req.user));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.get('/api/projects/:projectId/refs', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res);
+    if (!allowed) return;
+    res.json(await gitRefs.listLocalRefs(path.resolve(projectStore.repoDir(allowed.id))));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
 app.get('/api/projects/:projectId/deployments', requireAuth, async (req, res) => {
   try {
     const project = await projectStore.getProject(req.params.projectId);
     const allowed = ensureProjectAccess(project, req.user, res);
     if (!allowed) return;
     const limit = Number.parseInt(req.query.limit || '10', 10);
-    const deployments = await deploymentStore.listDeployments(req.params.projectId, limit);
+    const filters = {};
+    for (const key of ['trigger', 'actor', 'message', 'environment']) {
+      if (typeof req.query[key] === 'string' && req.query[key].trim()) {
+        filters[key] = req.query[key].trim();
+      }
+    }
+    if (filters.trigger && !deploymentStore.TRIGGER_TYPES.includes(filters.trigger)) {
+      return res.status(400).json({ error: `trigger must be one of: ${deploymentStore.TRIGGER_TYPES.join(', ')}` });
+    }
+    const deployments = await deploymentStore.listDeployments(req.params.projectId, limit, filters);
     res.json(deployments);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -439,18 +1184,682 @@ app.get('/api/deployments/:deploymentId/log', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/projects/:projectId/rollback', deployLimiter, requireAuth, async (req, res) => {
+app.get('/api/deployments/:deploymentId/log/stream', requireAuth, async (req, res) => {
+  try {
+    const deployment = await deploymentStore.getDeployment(req.params.deploymentId);
+    if (!deployment) return res.status(404).json({ error: 'Deployment not found' });
+    const project = await projectStore.getProject(deployment.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res);
+    if (!allowed) return;
+    streamDeploymentLog(req, res, deployment);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/deployments/:deploymentId/cancel', requireScope('deploy'), async (req, res) => {
+  try {
+    const deployment = await deploymentStore.getDeployment(req.params.deploymentId);
+    if (!deployment) return res.status(404).json({ error: 'Deployment not found' });
+    const project = await projectStore.getProject(deployment.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'deployer');
+    if (!allowed) return;
+    const result = await deployEngine.cancelDeployment(req.params.deploymentId);
+    auditLog.record(req, 'deployment.cancel', { projectId: deployment.projectId, target: req.params.deploymentId });
+    res.status(result.status === 'cancelling' ? 202 : 200).json(result);
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post([
+  '/api/projects/:projectId/rollback',
+  '/api/projects/:projectId/environments/:envName/rollback'
+], deployLimiter, requireScope('rollback'), async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'deployer');
+    if (!allowed) return;
+    const scoped = environmentFor(allowed, req, res);
+    if (!scoped) return;
+    const message = readDeployMessage(req.body);
+    const result = await deployEngine.rollbackProject(req.params.projectId, {
+      environment: scoped.environment,
+      actor: deployActorFor(req.user),
+      message
+    });
+    auditLog.record(req, 'project.rollback', {
+      projectId: req.params.projectId,
+      target: result.deploymentId,
+      details: { environment: scoped.environment, release: result.release, message }
+    });
+    res.json({ status: 'ok', ...result });
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+app.get([
+  '/api/projects/:projectId/releases',
+  '/api/projects/:projectId/environments/:envName/releases'
+], requireAuth, async (req, res) => {
   try {
     const project = await projectStore.getProject(req.params.projectId);
     const allowed = ensureProjectAccess(project, req.user, res);
     if (!allowed) return;
-    await deployEngine.rollbackProject(req.params.projectId);
-    res.json({ status: 'ok' });
+    const scoped = environmentFor(allowed, req, res);
+    if (!scoped) return;
+    const releases = await projectStore.listReleases(req.params.projectId, { environment: scoped.environment });
+    res.json(releases);
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post([
+  '/api/projects/:projectId/releases/:releaseName/activate',
+  '/api/projects/:projectId/environments/:envName/releases/:releaseName/activate'
+], deployLimiter, requireScope('rollback'), async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'deployer');
+    if (!allowed) return;
+    const scoped = environmentFor(allowed, req, res);
+    if (!scoped) return;
+    const message = readDeployMessage(req.body);
+    const result = await deployEngine.activateRelease(req.params.projectId, req.params.releaseName, {
+      environment: scoped.environment,
+      actor: deployActorFor(req.user),
+      message
+    });
+    auditLog.record(req, 'release.activate', {
+      projectId: req.params.projectId,
+      target: result.deploymentId,
+      details: { environment: scoped.environment, release: req.params.releaseName, message }
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+// Copies a release another environment already built into this one and makes it live, without rebuilding.
+app.post('/api/projects/:projectId/environments/:envName/promote', deployLimiter, requireScope('deploy'), async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'deployer');
+    if (!allowed) return;
+    const scoped = environmentFor(allowed, req, res);
+    if (!scoped) return;
+    const { from, release } = req.body || {};
+    if (typeof from !== 'string' || !from) {
+      return res.status(400).json({ error: 'from (the source environment) is required' });
+    }
+    if (release !== undefined && release !== null && (typeof release !== 'string' || !projectStore.RELEASE_NAME_PATTERN.test(release))) {
+      return res.status(400).json({ error: 'Invalid release name' });
+    }
+    const message = readDeployMessage(req.body);
+    const result = await deployEngine.promoteRelease(req.params.projectId, {
+      from,
+      to: scoped.environment,
+      release: release || null,
+      actor: deployActorFor(req.user),
+      message
+    });
+    auditLog.record(req, 'release.promote', {
+      projectId: req.params.projectId,
+      target: result.deploymentId,
+      details: { from, to: scoped.environment, release: result.release, message }
+    });
+    res.json(result);
   } catch (error) {
+    auditLog.record(req, 'release.promote', {
+      outcome: 'failure',
+      projectId: req.params.projectId,
+      details: { to: req.params.envName, error: error.message }
+    });
     sendError(res, error, 400);
   }
 });
 
+const presentEnvironment = (project, envName, canSeeEnv) => {
+  const scoped = projectStore.resolveEnvironment(project, envName);
+  return {
+    name: envName,
+    isDefault: projectStore.isDefaultEnvironment(envName),
+    branch: scoped.branch,
+    deployPath: scoped.deployPath || null,
+    domain: scoped.domain || null,
+    port: scoped.port ?? null,
+    runtimePort: scoped.runtimePort ?? null,
+    lastDeploy: scoped.lastDeploy || null,
+    lastCommit: scoped.lastCommit || null,
+    ...(scoped.pullRequest ? { pullRequest: scoped.pullRequest, createdAt: project.previews[envName].createdAt || null } : {}),
+    ...(canSeeEnv ? { env: presentEnv(scoped.env) } : {})
+  };
+};
+
+const canSeeEnvironmentEnv = (project, user) =>
+  PROJECT_ROLE_RANK[projectRoleFor(project, user)] >= PROJECT_ROLE_RANK.maintainer;
+
+app.get('/api/projects/:projectId/environments', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res);
+    if (!allowed) return;
+    const canSeeEnv = canSeeEnvironmentEnv(allowed, req.user);
+    res.json(projectStore.listEnvironmentNames(allowed, { includePreviews: false })
+      .map((envName) => presentEnvironment(allowed, envName, canSeeEnv)));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+// Pull request previews with the state of their latest deployment. They are torn down through the environment
+// DELETE route, or by closing the pull request.
+app.get('/api/projects/:projectId/previews', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res);
+    if (!allowed) return;
+    const canSeeEnv = canSeeEnvironmentEnv(allowed, req.user);
+    const presented = await Promise.all(Object.keys(allowed.previews).map(async (envName) => {
+      const [latest] = await deploymentStore.listDeployments(allowed.id, 1, { environment: envName });
+      return {
+        ...presentEnvironment(allowed, envName, canSeeEnv),
+        latestDeployment: latest
+          ? { deploymentId: latest.deploymentId, status: latest.status, commit: latest.commit || null, createdAt: latest.createdAt }
+          : null
+      };
+    }));
+    presented.sort((a, b) => b.pullRequest.number - a.pullRequest.number);
+    res.json({ previews: presented, limit: previews.previewLimitFor(allowed), enabled: previews.isPreviewEnabled(allowed) });
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post('/api/projects/:projectId/environments', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'maintainer');
+    if (!allowed) return;
+    let validated;
+    try {
+      validated = validateEnvironmentPayload(req.body || {}, { projectId: allowed.id });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    await projectStore.addEnvironment(allowed.id, validated.name, validated.environment);
+    const next = await projectStore.getProject(allowed.id);
+    auditLog.record(req, 'environment.create', {
+      projectId: allowed.id,
+      target: validated.name,
+      changes: auditLog.diffFields({}, validated.environment),
+      env: auditLog.diffEnv([], next.environments[validated.name].env)
+    });
+    res.status(201).json(presentEnvironment(next, validated.name, true));
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+app.patch('/api/projects/:projectId/environments/:envName', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'maintainer');
+    if (!allowed) return;
+    const { envName } = req.params;
+    if (projectStore.isDefaultEnvironment(envName)) {
+      return res.status(400).json({ error: `Edit the ${projectStore.DEFAULT_ENVIRONMENT} environment through the project settings` });
+    }
+    const existing = allowed.environments[envName];
+    if (!existing) {
+      return res.status(404).json({ error: `Environment "${envName}" not found` });
+    }
+    let updates;
+    try {
+      ({ environment: updates } = validateEnvironmentPayload(req.body || {}, {
+        partial: true,
+        projectId: allowed.id,
+        envName,
+        existing
+      }));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const next = await projectStore.updateEnvironment(allowed.id, envName, updates);
+    auditLog.record(req, 'environment.update', {
+      projectId: allowed.id,
+      target: envName,
+      changes: auditLog.diffFields(existing, next.environments[envName]),
+      env: auditLog.diffEnv(existing.env, next.environments[envName].env)
+    });
+    res.json(presentEnvironment(next, envName, true));
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+app.delete('/api/projects/:projectId/environments/:envName', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'maintainer');
+    if (!allowed) return;
+    const dryRun = parseFlag(req.query?.dryRun ?? req.body?.dryRun);
+    const report = await deployEngine.removeEnvironment(allowed.id, req.params.envName, { dryRun });
+    if (!dryRun) {
+      auditLog.record(req, 'environment.delete', { projectId: allowed.id, target: req.params.envName });
+    }
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+const presentMembers = async (project) => {
+  const users = await userStore.getAllUsers();
+  const usernames = new Map(users.map((record) => [record.id, record.username]));
+  const ownerName = project.ownerId === ADMIN_OWNER_ID ? config.ADMIN_USERNAME : usernames.get(project.ownerId);
+  return [
+    { userId: project.ownerId, username: ownerName || null, role: 'owner', addedAt: project.createdAt || null },
+    ...(project.members || []).map((member) => ({
+      userId: member.userId,
+      username: usernames.get(member.userId) || null,
+      role: member.role,
+      addedAt: member.addedAt || null
+    }))
+  ];
+};
+
+const parseProjectRole = (value, res) => {
+  if (!PROJECT_ROLES.includes(value)) {
+    res.status(400).json({ error: `Role must be one of: ${PROJECT_ROLES.join(', ')}` });
+    return null;
+  }
+  return value;
+};
+
+app.get('/api/projects/:projectId/members', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res);
+    if (!allowed) return;
+    res.json(await presentMembers(allowed));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post('/api/projects/:projectId/members', requireAuth, async (req, res) => {
+  const username = typeof req.body?.username === 'string' ? req.body.username.trim() : '';
+  if (!username) {
+    return res.status(400).json({ error: 'username is required' });
+  }
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'owner');
+    if (!allowed) return;
+    const role = parseProjectRole(req.body?.role, res);
+    if (!role) return;
+    if (username === config.ADMIN_USERNAME) {
+      return res.status(400).json({ error: 'The platform admin already has access to every project' });
+    }
+    const record = await userStore.getUserByUsername(username);
+    if (!record) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (record.disabled) {
+      return res.status(400).json({ error: 'Cannot add a disabled user' });
+    }
+    if (record.id === allowed.ownerId) {
+      return res.status(400).json({ error: 'The owner already has full access' });
+    }
+    const members = allowed.members || [];
+    if (members.some((member) => member.userId === record.id)) {
+      return res.status(409).json({ error: `${record.username} is already a member` });
+    }
+    const next = await projectStore.updateProject(allowed.id, {
+      members: [...members, { userId: record.id, role, addedAt: new Date().toISOString(), addedBy: req.user.id }]
+    });
+    auditLog.record(req, 'project.member.add', { projectId: allowed.id, target: record.id, details: { username: record.username, role } });
+    return res.status(201).json(await presentMembers(next));
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+// Members are addressed by user id or, like invitations, by username. Returns null when neither is a member.
+const resolveMemberId = async (project, value) => {
+  const members = project?.members || [];
+  if (members.some((member) => member.userId === value)) return value;
+  const record = await userStore.getUserByUsername(value);
+  return record && members.some((member) => member.userId === record.id) ? record.id : null;
+};
+
+app.patch('/api/projects/:projectId/members/:member', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const allowed = ensureProjectAccess(project, req.user, res, 'owner');
+    if (!allowed) return;
+    const role = parseProjectRole(req.body?.role, res);
+    if (!role) return;
+    const members = allowed.members || [];
+    const userId = await resolveMemberId(allowed, req.params.member);
+    if (!userId) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    const previousRole = members.find((member) => member.userId === userId).role;
+    const next = await projectStore.updateProject(allowed.id, {
+      members: members.map((member) => (member.userId === userId ? { ...member, role } : member))
+    });
+    auditLog.record(req, 'project.member.update', {
+      projectId: allowed.id,
+      target: userId,
+      changes: { role: { before: previousRole, after: role } }
+    });
+    return res.json(await presentMembers(next));
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+// Owners remove anyone; members may remove themselves to leave a project.
+app.delete('/api/projects/:projectId/members/:member', requireAuth, async (req, res) => {
+  try {
+    const project = await projectStore.getProject(req.params.projectId);
+    const userId = await resolveMemberId(project, req.params.member);
+    const leaving = userId === req.user.id;
+    const allowed = ensureProjectAccess(project, req.user, res, leaving ? 'viewer' : 'owner');
+    if (!allowed) return;
+    if (!userId) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    const members = allowed.members || [];
+    const next = await projectStore.updateProject(allowed.id, {
+      members: members.filter((member) => member.userId !== userId)
+    });
+    auditLog.record(req, 'project.member.remove', { projectId: allowed.id, target: userId, details: { leaving } });
+    return res.json(leaving ? { removed: userId } : await presentMembers(next));
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.post('/api/admin/releases/prune', requireAdmin, async (req, res) => {
+  try {
+    const dryRun = parseFlag(req.query.dryRun ?? req.body?.dryRun);
+    const report = await deployEngine.pruneAllReleases({ dryRun });
+    if (!dryRun) {
+      auditLog.record(req, 'admin.releases.prune');
+    }
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+const loadManagedUser = async (req, res) => {
+  const record = await userStore.getUserById(req.params.userId);
+  if (!record) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  return record;
+};
+
+const presentManagedUser = async (record) => {
+  const [projects, twoFactorUserIds] = await Promise.all([
+    projectStore.listProjects(),
+    twoFactorStore.listEnabledUserIds()
+  ]);
+  return presentUserRecord(record, projects, twoFactorUserIds);
+};
+
+const revokeUserSessions = async (record) => {
+  await sessionStore.revokeUserSessions(record.id);
+  return { tokenVersion: (record.tokenVersion || 0) + 1 };
+};
+
+const AUDIT_FILTERS = ['action', 'actor', 'projectId', 'outcome', 'since', 'until', 'limit'];
+
+app.get('/api/audit', requireAdmin, async (req, res) => {
+  const filters = {};
+  for (const key of AUDIT_FILTERS) {
+    if (typeof req.query[key] === 'string' && req.query[key].trim()) {
+      filters[key] = req.query[key].trim();
+    }
+  }
+  for (const key of ['since', 'until']) {
+    if (!filters[key]) continue;
+    const parsed = new Date(filters[key]);
+    if (Number.isNaN(parsed.getTime())) {
+      return res.status(400).json({ error: `${key} must be an ISO date` });
+    }
+    filters[key] = parsed.toISOString();
+  }
+  try {
+    return res.json(await auditLog.query(filters));
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const [users, projects, twoFactorUserIds] = await Promise.all([
+      userStore.getAllUsers(),
+      projectStore.listProjects(),
+      twoFactorStore.listEnabledUserIds()
+    ]);
+    res.json(users.map((record) => presentUserRecord(record, projects, twoFactorUserIds)));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.get('/api/admin/users/:userId', requireAdmin, async (req, res) => {
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    res.json(await presentManagedUser(record));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post('/api/admin/users/:userId/disable', requireAdmin, async (req, res) => {
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    const updated = await userStore.updateUser(record.id, {
+      disabled: true,
+      disabledAt: new Date().toISOString(),
+      ...(await revokeUserSessions(record))
+    });
+    auditLog.record(req, 'admin.user.disable', { target: record.id, details: { username: record.username } });
+    res.json(await presentManagedUser(updated));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post('/api/admin/users/:userId/enable', requireAdmin, async (req, res) => {
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    const updated = await userStore.updateUser(record.id, { disabled: false, disabledAt: null });
+    auditLog.record(req, 'admin.user.enable', { target: record.id, details: { username: record.username } });
+    res.json(await presentManagedUser(updated));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.post('/api/admin/users/:userId/role', requireAdmin, async (req, res) => {
+  const role = req.body?.role;
+  if (role !== 'admin' && role !== 'user') {
+    return res.status(400).json({ error: 'Role must be "admin" or "user"' });
+  }
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    const updated = await userStore.updateUser(record.id, { role });
+    auditLog.record(req, 'admin.user.role', {
+      target: record.id,
+      changes: { role: { before: record.role || 'user', after: role } },
+      details: { username: record.username }
+    });
+    return res.json(await presentManagedUser(updated));
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.post('/api/admin/users/:userId/password', requireAdmin, async (req, res) => {
+  const password = req.body?.password || '';
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+  }
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    const passwordHash = await bcrypt.hash(password, 12);
+    const updated = await userStore.updateUser(record.id, {
+      passwordHash,
+      passwordResetAt: new Date().toISOString(),
+      ...(await revokeUserSessions(record))
+    });
+    auditLog.record(req, 'admin.user.password', { target: record.id, details: { username: record.username } });
+    return res.json(await presentManagedUser(updated));
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.post('/api/admin/users/:userId/transfer', requireAdmin, async (req, res) => {
+  const toUserId = typeof req.body?.toUserId === 'string' ? req.body.toUserId.trim() : '';
+  const requestedIds = Array.isArray(req.body?.projectIds) ? new Set(req.body.projectIds) : null;
+  if (!toUserId) {
+    return res.status(400).json({ error: 'toUserId is required' });
+  }
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    if (toUserId === record.id) {
+      return res.status(400).json({ error: 'Projects already belong to this user' });
+    }
+    if (toUserId !== ADMIN_OWNER_ID) {
+      const target = await userStore.getUserById(toUserId);
+      if (!target) {
+        return res.status(404).json({ error: 'Target user not found' });
+      }
+      if (target.disabled) {
+        return res.status(400).json({ error: 'Cannot transfer projects to a disabled user' });
+      }
+    }
+    const projects = await projectStore.listProjects();
+    const owned = projects.filter((project) => project.ownerId === record.id
+      && (!requestedIds || requestedIds.has(project.id)));
+    const now = new Date().toISOString();
+    for (const project of owned) {
+      const members = (project.members || []).filter((member) => member.userId !== toUserId);
+      await projectStore.updateProject(project.id, { ownerId: toUserId, members, updatedAt: now });
+    }
+    auditLog.record(req, 'admin.user.transfer', {
+      target: record.id,
+      details: { username: record.username, toUserId, projectIds: owned.map((project) => project.id) }
+    });
+    return res.json({ transferred: owned.map((project) => project.id), toUserId });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+// For users who lost their authenticator and recovery codes; they sign in with the password alone afterwards.
+app.post('/api/admin/users/:userId/2fa/reset', requireAdmin, async (req, res) => {
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    await twoFactorStore.disable(record.id);
+    auditLog.record(req, 'admin.user.2fa.reset', { target: record.id, details: { username: record.username } });
+    res.json(await presentManagedUser(record));
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.get('/api/admin/settings', requireAdmin, async (req, res) => {
+  try {
+    res.json(await settingsStore.getSettings());
+  } catch (error) {
+    sendError(res, error, 500);
+  }
+});
+
+app.patch('/api/admin/settings', requireAdmin, async (req, res) => {
+  const { requireTwoFactor, allowedGitHosts } = req.body || {};
+  if (requireTwoFactor === undefined && allowedGitHosts === undefined) {
+    return res.status(400).json({ error: 'Provide requireTwoFactor or allowedGitHosts' });
+  }
+  if (requireTwoFactor !== undefined && typeof requireTwoFactor !== 'boolean') {
+    return res.status(400).json({ error: 'requireTwoFactor must be a boolean' });
+  }
+  if (allowedGitHosts !== undefined) {
+    if (!Array.isArray(allowedGitHosts) || !allowedGitHosts.length) {
+      return res.status(400).json({ error: 'allowedGitHosts must be a non-empty list of host names' });
+    }
+    const invalid = allowedGitHosts.filter((host) => !gitRemotes.isValidHost(host));
+    if (invalid.length) {
+      return res.status(400).json({ error: `Invalid git host(s): ${invalid.join(', ')}` });
+    }
+  }
+  try {
+    // Otherwise the admin turning this on would immediately be locked into the enrollment flow.
+    if (requireTwoFactor && !(await twoFactorStore.isEnabled(req.user.id))) {
+      return res.status(400).json({ error: 'Enable two-factor authentication on your own account first' });
+    }
+    const patch = {};
+    if (requireTwoFactor !== undefined) patch.requireTwoFactor = requireTwoFactor;
+    if (allowedGitHosts !== undefined) {
+      patch.allowedGitHosts = Array.from(new Set(allowedGitHosts.map(gitRemotes.normalizeHost)));
+    }
+    const previous = await settingsStore.getSettings();
+    const next = await settingsStore.updateSettings(patch);
+    auditLog.record(req, 'admin.settings.update', { changes: auditLog.diffFields(previous, next) });
+    return res.json(next);
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
+app.delete('/api/admin/users/:userId', requireAdmin, async (req, res) => {
+  try {
+    const record = await loadManagedUser(req, res);
+    if (!record) return;
+    const projects = await projectStore.listProjects();
+    const owned = projects.filter((project) => project.ownerId === record.id);
+    if (owned.length) {
+      return res.status(409).json({ error: `User still owns ${owned.length} project(s). Transfer or delete them first.` });
+    }
+    await userStore.deleteUser(record.id);
+    for (const project of projects) {
+      if ((project.members || []).some((member) => member.userId === record.id)) {
+        await projectStore.updateProject(project.id, {
+          members: project.members.filter((member) => member.userId !== record.id)
+        });
+      }
+    }
+    await sessionStore.revokeUserSessions(record.id);
+    await apiTokenStore.revokeUserTokens(record.id);
+    await twoFactorStore.disable(record.id);
+    auditLog.record(req, 'admin.user.delete', { target: record.id, details: { username: record.username } });
+    return res.json({ deleted: true, id: record.id });
+  } catch (error) {
+    return sendError(res, error, 500);
+  }
+});
+
 app.use((err, req, res, next) => {
   if (err?.message === 'CORS_ORIGIN_FORBIDDEN') {
     return res.status(403).json({ error: 'Origin not allowed' });
@@ -463,6 +1872,10 @@ async function initialize() {
   for (const dir of dirs) {
     await fs.mkdir(dir, { recursive: true });
   }
+  const restored = await deployEngine.initialize();
+  if (restored.requeued || restored.interrupted) {
+    console.log(`Deployment queue restored: ${restored.requeued} re-queued, ${restored.interrupted} interrupted, ${restored.retried} retried`);
+  }
   console.log('API initialized');
 }
 
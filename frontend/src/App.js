@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
-import { Play, Settings, GitBranch, Server, Globe, Plus, Upload, Eye, Clock, Trash2, RotateCcw, Terminal, FileText } from 'lucide-react';
+import { Play, Settings, GitBranch, Server, Globe, Plus, Upload, Eye, Clock, Trash2, RotateCcw, Terminal, FileText, XCircle, GitPullRequest } from 'lucide-react';
 
 const normalizeApiBase = (base) => {
   if (!base || typeof base !== 'string') return '';
@@ -8,26 +8,34 @@ const normalizeApiBase = (base) => {
   return trimmed.endsWith('/') ? trimmed.slice(0, -1) : trimmed;
 };
 
-const sanitizeGitHubRepoUrl = (rawValue) => {
+const SSH_REPO_URL_PATTERN = /^(ssh:\/\/[^\s]+|[A-Za-z0-9][A-Za-z0-9._-]*@[^\s:/]+:[^\s/][^\s]*)$/;
+
+// The API decides whether the host is allowed; this only catches URLs it could never accept.
+const sanitizeRepoUrl = (rawValue) => {
   if (!rawValue || typeof rawValue !== 'string') return null;
+  if (SSH_REPO_URL_PATTERN.test(rawValue.trim())) return rawValue.trim();
   try {
     const url = new URL(rawValue.trim());
-    if (url.protocol !== 'https:') return null;
-    const hostname = url.hostname.toLowerCase();
-    if (hostname !== 'github.com' && hostname !== 'www.github.com') return null;
+    if (url.protocol !== 'https:' || url.username || url.password || url.search || url.hash) return null;
     const pathParts = url.pathname.split('/').filter(Boolean);
     if (pathParts.length < 2) return null;
-    const owner = pathParts[0];
     const segmentPattern = /^[A-Za-z0-9_.-]+$/;
-    if (!segmentPattern.test(owner)) return null;
-    const repo = pathParts[1].replace(/\.git$/i, '');
-    if (!segmentPattern.test(repo)) return null;
-    return `https://github.com/${owner}/${repo}`;
+    if (!pathParts.every((part) => segmentPattern.test(part))) return null;
+    const repo = pathParts[pathParts.length - 1].replace(/\.git$/i, '');
+    if (!repo) return null;
+    return `https://${url.host.toLowerCase()}/${[...pathParts.slice(0, -1), repo].join('/')}`;
   } catch {
     return null;
   }
 };
 
+const toPlatformSettingsState = (data) => ({
+  requireTwoFactor: !!data?.requireTwoFactor,
+  allowedGitHosts: (Array.isArray(data?.allowedGitHosts) ? data.allowedGitHosts : ['github.com']).join(', '),
+  saving: false,
+  error: ''
+});
+
 const describeHttpError = async (response) => {
   const contentType = response.headers.get('content-type') || '';
   if (contentType.includes('application/json')) {
@@ -71,9 +79,61 @@ const detectApiBase = () => {
 const API_BASE = detectApiBase();
 const AUTH_ERROR_CODE = 'AUTH_REQUIRED';
 const MIN_PASSWORD_LENGTH = 8;
+const CLOSED_LOG_VIEWER = { open: false, deploymentId: null, content: '', loading: false, error: '', live: false, status: null, steps: {} };
+const FINAL_DEPLOYMENT_STATUSES = new Set(['success', 'failed', 'cancelled', 'interrupted', 'superseded']);
+const API_TOKEN_SCOPES = [
+  { id: 'read', label: 'Read', hint: 'List projects, deployments and logs' },
+  { id: 'deploy', label: 'Deploy', hint: 'Trigger and cancel deployments' },
+  { id: 'rollback', label: 'Rollback', hint: 'Roll back or activate releases' },
+  { id: 'admin', label: 'Admin', hint: 'Everything your account can do' }
+];
+const EMPTY_TOKEN_FORM = { name: '', scopes: ['read', 'deploy'], expiresInDays: '90', saving: false, error: '' };
+const EMPTY_TWO_FACTOR = { status: null, setup: null, code: '', recoveryCodes: null, loading: false, saving: false, error: '' };
+const PROJECT_ROLES = ['viewer', 'deployer', 'maintainer'];
+const PROJECT_ROLE_RANK = { viewer: 1, deployer: 2, maintainer: 3, owner: 4 };
+const EMPTY_MEMBER_FORM = { username: '', role: 'viewer', saving: false, error: '' };
+// Projects loaded before roles existed carry no accessRole; the API only ever returned owned ones then.
+const hasProjectRole = (project, role) => PROJECT_ROLE_RANK[project?.accessRole || 'owner'] >= PROJECT_ROLE_RANK[role];
+const DEPLOYMENT_TRIGGERS = ['manual', 'webhook', 'api-token', 'schedule', 'rollback', 'promotion'];
+const EMPTY_DEPLOYMENT_FILTERS = { trigger: '', actor: '', message: '', environment: '' };
+// The project's own settings form this environment; extra ones live under project.environments.
+const DEFAULT_ENVIRONMENT = 'production';
+const EMPTY_ENVIRONMENT_FORM = { editing: null, name: '', branch: '', domain: '', deployPath: '', port: '', envText: '', saving: false, error: '' };
+const environmentNames = (project) => [DEFAULT_ENVIRONMENT, ...Object.keys(project?.environments || {})];
+// Pull request previews live under project.previews as pr-<number>, newest pull request first.
+const isPreviewName = (envName) => /^pr-\d+$/.test(envName || '');
+const previewNames = (project) => Object.keys(project?.previews || {})
+  .sort((a, b) => Number(b.slice(3)) - Number(a.slice(3)));
+// Plain project routes act on the default environment; the others are addressed under /environments/<name>.
+const environmentBase = (projectId, envName) => (
+  !envName || envName === DEFAULT_ENVIRONMENT
+    ? `${API_BASE}/projects/${projectId}`
+    : `${API_BASE}/projects/${projectId}/environments/${encodeURIComponent(envName)}`
+);
+const parseEnvText = (text) => text.split('\n').map(line => line.trim()).filter(Boolean).reduce((acc, line) => {
+  const [key, ...rest] = line.split('=');
+  if (!key) return acc;
+  acc[key.trim()] = rest.join('=').trim();
+  return acc;
+}, {});
+const CLOSED_VERSION_PICKER = { open: false, loading: false, error: '', refs: null, ref: '' };
+const EMPTY_AUDIT_FILTERS = { action: '', actor: '', projectId: '', outcome: '' };
+const EMPTY_LOGIN_FORM = { username: '', password: '', challengeToken: null, code: '', loading: false, error: '' };
+
+const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes)) return 'Size unavailable';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
 
 const DeploymentDashboard = () => {
-  const [auth, setAuth] = useState({ checked: false, authenticated: false, user: null });
+  const [auth, setAuth] = useState({ checked: false, authenticated: false, user: null, twoFactor: null });
   const [projects, setProjects] = useState([]);
   const [view, setView] = useState('dashboard');
   const [selectedProject, setSelectedProject] = useState(null);
@@ -81,16 +141,41 @@ const DeploymentDashboard = () => {
   const [deployingProjects, setDeployingProjects] = useState(new Set());
   const [deploymentStatus, setDeploymentStatus] = useState({});
   const [deploymentHistory, setDeploymentHistory] = useState({});
-  const [logViewer, setLogViewer] = useState({ open: false, deploymentId: null, content: '', loading: false, error: '' });
+  const [deploymentFilters, setDeploymentFilters] = useState(EMPTY_DEPLOYMENT_FILTERS);
+  const [deployMessage, setDeployMessage] = useState('');
+  const [versionPicker, setVersionPicker] = useState(CLOSED_VERSION_PICKER);
+  const [logViewer, setLogViewer] = useState(CLOSED_LOG_VIEWER);
   const [rollbackLoading, setRollbackLoading] = useState(false);
+  const [releaseHistory, setReleaseHistory] = useState({});
+  const [projectMembers, setProjectMembers] = useState({});
+  const [memberForm, setMemberForm] = useState(EMPTY_MEMBER_FORM);
+  const [adminUsers, setAdminUsers] = useState({ items: [], loading: false, error: '' });
+  const [userActionPending, setUserActionPending] = useState(null);
+  const [sessions, setSessions] = useState({ items: [], loading: false, error: '' });
+  const [apiTokens, setApiTokens] = useState({ items: [], loading: false, error: '' });
+  const [tokenForm, setTokenForm] = useState(EMPTY_TOKEN_FORM);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [twoFactor, setTwoFactor] = useState(EMPTY_TWO_FACTOR);
+  const [platformSettings, setPlatformSettings] = useState({ requireTwoFactor: false, allowedGitHosts: 'github.com', saving: false, error: '' });
+  const [auditEntries, setAuditEntries] = useState({ items: [], loading: false, error: '' });
+  const [auditFilters, setAuditFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [activatingRelease, setActivatingRelease] = useState(null);
+  const [selectedEnvironment, setSelectedEnvironment] = useState(DEFAULT_ENVIRONMENT);
+  const [promoteSource, setPromoteSource] = useState('');
+  const [promoting, setPromoting] = useState(false);
+  const [environmentForm, setEnvironmentForm] = useState(EMPTY_ENVIRONMENT_FORM);
+  const [cancellingDeployments, setCancellingDeployments] = useState(new Set());
   const [settingsForm, setSettingsForm] = useState(null);
   const [settingsSaving, setSettingsSaving] = useState(false);
+  // Lives here rather than in SettingsView, which remounts whenever App state such as the environment form changes.
+  const [settingsTab, setSettingsTab] = useState('general');
+  const [repoResetting, setRepoResetting] = useState(false);
   const [settingsAlert, setSettingsAlert] = useState({ type: '', message: '' });
   const [envEntries, setEnvEntries] = useState([{ key: '', value: '', isSecret: false, hasValue: false, id: 'env-0' }]);
   const [envSaving, setEnvSaving] = useState(false);
   const [envAlert, setEnvAlert] = useState({ type: '', message: '' });
   const [projectError, setProjectError] = useState('');
-  const [loginForm, setLoginForm] = useState({ username: '', password: '', loading: false, error: '' });
+  const [loginForm, setLoginForm] = useState(EMPTY_LOGIN_FORM);
   const [signupForm, setSignupForm] = useState({ username: '', password: '', confirmPassword: '', loading: false, error: '' });
   const [authTab, setAuthTab] = useState('login');
   const [templates, setTemplates] = useState([]);
@@ -106,6 +191,13 @@ const DeploymentDashboard = () => {
 
   // SAFETY: track pending timeouts to avoid setState on unmounted component
   const timeoutsRef = useRef(new Map());
+  const logSourceRef = useRef(null);
+  const logContainerRef = useRef(null);
+  const logStickToBottomRef = useRef(true);
+  // Filters only apply once submitted, while background refreshes keep using the last submitted set.
+  const appliedDeploymentFiltersRef = useRef(EMPTY_DEPLOYMENT_FILTERS);
+  // Read by background release refreshes, which must follow the environment shown in the project view.
+  const selectedEnvironmentRef = useRef(DEFAULT_ENVIRONMENT);
   const createEnvEntry = useCallback((entry = {}) => ({
     key: entry.key || '',
     value: entry.isSecret ? '' : (entry.value || ''),
@@ -115,16 +207,36 @@ const DeploymentDashboard = () => {
   }), []);
 
   const handleUnauthorized = useCallback(() => {
-    setAuth({ checked: true, authenticated: false, user: null });
+    setAuth({ checked: true, authenticated: false, user: null, twoFactor: null });
     setProjects([]);
     setSelectedProject(null);
     setView('dashboard');
     setDeploymentStatus({});
     setDeploymentHistory({});
+    setDeploymentFilters(EMPTY_DEPLOYMENT_FILTERS);
+    appliedDeploymentFiltersRef.current = EMPTY_DEPLOYMENT_FILTERS;
+    setDeployMessage('');
+    setVersionPicker(CLOSED_VERSION_PICKER);
+    setReleaseHistory({});
+    setProjectMembers({});
+    setMemberForm(EMPTY_MEMBER_FORM);
+    setAdminUsers({ items: [], loading: false, error: '' });
+    setSessions({ items: [], loading: false, error: '' });
+    setApiTokens({ items: [], loading: false, error: '' });
+    setTokenForm(EMPTY_TOKEN_FORM);
+    setCreatedToken(null);
+    setTwoFactor(EMPTY_TWO_FACTOR);
+    setPlatformSettings({ requireTwoFactor: false, allowedGitHosts: 'github.com', saving: false, error: '' });
+    setAuditEntries({ items: [], loading: false, error: '' });
+    setAuditFilters(EMPTY_AUDIT_FILTERS);
     setDeployingProjects(new Set());
-    setLogViewer({ open: false, deploymentId: null, content: '', loading: false, error: '' });
+    if (logSourceRef.current) {
+      logSourceRef.current.close();
+      logSourceRef.current = null;
+    }
+    setLogViewer(CLOSED_LOG_VIEWER);
     setProjectError('');
-    setLoginForm(prev => ({ ...prev, error: '', loading: false, password: '' }));
+    setLoginForm(prev => ({ ...EMPTY_LOGIN_FORM, username: prev.username }));
     setSignupForm({ username: '', password: '', confirmPassword: '', loading: false, error: '' });
     setAuthTab('login');
   }, []);
@@ -185,7 +297,14 @@ const DeploymentDashboard = () => {
         role: data.user.role,
         isAdmin: !!data.user.isAdmin
       };
-      setAuth({ checked: true, authenticated: true, user });
+      const twoFactorState = {
+        enabled: !!data.twoFactor?.enabled,
+        enrollmentRequired: !!data.twoFactor?.enrollmentRequired
+      };
+      setAuth({ checked: true, authenticated: true, user, twoFactor: twoFactorState });
+      if (twoFactorState.enrollmentRequired) {
+        setView('security');
+      }
     } catch (error) {
       console.error('Failed to verify auth', error);
       setAuth({ checked: true, authenticated: false, user: null });
@@ -222,15 +341,57 @@ const DeploymentDashboard = () => {
         const detail = await describeHttpError(res);
         throw new Error(detail || 'Invalid credentials');
       }
-      await refreshAuth();
-      setLoginForm(prev => ({ ...prev, password: '', loading: false, error: '' }));
+      const data = await res.json().catch(() => ({}));
+      if (data?.twoFactorRequired) {
+        setLoginForm(prev => ({ ...prev, password: '', challengeToken: data.challengeToken, code: '', loading: false, error: '' }));
+        return;
+      }
       setView('dashboard');
+      await refreshAuth();
+      setLoginForm(prev => ({ ...EMPTY_LOGIN_FORM, username: prev.username }));
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Login failed';
       setLoginForm(prev => ({ ...prev, loading: false, error: message }));
     }
   };
 
+  // Six digits are an authenticator code; anything else is treated as a recovery code.
+  const handleVerifyTwoFactor = async (event) => {
+    event?.preventDefault?.();
+    const value = loginForm.code.trim();
+    const isTotp = /^\d{6}$/.test(value.replace(/\s+/g, ''));
+    setLoginForm(prev => ({ ...prev, loading: true, error: '' }));
+    try {
+      const res = await fetch(`${API_BASE}/auth/2fa/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          challengeToken: loginForm.challengeToken,
+          ...(isTotp ? { code: value.replace(/\s+/g, '') } : { recoveryCode: value })
+        })
+      });
+      if (!res.ok) {
+        const detail = await describeHttpError(res);
+        throw new Error(detail || 'Verification failed');
+      }
+      const data = await res.json().catch(() => ({}));
+      setView('dashboard');
+      await refreshAuth();
+      setLoginForm(prev => ({ ...EMPTY_LOGIN_FORM, username: prev.username }));
+      if (Number.isInteger(data?.recoveryCodesRemaining)) {
+        alert(`Recovery code used. ${data.recoveryCodesRemaining} remaining.`);
+      }
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Verification failed';
+      setLoginForm(prev => ({ ...prev, loading: false, error: message }));
+    }
+  };
+
+  const cancelTwoFactorLogin = () => {
+    setLoginForm(prev => ({ ...EMPTY_LOGIN_FORM, username: prev.username }));
+  };
+
   const handleSignup = async (event) => {
     event?.preventDefault?.();
     if (!signupForm.username || !signupForm.password) {
@@ -257,9 +418,9 @@ const DeploymentDashboard = () => {
         const detail = await describeHttpError(res);
         throw new Error(detail || 'Signup failed');
       }
+      setView('dashboard');
       await refreshAuth();
       setSignupForm({ username: '', password: '', confirmPassword: '', loading: false, error: '' });
-      setView('dashboard');
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Signup failed';
       setSignupForm(prev => ({ ...prev, loading: false, error: message }));
@@ -278,6 +439,348 @@ const DeploymentDashboard = () => {
 
   useEffect(() => { refreshAuth(); }, [refreshAuth]);
 
+  const loadAdminUsers = useCallback(async () => {
+    setAdminUsers(prev => ({ ...prev, loading: true, error: '' }));
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/users`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setAdminUsers({ items: Array.isArray(data) ? data : [], loading: false, error: '' });
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setAdminUsers(prev => ({ ...prev, loading: false, error: error.message || 'Failed to load users' }));
+    }
+  }, [apiFetch]);
+
+  const loadPlatformSettings = useCallback(async () => {
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/settings`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setPlatformSettings(toPlatformSettingsState(data));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setPlatformSettings(prev => ({ ...prev, error: error.message || 'Failed to load settings' }));
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    if (view === 'users' && auth.user?.isAdmin) {
+      loadAdminUsers();
+      loadPlatformSettings();
+    }
+  }, [view, auth.user, loadAdminUsers, loadPlatformSettings]);
+
+  const loadAuditLog = useCallback(async (filters = EMPTY_AUDIT_FILTERS) => {
+    setAuditEntries(prev => ({ ...prev, loading: true, error: '' }));
+    const params = new URLSearchParams({ limit: '200' });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value.trim()) params.set(key, value.trim());
+    });
+    try {
+      const res = await apiFetch(`${API_BASE}/audit?${params.toString()}`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setAuditEntries({ items: Array.isArray(data) ? data : [], loading: false, error: '' });
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setAuditEntries(prev => ({ ...prev, loading: false, error: error.message || 'Failed to load audit log' }));
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    if (view === 'audit' && auth.user?.isAdmin) {
+      setAuditFilters(EMPTY_AUDIT_FILTERS);
+      loadAuditLog();
+    }
+  }, [view, auth.user, loadAuditLog]);
+
+  const updatePlatformSettings = async (patch) => {
+    setPlatformSettings(prev => ({ ...prev, saving: true, error: '' }));
+    try {
+      const res = await apiFetch(`${API_BASE}/admin/settings`, {
+        method: 'PATCH',
+        body: JSON.stringify(patch)
+      });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setPlatformSettings(toPlatformSettingsState(data));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setPlatformSettings(prev => ({ ...prev, saving: false, error: error.message || 'Failed to update settings' }));
+    }
+  };
+
+  const handleToggleRequireTwoFactor = async () => {
+    const requireTwoFactor = !platformSettings.requireTwoFactor;
+    if (requireTwoFactor && !window.confirm('Require two-factor authentication for everyone? Users without it will have to set it up before doing anything else.')) return;
+    await updatePlatformSettings({ requireTwoFactor });
+  };
+
+  const handleSaveAllowedGitHosts = async () => {
+    const allowedGitHosts = platformSettings.allowedGitHosts.split(/[\s,]+/).map((host) => host.trim()).filter(Boolean);
+    await updatePlatformSettings({ allowedGitHosts });
+  };
+
+  const loadSessions = useCallback(async () => {
+    setSessions(prev => ({ ...prev, loading: true, error: '' }));
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/sessions`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setSessions({ items: Array.isArray(data) ? data : [], loading: false, error: '' });
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setSessions(prev => ({ ...prev, loading: false, error: error.message || 'Failed to load sessions' }));
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    if (view === 'sessions' && auth.authenticated) {
+      loadSessions();
+    }
+  }, [view, auth.authenticated, loadSessions]);
+
+  const handleRevokeSession = async (session) => {
+    if (!window.confirm(session.current ? 'Sign out of this browser?' : 'Revoke this session?')) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/sessions/${session.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      if (session.current) {
+        handleUnauthorized();
+        return;
+      }
+      await loadSessions();
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Failed to revoke session');
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Sign out of every browser and device, including this one?')) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/sessions`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      handleUnauthorized();
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Failed to sign out everywhere');
+    }
+  };
+
+  const loadTwoFactorStatus = useCallback(async () => {
+    setTwoFactor(prev => ({ ...prev, loading: true, error: '' }));
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/2fa`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setTwoFactor(prev => ({ ...prev, status: data, loading: false }));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setTwoFactor(prev => ({ ...prev, loading: false, error: error.message || 'Failed to load two-factor status' }));
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    if (view === 'security' && auth.authenticated) {
+      loadTwoFactorStatus();
+    } else {
+      setTwoFactor(EMPTY_TWO_FACTOR);
+    }
+  }, [view, auth.authenticated, loadTwoFactorStatus]);
+
+  const handleStartTwoFactorSetup = async () => {
+    setTwoFactor(prev => ({ ...prev, saving: true, error: '', recoveryCodes: null }));
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/2fa/setup`, { method: 'POST' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setTwoFactor(prev => ({ ...prev, setup: data, code: '', saving: false }));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setTwoFactor(prev => ({ ...prev, saving: false, error: error.message || 'Failed to start setup' }));
+    }
+  };
+
+  const handleEnableTwoFactor = async () => {
+    setTwoFactor(prev => ({ ...prev, saving: true, error: '' }));
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/2fa/enable`, {
+        method: 'POST',
+        body: JSON.stringify({ code: twoFactor.code.trim() })
+      });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setTwoFactor(prev => ({ ...prev, setup: null, code: '', recoveryCodes: data.recoveryCodes, saving: false }));
+      await Promise.all([loadTwoFactorStatus(), refreshAuth()]);
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setTwoFactor(prev => ({ ...prev, saving: false, error: error.message || 'Failed to enable two-factor authentication' }));
+    }
+  };
+
+  const handleDisableTwoFactor = async () => {
+    const value = window.prompt('Enter a code from your authenticator app (or a recovery code) to turn off two-factor authentication.');
+    if (!value) return;
+    const trimmed = value.trim();
+    const body = /^\d{6}$/.test(trimmed) ? { code: trimmed } : { recoveryCode: trimmed };
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/2fa/disable`, { method: 'POST', body: JSON.stringify(body) });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      setTwoFactor(prev => ({ ...prev, recoveryCodes: null }));
+      await Promise.all([loadTwoFactorStatus(), refreshAuth()]);
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Failed to disable two-factor authentication');
+    }
+  };
+
+  const handleRegenerateRecoveryCodes = async () => {
+    const code = window.prompt('Enter a code from your authenticator app. Your existing recovery codes will stop working.');
+    if (!code) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/2fa/recovery-codes`, { method: 'POST', body: JSON.stringify({ code: code.trim() }) });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setTwoFactor(prev => ({ ...prev, recoveryCodes: data.recoveryCodes }));
+      await loadTwoFactorStatus();
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Failed to regenerate recovery codes');
+    }
+  };
+
+  const loadApiTokens = useCallback(async () => {
+    setApiTokens(prev => ({ ...prev, loading: true, error: '' }));
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/tokens`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setApiTokens({ items: Array.isArray(data) ? data : [], loading: false, error: '' });
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setApiTokens(prev => ({ ...prev, loading: false, error: error.message || 'Failed to load API tokens' }));
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    if (view === 'tokens' && auth.authenticated) {
+      loadApiTokens();
+    } else {
+      setCreatedToken(null);
+    }
+  }, [view, auth.authenticated, loadApiTokens]);
+
+  const toggleTokenScope = (scope) => {
+    setTokenForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter(item => item !== scope) : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreateApiToken = async () => {
+    if (!tokenForm.name.trim() || !tokenForm.scopes.length) {
+      setTokenForm(prev => ({ ...prev, error: 'Give the token a name and at least one scope.' }));
+      return;
+    }
+    setTokenForm(prev => ({ ...prev, saving: true, error: '' }));
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/tokens`, {
+        method: 'POST',
+        body: JSON.stringify({
+          name: tokenForm.name.trim(),
+          scopes: tokenForm.scopes,
+          expiresInDays: tokenForm.expiresInDays ? Number(tokenForm.expiresInDays) : null
+        })
+      });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setCreatedToken(data);
+      setTokenForm(EMPTY_TOKEN_FORM);
+      await loadApiTokens();
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setTokenForm(prev => ({ ...prev, saving: false, error: error.message || 'Failed to create token' }));
+    }
+  };
+
+  const handleRevokeApiToken = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/auth/tokens/${token.id}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      if (createdToken?.id === token.id) setCreatedToken(null);
+      await loadApiTokens();
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Failed to revoke token');
+    }
+  };
+
+  const runUserAction = async (userId, request, successMessage) => {
+    setUserActionPending(userId);
+    try {
+      const res = await request();
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      await loadAdminUsers();
+      if (successMessage) alert(successMessage);
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'User update failed');
+    } finally {
+      setUserActionPending(null);
+    }
+  };
+
+  const handleToggleUserDisabled = (user) => {
+    const action = user.disabled ? 'enable' : 'disable';
+    if (!user.disabled && !window.confirm(`Disable ${user.username}? They will be signed out everywhere.`)) return;
+    runUserAction(user.id, () => apiFetch(`${API_BASE}/admin/users/${user.id}/${action}`, { method: 'POST' }));
+  };
+
+  const handleToggleUserRole = (user) => {
+    const role = user.role === 'admin' ? 'user' : 'admin';
+    if (!window.confirm(role === 'admin' ? `Give ${user.username} admin access to every project?` : `Remove admin access from ${user.username}?`)) return;
+    runUserAction(user.id, () => apiFetch(`${API_BASE}/admin/users/${user.id}/role`, {
+      method: 'POST',
+      body: JSON.stringify({ role })
+    }));
+  };
+
+  const handleResetUserPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username} (at least ${MIN_PASSWORD_LENGTH} characters). Existing sessions will be signed out.`);
+    if (password == null) return;
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      alert(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+      return;
+    }
+    runUserAction(user.id, () => apiFetch(`${API_BASE}/admin/users/${user.id}/password`, {
+      method: 'POST',
+      body: JSON.stringify({ password })
+    }), 'Password updated.');
+  };
+
+  const handleTransferUserProjects = (user, toUserId) => {
+    if (!toUserId) return;
+    const target = toUserId === 'admin' ? 'the platform admin' : (adminUsers.items.find(item => item.id === toUserId)?.username || toUserId);
+    if (!window.confirm(`Transfer ${user.projectCount} project(s) from ${user.username} to ${target}?`)) return;
+    runUserAction(user.id, () => apiFetch(`${API_BASE}/admin/users/${user.id}/transfer`, {
+      method: 'POST',
+      body: JSON.stringify({ toUserId })
+    })).then(loadProjects);
+  };
+
+  const handleResetUserTwoFactor = (user) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.username}? They will be able to sign in with their password alone.`)) return;
+    runUserAction(user.id, () => apiFetch(`${API_BASE}/admin/users/${user.id}/2fa/reset`, { method: 'POST' }));
+  };
+
+  const handleDeleteUser = (user) => {
+    if (!window.confirm(`Delete ${user.username}? This cannot be undone.`)) return;
+    runUserAction(user.id, () => apiFetch(`${API_BASE}/admin/users/${user.id}`, { method: 'DELETE' }));
+  };
+
   useEffect(() => {
     if (!auth.checked) return;
     if (auth.authenticated) {
@@ -299,7 +802,11 @@ const DeploymentDashboard = () => {
   const fetchProjectDeployments = useCallback(async (projectId) => {
     if (!projectId) return;
     try {
-      const res = await apiFetch(`${API_BASE}/projects/${projectId}/deployments?limit=10`);
+      const params = new URLSearchParams({ limit: '10' });
+      Object.entries(appliedDeploymentFiltersRef.current).forEach(([key, value]) => {
+        if (value.trim()) params.set(key, value.trim());
+      });
+      const res = await apiFetch(`${API_BASE}/projects/${projectId}/deployments?${params.toString()}`);
       if (!res.ok) throw new Error(`HTTP ${res.status}`);
       const data = await res.json();
       setDeploymentHistory(prev => ({ ...prev, [projectId]: Array.isArray(data) ? data : [] }));
@@ -309,6 +816,82 @@ const DeploymentDashboard = () => {
     }
   }, [apiFetch]);
 
+  const fetchProjectReleases = useCallback(async (projectId) => {
+    if (!projectId) return;
+    try {
+      const res = await apiFetch(`${environmentBase(projectId, selectedEnvironmentRef.current)}/releases`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setReleaseHistory(prev => ({ ...prev, [projectId]: Array.isArray(data) ? data : [] }));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      console.error('Failed to load releases', error);
+    }
+  }, [apiFetch]);
+
+  const fetchProjectMembers = useCallback(async (projectId) => {
+    if (!projectId) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/projects/${projectId}/members`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      setProjectMembers(prev => ({ ...prev, [projectId]: Array.isArray(data) ? data : [] }));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      console.error('Failed to load project members', error);
+    }
+  }, [apiFetch]);
+
+  const updateProjectMembers = async (projectId, request) => {
+    const res = await request();
+    if (!res.ok) throw new Error(await describeHttpError(res));
+    const data = await res.json();
+    setProjectMembers(prev => ({ ...prev, [projectId]: Array.isArray(data) ? data : [] }));
+  };
+
+  const handleAddMember = async (projectId) => {
+    if (!projectId || !memberForm.username.trim()) return;
+    setMemberForm(prev => ({ ...prev, saving: true, error: '' }));
+    try {
+      await updateProjectMembers(projectId, () => apiFetch(`${API_BASE}/projects/${projectId}/members`, {
+        method: 'POST',
+        body: JSON.stringify({ username: memberForm.username.trim(), role: memberForm.role })
+      }));
+      setMemberForm(prev => ({ ...EMPTY_MEMBER_FORM, role: prev.role }));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setMemberForm(prev => ({ ...prev, saving: false, error: error.message || 'Failed to add member' }));
+    }
+  };
+
+  const handleChangeMemberRole = async (projectId, member, role) => {
+    try {
+      await updateProjectMembers(projectId, () => apiFetch(`${API_BASE}/projects/${projectId}/members/${member.userId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ role })
+      }));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Failed to change role');
+    }
+  };
+
+  const handleRemoveMember = async (projectId, member) => {
+    const leaving = member.userId === auth.user?.id;
+    if (!window.confirm(leaving ? 'Leave this project? You will lose access to it.' : `Remove ${member.username || 'this member'} from the project?`)) return;
+    try {
+      await updateProjectMembers(projectId, () => apiFetch(`${API_BASE}/projects/${projectId}/members/${member.userId}`, { method: 'DELETE' }));
+      if (leaving) {
+        setSelectedProject(null);
+        setView('dashboard');
+        await loadProjects();
+      }
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Failed to remove member');
+    }
+  };
+
   const pollDeployment = useCallback((projectId, deploymentId) => {
     if (!projectId || !deploymentId) return;
     const poll = async () => {
@@ -317,7 +900,7 @@ const DeploymentDashboard = () => {
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
         setDeploymentStatus(prev => ({ ...prev, [projectId]: data }));
-        if (data.status === 'success' || data.status === 'failed') {
+        if (FINAL_DEPLOYMENT_STATUSES.has(data.status)) {
           const existingTimeout = timeoutsRef.current.get(deploymentId);
           if (existingTimeout) {
             clearTimeout(existingTimeout);
@@ -329,6 +912,7 @@ const DeploymentDashboard = () => {
             return next;
           });
           await fetchProjectDeployments(projectId);
+          await fetchProjectReleases(projectId);
           await loadProjects();
         } else {
           const timeout = setTimeout(poll, 3000);
@@ -353,7 +937,7 @@ const DeploymentDashboard = () => {
       }
     };
     poll();
-  }, [fetchProjectDeployments, loadProjects]);
+  }, [fetchProjectDeployments, fetchProjectReleases, loadProjects]);
 
   const fetchProjectDetail = useCallback(async (projectId) => {
     if (!projectId) return null;
@@ -379,8 +963,10 @@ const DeploymentDashboard = () => {
   useEffect(() => {
     if (selectedProject?.id) {
       fetchProjectDeployments(selectedProject.id);
+      fetchProjectReleases(selectedProject.id);
+      fetchProjectMembers(selectedProject.id);
     }
-  }, [selectedProject, fetchProjectDeployments]);
+  }, [selectedProject, fetchProjectDeployments, fetchProjectReleases, fetchProjectMembers]);
 
   useEffect(() => {
     if (!selectedProject) {
@@ -396,14 +982,28 @@ const DeploymentDashboard = () => {
       templateId: selectedProject.templateId || '',
       buildCommand: selectedProject.buildCommand || '',
       buildOutput: selectedProject.buildOutput || '',
+      rootDirectory: selectedProject.rootDirectory || '',
+      watchPaths: Array.isArray(selectedProject.watchPaths) ? selectedProject.watchPaths.join('\n') : '',
       installCommand: selectedProject.installCommand || '',
       testCommand: selectedProject.testCommand || '',
       startCommand: selectedProject.startCommand || '',
       deployPath: selectedProject.deployPath || '',
       runtime: selectedProject.runtime || 'static',
+      syncStrategy: selectedProject.syncStrategy || 'ff-only',
+      repoToken: '',
+      repoTokenUsername: selectedProject.repoAuth?.username || '',
       domain: selectedProject.domain || '',
       port: selectedProject.port ? String(selectedProject.port) : '',
-      target: selectedProject.target || 'server'
+      target: selectedProject.target || 'server',
+      stepTimeoutSeconds: selectedProject.stepTimeoutSeconds != null ? String(selectedProject.stepTimeoutSeconds) : '',
+      deployTimeoutSeconds: selectedProject.deployTimeoutSeconds != null ? String(selectedProject.deployTimeoutSeconds) : '',
+      healthcheckPath: selectedProject.healthcheckPath || '',
+      healthcheckStatus: selectedProject.healthcheckStatus != null ? String(selectedProject.healthcheckStatus) : '',
+      healthcheckTimeoutSeconds: selectedProject.healthcheckTimeoutSeconds != null ? String(selectedProject.healthcheckTimeoutSeconds) : '',
+      keepReleases: selectedProject.keepReleases != null ? String(selectedProject.keepReleases) : '',
+      releaseMaxAgeDays: selectedProject.releaseMaxAgeDays != null ? String(selectedProject.releaseMaxAgeDays) : '',
+      previewDomain: selectedProject.previewDomain || '',
+      maxPreviews: selectedProject.maxPreviews != null ? String(selectedProject.maxPreviews) : ''
     });
     const envArray = Array.isArray(selectedProject.env) ? selectedProject.env : [];
     const entries = envArray.map((item) => createEnvEntry(item));
@@ -416,6 +1016,9 @@ const DeploymentDashboard = () => {
     switch(status) {
       case 'success': return 'bg-green-100 text-green-800 border-green-300';
       case 'failed': return 'bg-red-100 text-red-800 border-red-300';
+      case 'cancelled':
+      case 'interrupted':
+        return 'bg-amber-100 text-amber-800 border-amber-300';
       case 'deploying':
       case 'running':
       case 'queued':
@@ -434,12 +1037,15 @@ const DeploymentDashboard = () => {
     setSelectedProject(prev => (prev?.id === projectId ? { ...prev, status: 'deploying', lastDeploy: 'Deploying now' } : prev));
 
     try {
-      const res = await apiFetch(`${API_BASE}/projects/${projectId}/deploy`, {
+      const { environment, ...body } = options || {};
+      const res = await apiFetch(`${environmentBase(projectId, environment)}/deploy`, {
         method: 'POST',
-        body: JSON.stringify(options || {})
+        body: JSON.stringify(body)
       });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
       const data = await res.json();
+      if (options?.message) setDeployMessage('');
+      if (options?.ref) setVersionPicker(CLOSED_VERSION_PICKER);
       setDeploymentStatus(prev => ({ ...prev, [projectId]: data }));
       pollDeployment(projectId, data.deploymentId);
     } catch (error) {
@@ -459,16 +1065,18 @@ const DeploymentDashboard = () => {
     }
   };
 
-  const handleRollback = async (projectId) => {
+  const handleRollback = async (projectId, envName = DEFAULT_ENVIRONMENT) => {
     if (!projectId) return;
-    if (!window.confirm('Rollback to the previous release?')) return;
+    if (!window.confirm(`Rollback ${envName} to the previous release?`)) return;
     setRollbackLoading(true);
     try {
-      const res = await apiFetch(`${API_BASE}/projects/${projectId}/rollback`, { method: 'POST' });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const res = await apiFetch(`${environmentBase(projectId, envName)}/rollback`, { method: 'POST' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
       await fetchProjectDeployments(projectId);
+      await fetchProjectReleases(projectId);
       await loadProjects();
-      alert('Rollback completed and nginx reloaded.');
+      alert(`Rolled back to ${data.release || 'the previous release'} and reloaded nginx.`);
     } catch (error) {
       if (error?.code === AUTH_ERROR_CODE) return;
       const message = error instanceof Error ? error.message : 'Rollback failed';
@@ -478,27 +1086,218 @@ const DeploymentDashboard = () => {
     }
   };
 
-  const openLogs = async (deploymentId) => {
-    if (!deploymentId) return;
-    setLogViewer({ open: true, deploymentId, content: '', loading: true, error: '' });
+  const openVersionPicker = async (projectId) => {
+    if (!projectId) return;
+    setVersionPicker({ ...CLOSED_VERSION_PICKER, open: true, loading: true });
     try {
-      const res = await apiFetch(`${API_BASE}/deployments/${deploymentId}/log`);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const text = await res.text();
-      setLogViewer({ open: true, deploymentId, content: text || 'No logs available yet.', loading: false, error: '' });
+      const res = await apiFetch(`${API_BASE}/projects/${projectId}/refs`);
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const refs = await res.json();
+      setVersionPicker(prev => ({ ...prev, loading: false, refs }));
     } catch (error) {
-      if (error?.code === AUTH_ERROR_CODE) {
-        return;
-      }
-      const message = error instanceof Error ? error.message : 'Unable to load logs';
-      setLogViewer({ open: true, deploymentId, content: '', loading: false, error: message });
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setVersionPicker(prev => ({ ...prev, loading: false, error: error.message || 'Failed to load versions' }));
     }
   };
 
-  const closeLogViewer = () => setLogViewer({ open: false, deploymentId: null, content: '', loading: false, error: '' });
+  const handleApplyDeploymentFilters = (e) => {
+    e.preventDefault();
+    appliedDeploymentFiltersRef.current = deploymentFilters;
+    fetchProjectDeployments(selectedProject?.id);
+  };
 
-  const openProjectView = useCallback(async (project, nextView) => {
+  const handleClearDeploymentFilters = () => {
+    setDeploymentFilters(EMPTY_DEPLOYMENT_FILTERS);
+    appliedDeploymentFiltersRef.current = EMPTY_DEPLOYMENT_FILTERS;
+    fetchProjectDeployments(selectedProject?.id);
+  };
+
+  const handleActivateRelease = async (projectId, releaseName, envName = DEFAULT_ENVIRONMENT) => {
+    if (!projectId || !releaseName || activatingRelease) return;
+    if (!window.confirm(`Activate release ${releaseName} in ${envName}? Traffic will switch to it immediately.`)) return;
+    setActivatingRelease(releaseName);
+    try {
+      const res = await apiFetch(`${environmentBase(projectId, envName)}/releases/${encodeURIComponent(releaseName)}/activate`, { method: 'POST' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      await fetchProjectDeployments(projectId);
+      await fetchProjectReleases(projectId);
+      await loadProjects();
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      const message = error instanceof Error ? error.message : 'Activation failed';
+      alert(message);
+      fetchProjectDeployments(projectId);
+    } finally {
+      setActivatingRelease(null);
+    }
+  };
+
+  const selectEnvironment = (envName) => {
+    selectedEnvironmentRef.current = envName;
+    setSelectedEnvironment(envName);
+    setPromoteSource('');
+    fetchProjectReleases(selectedProject?.id);
+  };
+
+  const handlePromoteRelease = async (projectId, from, to) => {
+    if (!projectId || !from || !to || promoting) return;
+    if (!window.confirm(`Promote the live ${from} release to ${to}? The same build goes live right away, without rebuilding.`)) return;
+    setPromoting(true);
+    try {
+      const res = await apiFetch(`${environmentBase(projectId, to)}/promote`, {
+        method: 'POST',
+        body: JSON.stringify({ from })
+      });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      await fetchProjectDeployments(projectId);
+      await fetchProjectReleases(projectId);
+      await loadProjects();
+      alert(`Promoted ${data.release} from ${from} to ${to}.`);
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || 'Promotion failed');
+      fetchProjectDeployments(projectId);
+    } finally {
+      setPromoting(false);
+    }
+  };
+
+  const handleCancelDeployment = async (projectId, deploymentId) => {
+    if (!projectId || !deploymentId || cancellingDeployments.has(deploymentId)) return;
+    if (!window.confirm('Cancel this deployment?')) return;
+    setCancellingDeployments(prev => new Set(prev).add(deploymentId));
+    try {
+      const res = await apiFetch(`${API_BASE}/deployments/${deploymentId}/cancel`, { method: 'POST' });
+      if (!res.ok) {
+        const detail = await describeHttpError(res);
+        throw new Error(detail);
+      }
+      const data = await res.json();
+      setDeploymentStatus(prev => (
+        prev[projectId]?.deploymentId === deploymentId ? { ...prev, [projectId]: { ...prev[projectId], status: data.status } } : prev
+      ));
+      await fetchProjectDeployments(projectId);
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      const message = error instanceof Error ? error.message : 'Failed to cancel deployment';
+      alert(message);
+    } finally {
+      setCancellingDeployments(prev => {
+        const next = new Set(prev);
+        next.delete(deploymentId);
+        return next;
+      });
+    }
+  };
+
+  const stopLogStream = () => {
+    if (logSourceRef.current) {
+      logSourceRef.current.close();
+      logSourceRef.current = null;
+    }
+  };
+
+  const loadLogSnapshot = async (deploymentId) => {
+    try {
+      const res = await apiFetch(`${API_BASE}/deployments/${deploymentId}/log`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const text = await res.text();
+      setLogViewer(prev => (prev.deploymentId === deploymentId
+        ? { ...prev, content: text || 'No logs available yet.', loading: false, error: '', live: false }
+        : prev));
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) {
+        return;
+      }
+      const message = error instanceof Error ? error.message : 'Unable to load logs';
+      setLogViewer(prev => (prev.deploymentId === deploymentId ? { ...prev, content: '', loading: false, error: message, live: false } : prev));
+    }
+  };
+
+  const openLogs = async (deploymentId) => {
+    if (!deploymentId) return;
+    stopLogStream();
+    logStickToBottomRef.current = true;
+    setLogViewer({ ...CLOSED_LOG_VIEWER, open: true, deploymentId, loading: true });
+    if (typeof window === 'undefined' || typeof window.EventSource !== 'function') {
+      await loadLogSnapshot(deploymentId);
+      return;
+    }
+    const source = new window.EventSource(`${API_BASE}/deployments/${deploymentId}/log/stream`, { withCredentials: true });
+    logSourceRef.current = source;
+    const update = (fn) => setLogViewer(prev => (prev.deploymentId === deploymentId ? fn(prev) : prev));
+    const parse = (event) => {
+      try {
+        return JSON.parse(event.data);
+      } catch {
+        return {};
+      }
+    };
+    source.addEventListener('snapshot', (event) => {
+      const data = parse(event);
+      update(prev => ({ ...prev, loading: false, error: '', live: true, status: data.status || prev.status, steps: data.steps || {} }));
+    });
+    source.addEventListener('log', (event) => {
+      const data = parse(event);
+      if (!data.text) return;
+      update(prev => ({ ...prev, loading: false, content: prev.content + data.text }));
+    });
+    source.addEventListener('step', (event) => {
+      const { step, ...rest } = parse(event);
+      if (!step) return;
+      update(prev => ({ ...prev, steps: { ...prev.steps, [step]: rest } }));
+    });
+    source.addEventListener('status', (event) => {
+      const data = parse(event);
+      update(prev => ({ ...prev, status: data.status || prev.status }));
+    });
+    source.addEventListener('end', (event) => {
+      const data = parse(event);
+      source.close();
+      if (logSourceRef.current === source) logSourceRef.current = null;
+      update(prev => ({ ...prev, loading: false, live: false, status: data.status || prev.status }));
+    });
+    source.onerror = () => {
+      // The browser reconnects on its own (resuming via Last-Event-ID) unless the stream was rejected outright.
+      if (source.readyState !== window.EventSource.CLOSED) return;
+      if (logSourceRef.current === source) logSourceRef.current = null;
+      loadLogSnapshot(deploymentId);
+    };
+  };
+
+  const closeLogViewer = () => {
+    stopLogStream();
+    setLogViewer(CLOSED_LOG_VIEWER);
+  };
+
+  const handleLogScroll = (event) => {
+    const { scrollTop, scrollHeight, clientHeight } = event.currentTarget;
+    logStickToBottomRef.current = scrollHeight - scrollTop - clientHeight < 40;
+  };
+
+  useEffect(() => {
+    const container = logContainerRef.current;
+    if (container && logStickToBottomRef.current) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }, [logViewer.content]);
+
+  // SAFETY: close any open log stream on unmount
+  useEffect(() => () => {
+    if (logSourceRef.current) {
+      logSourceRef.current.close();
+      logSourceRef.current = null;
+    }
+  }, []);
+
+  const openProjectView = useCallback(async (project, nextView) => {
     if (!project?.id) return;
+    selectedEnvironmentRef.current = DEFAULT_ENVIRONMENT;
+    setSelectedEnvironment(DEFAULT_ENVIRONMENT);
+    setPromoteSource('');
+    setEnvironmentForm(EMPTY_ENVIRONMENT_FORM);
+    setSettingsTab('general');
     setSelectedProject(project);
     setView(nextView);
     try {
@@ -507,6 +1306,10 @@ const DeploymentDashboard = () => {
         setSelectedProject(detail);
         setProjects(prev => prev.map(p => p.id === detail.id ? detail : p));
         if (nextView === 'logs') {
+          setDeploymentFilters(EMPTY_DEPLOYMENT_FILTERS);
+          appliedDeploymentFiltersRef.current = EMPTY_DEPLOYMENT_FILTERS;
+          setDeployMessage('');
+          setVersionPicker(CLOSED_VERSION_PICKER);
           fetchProjectDeployments(detail.id);
         }
       }
@@ -531,6 +1334,142 @@ const DeploymentDashboard = () => {
     }
   };
 
+  const handleResetRepository = async () => {
+    if (!selectedProject?.id || repoResetting) return;
+    if (!window.confirm('Delete the local clone and clone the repository again? Uncommitted build artifacts in it are lost.')) return;
+    setRepoResetting(true);
+    setSettingsAlert({ type: '', message: '' });
+    try {
+      const res = await apiFetch(`${API_BASE}/projects/${selectedProject.id}/repo/reset`, { method: 'POST' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const data = await res.json();
+      setSettingsAlert({ type: 'success', message: `Cloned ${data.branch} again at ${String(data.commit || '').slice(0, 7)}` });
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setSettingsAlert({ type: 'error', message: error.message || 'Failed to reset the repository' });
+    } finally {
+      setRepoResetting(false);
+    }
+  };
+
+  const handleRemoveRepoToken = async () => {
+    if (!selectedProject?.id) return;
+    if (!window.confirm('Remove the saved access token? Deployments of a private repository will fail until a new one is added.')) return;
+    setSettingsSaving(true);
+    setSettingsAlert({ type: '', message: '' });
+    try {
+      const res = await apiFetch(`${API_BASE}/projects/${selectedProject.id}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ repoToken: null })
+      });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const updated = await res.json();
+      setSelectedProject(updated);
+      setProjects(prev => prev.map(p => p.id === updated.id ? updated : p));
+      setSettingsAlert({ type: 'success', message: 'Access token removed' });
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setSettingsAlert({ type: 'error', message: error.message || 'Failed to remove the access token' });
+    } finally {
+      setSettingsSaving(false);
+    }
+  };
+
+  const handleRotateDeployKey = async () => {
+    if (!selectedProject?.id) return;
+    if (selectedProject.deployKey && !window.confirm('Generate a new deploy key? The current key stops working right away, so deploys fail until the new public key is added to the repository.')) return;
+    setSettingsSaving(true);
+    setSettingsAlert({ type: '', message: '' });
+    try {
+      const res = await apiFetch(`${API_BASE}/projects/${selectedProject.id}/deploy-key/rotate`, { method: 'POST' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      const updated = await res.json();
+      setSelectedProject(updated);
+      setProjects(prev => prev.map(p => p.id === updated.id ? updated : p));
+      setSettingsAlert({ type: 'success', message: 'New deploy key generated. Add it to the repository before the next deploy.' });
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setSettingsAlert({ type: 'error', message: error.message || 'Failed to generate a deploy key' });
+    } finally {
+      setSettingsSaving(false);
+    }
+  };
+
+  const refreshSelectedProject = async (projectId) => {
+    const detail = await fetchProjectDetail(projectId);
+    if (detail) {
+      setSelectedProject(detail);
+      setProjects(prev => prev.map(p => p.id === detail.id ? detail : p));
+    }
+  };
+
+  const startEditEnvironment = (envName) => {
+    const settings = selectedProject?.environments?.[envName];
+    if (!settings) return;
+    setEnvironmentForm({
+      ...EMPTY_ENVIRONMENT_FORM,
+      editing: envName,
+      name: envName,
+      branch: settings.branch || '',
+      domain: settings.domain || '',
+      deployPath: settings.deployPath || '',
+      port: settings.port ? String(settings.port) : '',
+      envText: (settings.env || []).filter(entry => !entry.isSecret).map(entry => `${entry.key}=${entry.value}`).join('\n')
+    });
+  };
+
+  const handleSaveEnvironment = async () => {
+    if (!selectedProject?.id || environmentForm.saving) return;
+    const { editing } = environmentForm;
+    setEnvironmentForm(prev => ({ ...prev, saving: true, error: '' }));
+    try {
+      // Secret values are never sent back to the browser; listing them without a value keeps what is stored.
+      const keptSecrets = editing
+        ? (selectedProject.environments?.[editing]?.env || []).filter(entry => entry.isSecret).map(entry => ({ key: entry.key, isSecret: true }))
+        : [];
+      const plainEnv = Object.entries(parseEnvText(environmentForm.envText))
+        .filter(([key]) => !keptSecrets.some(entry => entry.key === key))
+        .map(([key, value]) => ({ key, value, isSecret: false }));
+      const payload = {
+        branch: environmentForm.branch.trim(),
+        domain: environmentForm.domain.trim(),
+        port: environmentForm.port.trim() ? Number(environmentForm.port) : null,
+        env: [...plainEnv, ...keptSecrets]
+      };
+      if (environmentForm.deployPath.trim()) payload.deployPath = environmentForm.deployPath.trim();
+      if (!editing) payload.name = environmentForm.name.trim();
+      const res = await apiFetch(
+        editing ? `${API_BASE}/projects/${selectedProject.id}/environments/${encodeURIComponent(editing)}` : `${API_BASE}/projects/${selectedProject.id}/environments`,
+        { method: editing ? 'PATCH' : 'POST', body: JSON.stringify(payload) }
+      );
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      setEnvironmentForm(EMPTY_ENVIRONMENT_FORM);
+      await refreshSelectedProject(selectedProject.id);
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      setEnvironmentForm(prev => ({ ...prev, saving: false, error: error.message || 'Failed to save the environment' }));
+    }
+  };
+
+  const handleDeleteEnvironment = async (envName) => {
+    if (!selectedProject?.id || !envName) return;
+    const kind = isPreviewName(envName) ? 'preview' : 'environment';
+    if (!window.confirm(`Remove the ${envName} ${kind}? Its site, process and releases are deleted; deployment history is kept.`)) return;
+    try {
+      const res = await apiFetch(`${API_BASE}/projects/${selectedProject.id}/environments/${encodeURIComponent(envName)}`, { method: 'DELETE' });
+      if (!res.ok) throw new Error(await describeHttpError(res));
+      if (selectedEnvironmentRef.current === envName) {
+        selectedEnvironmentRef.current = DEFAULT_ENVIRONMENT;
+        setSelectedEnvironment(DEFAULT_ENVIRONMENT);
+      }
+      if (environmentForm.editing === envName) setEnvironmentForm(EMPTY_ENVIRONMENT_FORM);
+      await refreshSelectedProject(selectedProject.id);
+    } catch (error) {
+      if (error?.code === AUTH_ERROR_CODE) return;
+      alert(error.message || `Failed to remove the ${isPreviewName(envName) ? 'preview' : 'environment'}`);
+    }
+  };
+
   const updateSettingsField = (field, value) => {
     setSettingsForm(prev => ({ ...(prev || {}), [field]: value }));
   };
@@ -546,13 +1485,32 @@ const DeploymentDashboard = () => {
         repoUrl: settingsForm.repoUrl?.trim(),
         branch: settingsForm.branch?.trim(),
         buildOutput: settingsForm.buildOutput?.trim(),
+        rootDirectory: settingsForm.rootDirectory?.trim() || null,
+        watchPaths: (settingsForm.watchPaths || '').split('\n').map((line) => line.trim()).filter(Boolean),
         deployPath: settingsForm.deployPath?.trim(),
         runtime: settingsForm.runtime,
+        syncStrategy: settingsForm.syncStrategy,
         domain: settingsForm.domain?.trim(),
         port: settingsForm.port ? Number(settingsForm.port) : null,
         target: settingsForm.target,
-        templateId: settingsForm.templateId || ''
+        templateId: settingsForm.templateId || '',
+        stepTimeoutSeconds: settingsForm.stepTimeoutSeconds ? Number(settingsForm.stepTimeoutSeconds) : null,
+        deployTimeoutSeconds: settingsForm.deployTimeoutSeconds ? Number(settingsForm.deployTimeoutSeconds) : null,
+        healthcheckPath: settingsForm.healthcheckPath?.trim() || null,
+        healthcheckStatus: settingsForm.healthcheckStatus ? Number(settingsForm.healthcheckStatus) : null,
+        healthcheckTimeoutSeconds: settingsForm.healthcheckTimeoutSeconds ? Number(settingsForm.healthcheckTimeoutSeconds) : null,
+        keepReleases: settingsForm.keepReleases ? Number(settingsForm.keepReleases) : null,
+        releaseMaxAgeDays: settingsForm.releaseMaxAgeDays !== '' ? Number(settingsForm.releaseMaxAgeDays) : null,
+        previewDomain: settingsForm.previewDomain?.trim() || null,
+        maxPreviews: settingsForm.maxPreviews ? Number(settingsForm.maxPreviews) : null
       };
+      const repoTokenUsername = settingsForm.repoTokenUsername?.trim() || null;
+      if (settingsForm.repoToken?.trim()) {
+        payload.repoToken = settingsForm.repoToken.trim();
+        payload.repoTokenUsername = repoTokenUsername;
+      } else if (selectedProject.repoAuth && repoTokenUsername !== (selectedProject.repoAuth.username || null)) {
+        payload.repoTokenUsername = repoTokenUsername;
+      }
       if (auth.user?.role === 'admin') {
         payload.buildCommand = settingsForm.buildCommand?.trim();
         payload.installCommand = settingsForm.installCommand || '';
@@ -672,13 +1630,45 @@ const DeploymentDashboard = () => {
           </button>
           <button
             className={`flex-1 py-2 rounded-lg font-semibold transition-colors ${authTab === 'signup' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600'}`}
-            onClick={() => setAuthTab('signup')}
+            onClick={() => { setAuthTab('signup'); cancelTwoFactorLogin(); }}
             type="button"
           >
             Sign up
           </button>
         </div>
-        {authTab === 'login' ? (
+        {authTab === 'login' && loginForm.challengeToken ? (
+          <form onSubmit={handleVerifyTwoFactor} className="space-y-4">
+            {loginForm.error && (
+              <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
+                {loginForm.error}
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Authentication code</label>
+              <input
+                type="text"
+                value={loginForm.code}
+                onChange={(e) => setLoginForm(prev => ({ ...prev, code: e.target.value }))}
+                className="w-full px-4 py-2 border-2 border-gray-200 rounded-lg focus:border-blue-500 focus:outline-none font-mono"
+                autoComplete="one-time-code"
+                inputMode="text"
+                placeholder="123456"
+                autoFocus
+              />
+              <p className="text-xs text-gray-500 mt-1">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+            </div>
+            <button
+              type="submit"
+              disabled={loginForm.loading || !loginForm.code.trim()}
+              className="w-full py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed font-semibold transition-colors"
+            >
+              {loginForm.loading ? 'Verifying…' : 'Verify'}
+            </button>
+            <button type="button" onClick={cancelTwoFactorLogin} className="w-full text-sm text-gray-600 hover:text-gray-900">
+              Back to sign in
+            </button>
+          </form>
+        ) : authTab === 'login' ? (
           <form onSubmit={handleLogin} className="space-y-4">
             {loginForm.error && (
               <div className="rounded-lg border border-red-200 bg-red-50 px-4 py-2 text-sm text-red-700">
@@ -804,6 +1794,9 @@ const DeploymentDashboard = () => {
                 <div className="flex items-center gap-3 mb-2">
                   <h3 className="text-lg font-semibold text-gray-900">{project.name}</h3>
                   <span className={`px-2 py-1 rounded text-xs font-medium border ${getStatusColor(liveStatus)}`}>{statusLabel}</span>
+                  {project.accessRole && project.accessRole !== 'owner' && (
+                    <span className="px-2 py-1 rounded text-xs font-medium bg-gray-100 text-gray-700">{project.accessRole}</span>
+                  )}
                 </div>
                 <div className="flex items-center gap-4 text-sm text-gray-600 mb-3">
                   <span className="flex items-center gap-1"><GitBranch className="w-4 h-4" />{project.repo}</span>
@@ -823,20 +1816,27 @@ const DeploymentDashboard = () => {
                   <p className="text-xs text-gray-500 mb-1">Template: {templateLabel}</p>
                 )}
                 <p className="text-sm text-gray-500">Last deployed: {project.lastDeploy || 'Never'}</p>
+                {previewNames(project).length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1 flex items-center gap-1"><GitPullRequest className="w-3 h-3" />{previewNames(project).length} pull request preview(s)</p>
+                )}
                 {deploymentStatus[project.id]?.error && (
                   <p className="text-xs text-red-600 mt-1">Error: {deploymentStatus[project.id].error}</p>
                 )}
               </div>
               <div className="flex items-center gap-2">
                 <button onClick={() => openProjectView(project, 'logs')} className="p-2 hover:bg-gray-100 rounded-lg transition-colors"><Eye className="w-5 h-5 text-gray-600" /></button>
-                <button onClick={() => openProjectView(project, 'settings')} className="p-2 hover:bg-gray-100 rounded-lg transition-colors"><Settings className="w-5 h-5 text-gray-600" /></button>
-                <button
-                  onClick={() => handleDeploy(project.id)}
-                  disabled={deployingProjects.has(project.id)}
-                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
-                >
-                  {deployingProjects.has(project.id) ? <><Clock className="w-4 h-4 animate-spin" />Deploying...</> : <><Play className="w-4 h-4" />Deploy</>}
-                </button>
+                {hasProjectRole(project, 'maintainer') && (
+                  <button onClick={() => openProjectView(project, 'settings')} className="p-2 hover:bg-gray-100 rounded-lg transition-colors"><Settings className="w-5 h-5 text-gray-600" /></button>
+                )}
+                {hasProjectRole(project, 'deployer') && (
+                  <button
+                    onClick={() => handleDeploy(project.id)}
+                    disabled={deployingProjects.has(project.id)}
+                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {deployingProjects.has(project.id) ? <><Clock className="w-4 h-4 animate-spin" />Deploying...</> : <><Play className="w-4 h-4" />Deploy</>}
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -891,6 +1891,7 @@ const DeploymentDashboard = () => {
       target: 'server',
       buildCommand: '',
       buildOutput: 'build',
+      rootDirectory: '',
       deployPath: '',
       installCommand: '',
       testCommand: '',
@@ -898,7 +1899,9 @@ const DeploymentDashboard = () => {
       runtime: 'static',
       domain: '',
       port: '',
-      templateId: ''
+      templateId: '',
+      repoToken: '',
+      repoTokenUsername: ''
     });
     const [envText, setEnvText] = useState('');
     const [showAdvanced, setShowAdvanced] = useState(false);
@@ -910,25 +1913,21 @@ const DeploymentDashboard = () => {
     }, [isAdminUser, templates, formData.templateId]);
 
     const handleImport = async () => {
-      const normalizedRepoUrl = sanitizeGitHubRepoUrl(formData.repoUrl);
+      const normalizedRepoUrl = sanitizeRepoUrl(formData.repoUrl);
       if (!normalizedRepoUrl) {
-        setImportError('Enter a valid public GitHub repository URL such as https://github.com/owner/repo');
+        setImportError('Enter a valid repository URL such as https://github.com/owner/repo or git@github.com:owner/repo.git, without credentials');
         return;
       }
       setImportError('');
       setLoading(true);
       try {
-        const env = envText.split('\n').map(line => line.trim()).filter(Boolean).reduce((acc, line) => {
-          const [key, ...rest] = line.split('=');
-          if (!key) return acc;
-          acc[key.trim()] = rest.join('=').trim();
-          return acc;
-        }, {});
+        const env = parseEnvText(envText);
         const payload = {
           repoUrl: normalizedRepoUrl,
           branch: formData.branch,
           target: formData.target,
           buildOutput: formData.buildOutput,
+          rootDirectory: formData.rootDirectory.trim() || null,
           deployPath: formData.deployPath,
           runtime: formData.runtime,
           domain: formData.domain,
@@ -936,6 +1935,10 @@ const DeploymentDashboard = () => {
           templateId: formData.templateId || undefined,
           env
         };
+        if (formData.repoToken.trim()) {
+          payload.repoToken = formData.repoToken.trim();
+          payload.repoTokenUsername = formData.repoTokenUsername.trim() || null;
+        }
         if (isAdminUser) {
           payload.buildCommand = formData.buildCommand;
           payload.installCommand = formData.installCommand;
@@ -950,8 +1953,14 @@ const DeploymentDashboard = () => {
           const detail = await describeHttpError(res);
           throw new Error(detail);
         }
+        const created = await res.json();
         await loadProjects();
-        setView('dashboard');
+        if (created?.cloneWarning) {
+          // SSH imports need the new deploy key registered before anything can be cloned.
+          openProjectView(created, 'settings');
+        } else {
+          setView('dashboard');
+        }
       } catch (error) {
         if (error?.code === AUTH_ERROR_CODE) return;
         const message = error instanceof Error ? error.message : 'Import failed';
@@ -967,7 +1976,11 @@ const DeploymentDashboard = () => {
         <div className="bg-white rounded-lg border-2 border-gray-200 p-8">
           <h2 className="text-2xl font-bold text-gray-900 mb-6">Import Existing Project</h2>
           <div className="space-y-5">
-            <div><label className="block text-sm font-medium text-gray-700 mb-2">GitHub Repository URL</label><input type="text" value={formData.repoUrl} onChange={(e) => setFormData(prev => ({ ...prev, repoUrl: e.target.value }))} placeholder="https://github.com/username/repo-name" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+            <div><label className="block text-sm font-medium text-gray-700 mb-2">Repository URL</label><input type="text" value={formData.repoUrl} onChange={(e) => setFormData(prev => ({ ...prev, repoUrl: e.target.value }))} placeholder="https://github.com/username/repo-name" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /><p className="text-xs text-gray-500 mt-1">Private repositories: use an HTTPS URL with an access token below, or an SSH URL (git@host:owner/repo.git) and add the generated deploy key to the repository after importing.</p></div>
+            <div className="grid md:grid-cols-2 gap-4">
+              <div><label className="block text-sm font-medium text-gray-700 mb-2">Access Token (private repos)</label><input type="password" autoComplete="new-password" value={formData.repoToken} onChange={(e) => setFormData(prev => ({ ...prev, repoToken: e.target.value }))} placeholder="Optional" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+              <div><label className="block text-sm font-medium text-gray-700 mb-2">Token Username</label><input type="text" value={formData.repoTokenUsername} onChange={(e) => setFormData(prev => ({ ...prev, repoTokenUsername: e.target.value }))} placeholder="Default for the host" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+            </div>
             {!isAdminUser && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">Command Template</label>
@@ -1014,6 +2027,7 @@ const DeploymentDashboard = () => {
               <div><label className="block text-sm font-medium text-gray-700 mb-2">Build Command</label><input type="text" value={formData.buildCommand} onChange={(e) => setFormData(prev => ({ ...prev, buildCommand: e.target.value }))} placeholder="npm run build" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
               <div><label className="block text-sm font-medium text-gray-700 mb-2">Build Output Directory</label><input type="text" value={formData.buildOutput} onChange={(e) => setFormData(prev => ({ ...prev, buildOutput: e.target.value }))} placeholder="build, dist, out..." className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
             </div>
+            <div><label className="block text-sm font-medium text-gray-700 mb-2">Root Directory (monorepos)</label><input type="text" value={formData.rootDirectory} onChange={(e) => setFormData(prev => ({ ...prev, rootDirectory: e.target.value }))} placeholder="apps/web (leave empty for the repository root)" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
             <div><label className="block text-sm font-medium text-gray-700 mb-2">Deploy Path (Server)</label><input type="text" value={formData.deployPath} onChange={(e) => setFormData(prev => ({ ...prev, deployPath: e.target.value }))} placeholder="/var/www/project-name" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
             <div className="grid md:grid-cols-2 gap-4">
               <div><label className="block text-sm font-medium text-gray-700 mb-2">Runtime</label><select value={formData.runtime} onChange={(e) => setFormData(prev => ({ ...prev, runtime: e.target.value }))} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"><option value="static">Static / SPA</option><option value="node">Node.js App</option></select></div>
@@ -1050,8 +2064,25 @@ const DeploymentDashboard = () => {
 
   const LogsView = () => {
     const deployments = deploymentHistory[selectedProject?.id] || [];
+    const releases = releaseHistory[selectedProject?.id] || [];
     const activeStatus = deploymentStatus[selectedProject?.id];
     const isDeploying = selectedProject?.id ? deployingProjects.has(selectedProject.id) : false;
+    const isCancellable = (deployment) => deployment?.status === 'queued' || deployment?.status === 'running';
+    const cancelTarget = isCancellable(activeStatus) ? activeStatus : deployments.find(isCancellable);
+    const members = projectMembers[selectedProject?.id] || [];
+    const canDeploy = hasProjectRole(selectedProject, 'deployer');
+    const isOwner = hasProjectRole(selectedProject, 'owner');
+    const environments = environmentNames(selectedProject);
+    const previews = previewNames(selectedProject);
+    const deployTargets = [...environments, ...previews];
+    const activeEnvironment = deployTargets.includes(selectedEnvironment) ? selectedEnvironment : DEFAULT_ENVIRONMENT;
+    const activeIsPreview = isPreviewName(activeEnvironment);
+    const environmentSettings = activeEnvironment === DEFAULT_ENVIRONMENT
+      ? selectedProject
+      : (selectedProject?.environments?.[activeEnvironment] || selectedProject?.previews?.[activeEnvironment]);
+    // Previews are built without secrets, so their releases are never promoted and nothing is promoted to them.
+    const promoteSources = activeIsPreview ? [] : environments.filter(name => name !== activeEnvironment);
+    const promoteFrom = promoteSources.includes(promoteSource) ? promoteSource : promoteSources[0];
     return (
       <div className="max-w-4xl mx-auto">
         <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-700 mb-6 flex items-center gap-2">← Back to Dashboard</button>
@@ -1059,44 +2090,227 @@ const DeploymentDashboard = () => {
           <div className="flex items-center justify-between mb-6">
             <div>
               <h2 className="text-2xl font-bold text-gray-900">{selectedProject?.name}</h2>
-              <p className="text-gray-600">Branch {selectedProject?.branch} · {selectedProject?.repo}</p>
+              <p className="text-gray-600">
+                {deployTargets.length > 1 && `${activeEnvironment} · `}Branch {environmentSettings?.branch} · {selectedProject?.repo}
+              </p>
+              {environmentSettings?.domain && <p className="text-sm text-gray-500">{environmentSettings.domain}</p>}
             </div>
             <div className="flex items-center gap-3">
               {activeStatus?.status && (
                 <span className={`px-3 py-1 rounded-full text-sm border ${getStatusColor(activeStatus.status)}`}>{activeStatus.status}</span>
               )}
-              <button
-                onClick={() => handleDeploy(selectedProject?.id)}
-                disabled={!selectedProject?.id || isDeploying}
-                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
-              >
-                {isDeploying ? <><Clock className="w-4 h-4 animate-spin" />Deploying...</> : <><RotateCcw className="w-4 h-4" />Deploy</>}
-              </button>
-              <button
-                onClick={() => handleRollback(selectedProject?.id)}
-                disabled={!selectedProject?.id || rollbackLoading}
-                className="flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:bg-gray-400 disabled:cursor-not-allowed"
-              >
-                <Terminal className="w-4 h-4" />{rollbackLoading ? 'Rolling back...' : 'Rollback'}
-              </button>
+              {canDeploy && (
+                <>
+                  <button
+                    onClick={() => handleDeploy(selectedProject?.id, { environment: activeEnvironment, ...(deployMessage.trim() ? { message: deployMessage.trim() } : {}) })}
+                    disabled={!selectedProject?.id || isDeploying}
+                    className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {isDeploying ? <><Clock className="w-4 h-4 animate-spin" />Deploying...</> : <><RotateCcw className="w-4 h-4" />Deploy</>}
+                  </button>
+                  {cancelTarget?.deploymentId && (
+                    <button
+                      onClick={() => handleCancelDeployment(selectedProject?.id, cancelTarget.deploymentId)}
+                      disabled={cancellingDeployments.has(cancelTarget.deploymentId)}
+                      className="flex items-center gap-2 px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                      <XCircle className="w-4 h-4" />{cancellingDeployments.has(cancelTarget.deploymentId) ? 'Cancelling...' : 'Cancel'}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRollback(selectedProject?.id, activeEnvironment)}
+                    disabled={!selectedProject?.id || rollbackLoading}
+                    className="flex items-center gap-2 px-4 py-2 bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    <Terminal className="w-4 h-4" />{rollbackLoading ? 'Rolling back...' : 'Rollback'}
+                  </button>
+                </>
+              )}
             </div>
           </div>
+          {environments.length > 1 && (
+            <div className="mb-6 flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-600">Environment</span>
+              {environments.map(name => (
+                <button
+                  key={name}
+                  onClick={() => selectEnvironment(name)}
+                  className={`px-3 py-1 rounded-full text-sm border-2 ${name === activeEnvironment ? 'border-blue-600 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-700 hover:border-gray-400'}`}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          )}
+          {previews.length > 0 && (
+            <div className="mb-6 rounded-lg border-2 border-gray-200 p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="font-semibold text-gray-900 flex items-center gap-2"><GitPullRequest className="w-4 h-4" />Pull request previews</h3>
+                {activeIsPreview && (
+                  <button onClick={() => selectEnvironment(DEFAULT_ENVIRONMENT)} className="text-sm text-blue-600 hover:text-blue-800">Back to {DEFAULT_ENVIRONMENT}</button>
+                )}
+              </div>
+              <div className="divide-y divide-gray-200">
+                {previews.map(name => {
+                  const preview = selectedProject.previews[name];
+                  const pullRequest = preview.pullRequest || {};
+                  return (
+                    <div key={name} className={`flex flex-col md:flex-row md:items-center justify-between gap-3 py-3 ${name === activeEnvironment ? 'bg-blue-50 -mx-2 px-2 rounded' : ''}`}>
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">
+                          {pullRequest.url
+                            ? <a href={pullRequest.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">#{pullRequest.number}</a>
+                            : `#${pullRequest.number}`}
+                          {pullRequest.title && ` ${pullRequest.title}`}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {pullRequest.headRef}{pullRequest.author && ` by ${pullRequest.author}`}
+                          {pullRequest.headSha && ` · ${pullRequest.headSha.slice(0, 7)}`}
+                          {preview.lastDeploy ? ` · deployed ${new Date(preview.lastDeploy).toLocaleString()}` : ' · not deployed yet'}
+                        </p>
+                        {preview.domain && <p className="text-xs text-gray-500">{preview.domain}</p>}
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => selectEnvironment(name)}
+                          disabled={name === activeEnvironment}
+                          className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg text-gray-700 hover:border-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          {name === activeEnvironment ? 'Selected' : 'Select'}
+                        </button>
+                        {hasProjectRole(selectedProject, 'maintainer') && (
+                          <button onClick={() => handleDeleteEnvironment(name)} className="px-3 py-1 text-sm border-2 border-red-200 text-red-700 rounded-lg hover:border-red-400">Tear down</button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+          {canDeploy && (
+            <div className="mb-6">
+              <input
+                type="text"
+                value={deployMessage}
+                onChange={(e) => setDeployMessage(e.target.value)}
+                maxLength={500}
+                placeholder="Reason for this deploy (optional)"
+                className="w-full px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+              />
+              {!versionPicker.open && (
+                <button onClick={() => openVersionPicker(selectedProject?.id)} className="mt-2 text-sm text-blue-600 hover:text-blue-800">Deploy a specific version…</button>
+              )}
+              {versionPicker.open && (
+                <div className="mt-3 rounded-lg border-2 border-gray-200 p-4 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium text-gray-900">Deploy a specific version</p>
+                    <button onClick={() => setVersionPicker(CLOSED_VERSION_PICKER)} className="text-sm text-gray-600 hover:text-gray-800">Close</button>
+                  </div>
+                  {versionPicker.loading && <p className="text-sm text-gray-500">Loading branches, tags and commits…</p>}
+                  {versionPicker.error && <p className="text-sm text-red-600">{versionPicker.error}</p>}
+                  {versionPicker.refs && !versionPicker.refs.cloned && (
+                    <p className="text-sm text-gray-500">The repository has not been cloned yet. Deploy once, or enter a ref below.</p>
+                  )}
+                  {versionPicker.refs?.cloned && (
+                    <select
+                      value={versionPicker.ref}
+                      onChange={(e) => setVersionPicker(prev => ({ ...prev, ref: e.target.value }))}
+                      className="w-full px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                    >
+                      <option value="">Choose a branch, tag or commit</option>
+                      <optgroup label="Branches">
+                        {versionPicker.refs.branches.map(branch => <option key={`branch-${branch.name}`} value={branch.name}>{branch.name} ({branch.sha.slice(0, 7)})</option>)}
+                      </optgroup>
+                      <optgroup label="Tags">
+                        {versionPicker.refs.tags.map(tag => <option key={`tag-${tag.name}`} value={tag.name}>{tag.name} ({tag.sha.slice(0, 7)})</option>)}
+                      </optgroup>
+                      <optgroup label="Recent commits">
+                        {versionPicker.refs.commits.map(commit => <option key={`commit-${commit.sha}`} value={commit.sha}>{commit.sha.slice(0, 7)} {commit.subject} · {commit.author}</option>)}
+                      </optgroup>
+                    </select>
+                  )}
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      value={versionPicker.ref}
+                      onChange={(e) => setVersionPicker(prev => ({ ...prev, ref: e.target.value }))}
+                      placeholder="Commit SHA, tag or branch"
+                      className="flex-1 px-3 py-2 text-sm font-mono border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                    />
+                    <button
+                      onClick={() => handleDeploy(selectedProject?.id, { environment: activeEnvironment, ref: versionPicker.ref.trim(), ...(deployMessage.trim() ? { message: deployMessage.trim() } : {}) })}
+                      disabled={!versionPicker.ref.trim() || isDeploying}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-sm"
+                    >
+                      Deploy version
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
           <div className="space-y-4">
             <div className="flex items-center justify-between">
               <h3 className="text-xl font-semibold text-gray-900">Deployment History</h3>
               <button onClick={() => fetchProjectDeployments(selectedProject?.id)} className="text-sm text-blue-600 hover:text-blue-800">Refresh</button>
             </div>
+            <form onSubmit={handleApplyDeploymentFilters} className={`grid gap-3 ${deployTargets.length > 1 ? 'md:grid-cols-5' : 'md:grid-cols-4'}`}>
+              <select value={deploymentFilters.trigger} onChange={(e) => setDeploymentFilters(prev => ({ ...prev, trigger: e.target.value }))} className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none">
+                <option value="">Any trigger</option>
+                {DEPLOYMENT_TRIGGERS.map(trigger => <option key={trigger} value={trigger}>{trigger}</option>)}
+              </select>
+              {deployTargets.length > 1 && (
+                <select value={deploymentFilters.environment} onChange={(e) => setDeploymentFilters(prev => ({ ...prev, environment: e.target.value }))} className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none">
+                  <option value="">Any environment</option>
+                  {deployTargets.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              )}
+              <input type="text" value={deploymentFilters.actor} onChange={(e) => setDeploymentFilters(prev => ({ ...prev, actor: e.target.value }))} placeholder="Deployed by" className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" />
+              <input type="text" value={deploymentFilters.message} onChange={(e) => setDeploymentFilters(prev => ({ ...prev, message: e.target.value }))} placeholder="Message contains" className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" />
+              <div className="flex gap-2">
+                <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">Filter</button>
+                <button type="button" onClick={handleClearDeploymentFilters} className="px-4 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-700 hover:border-gray-400">Clear</button>
+              </div>
+            </form>
             {deployments.length === 0 && (
-              <p className="text-gray-500 text-sm">No deployments yet. Run your first deploy to see history and logs.</p>
+              Object.values(appliedDeploymentFiltersRef.current).some(value => value.trim())
+                ? <p className="text-gray-500 text-sm">No deployments match these filters.</p>
+                : <p className="text-gray-500 text-sm">No deployments yet. Run your first deploy to see history and logs.</p>
             )}
             {deployments.length > 0 && (
               <div className="divide-y divide-gray-200">
                 {deployments.map(deployment => (
                   <div key={deployment.deploymentId} className="flex flex-col md:flex-row md:items-center justify-between py-4 gap-3">
                     <div>
-                      <p className="font-semibold text-gray-900">#{deployment.deploymentId.slice(0, 8)}</p>
-                      <p className="text-sm text-gray-600">{new Date(deployment.createdAt).toLocaleString()}</p>
-                      <p className="text-xs text-gray-500">{deployment.commit || 'Commit unavailable'}</p>
+                      <p className="font-semibold text-gray-900">
+                        #{deployment.deploymentId.slice(0, 8)}
+                        {deployment.kind && deployment.kind !== 'deploy' && (
+                          <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">{deployment.kind}</span>
+                        )}
+                        {(deployTargets.length > 1 || (deployment.environment && deployment.environment !== DEFAULT_ENVIRONMENT)) && (
+                          <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-blue-50 text-blue-700">{deployment.environment || DEFAULT_ENVIRONMENT}</span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {new Date(deployment.createdAt).toLocaleString()}
+                        {deployment.trigger && ` · ${deployment.trigger}`}
+                        {deployment.actor?.username && ` by ${deployment.actor.username}`}
+                      </p>
+                      {deployment.message && <p className="text-sm text-gray-800 break-words">{deployment.message}</p>}
+                      <p className="text-xs text-gray-500">
+                        {deployment.commit || 'Commit unavailable'}
+                        {deployment.ref && ` · ${deployment.ref}`}
+                      </p>
+                      {deployment.timedOut && (
+                        <p className="text-xs text-red-600">{deployment.error || 'Timed out'}</p>
+                      )}
+                      {deployment.supersededBy && (
+                        <p className="text-xs text-gray-500">Skipped: a newer deploy (#{deployment.supersededBy.slice(0, 8)}) replaced it in the queue</p>
+                      )}
+                      {deployment.autoRolledBack && (
+                        <p className="text-xs text-amber-700">Health check failed, previous release restored automatically</p>
+                      )}
                     </div>
                     <div className="flex items-center gap-3">
                       <span className={`px-3 py-1 rounded-full text-sm border ${getStatusColor(deployment.status)}`}>{deployment.status}</span>
@@ -1109,20 +2323,509 @@ const DeploymentDashboard = () => {
               </div>
             )}
           </div>
+          <div className="space-y-4 mt-8">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xl font-semibold text-gray-900">Releases{deployTargets.length > 1 && ` · ${activeEnvironment}`}</h3>
+              <button onClick={() => fetchProjectReleases(selectedProject?.id)} className="text-sm text-blue-600 hover:text-blue-800">Refresh</button>
+            </div>
+            {canDeploy && promoteFrom && (
+              <div className="flex flex-col md:flex-row md:items-center gap-3 rounded-lg border-2 border-gray-200 p-4">
+                <p className="flex-1 text-sm text-gray-700">Promote the live release of another environment to {activeEnvironment}. The same build is reused, with {activeEnvironment}'s variables, port and domain.</p>
+                <select
+                  value={promoteFrom}
+                  onChange={(e) => setPromoteSource(e.target.value)}
+                  className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                >
+                  {promoteSources.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <button
+                  onClick={() => handlePromoteRelease(selectedProject?.id, promoteFrom, activeEnvironment)}
+                  disabled={promoting}
+                  className="flex items-center gap-1 px-4 py-2 text-sm bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:bg-gray-300 disabled:cursor-not-allowed whitespace-nowrap"
+                >
+                  <Play className="w-4 h-4" />{promoting ? 'Promoting...' : `Promote to ${activeEnvironment}`}
+                </button>
+              </div>
+            )}
+            {releases.length === 0 && (
+              <p className="text-gray-500 text-sm">No releases on disk yet.</p>
+            )}
+            {releases.length > 0 && (
+              <div className="divide-y divide-gray-200">
+                {releases.map(release => (
+                  <div key={release.name} className="flex flex-col md:flex-row md:items-center justify-between py-4 gap-3">
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {release.name}
+                        {release.current && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">current</span>}
+                        {release.previous && !release.current && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">previous</span>}
+                        {release.promotedFrom && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-blue-50 text-blue-700">from {release.promotedFrom.environment}</span>}
+                      </p>
+                      <p className="text-sm text-gray-600">{release.createdAt ? new Date(release.createdAt).toLocaleString() : 'Date unavailable'}</p>
+                      <p className="text-xs text-gray-500">{release.commit || 'Commit unavailable'} · {formatBytes(release.sizeBytes)}</p>
+                    </div>
+                    {canDeploy && (
+                      <button
+                        onClick={() => handleActivateRelease(selectedProject?.id, release.name, activeEnvironment)}
+                        disabled={release.current || !!activatingRelease}
+                        className="flex items-center gap-1 px-3 py-1 text-sm bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                      >
+                        <Play className="w-4 h-4" />{activatingRelease === release.name ? 'Activating...' : 'Activate'}
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+          <div className="space-y-4 mt-8">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xl font-semibold text-gray-900">Members</h3>
+              <button onClick={() => fetchProjectMembers(selectedProject?.id)} className="text-sm text-blue-600 hover:text-blue-800">Refresh</button>
+            </div>
+            <p className="text-sm text-gray-500">Viewers see history and logs, deployers can also deploy and roll back, maintainers can also edit settings and environment variables.</p>
+            {members.length > 0 && (
+              <div className="divide-y divide-gray-200">
+                {members.map(member => (
+                  <div key={member.userId} className="flex flex-col md:flex-row md:items-center justify-between py-3 gap-3">
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {member.username || member.userId}
+                        {member.userId === auth.user?.id && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">you</span>}
+                      </p>
+                      <p className="text-xs text-gray-500">{member.role === 'owner' ? 'Owner' : `Added ${member.addedAt ? new Date(member.addedAt).toLocaleDateString() : 'unknown'}`}</p>
+                    </div>
+                    {member.role !== 'owner' && (
+                      <div className="flex items-center gap-2">
+                        {isOwner ? (
+                          <select
+                            value={member.role}
+                            onChange={(e) => handleChangeMemberRole(selectedProject?.id, member, e.target.value)}
+                            className="px-2 py-1 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                          >
+                            {PROJECT_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                          </select>
+                        ) : (
+                          <span className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">{member.role}</span>
+                        )}
+                        {(isOwner || member.userId === auth.user?.id) && (
+                          <button onClick={() => handleRemoveMember(selectedProject?.id, member)} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-red-500 hover:text-red-600">
+                            {member.userId === auth.user?.id ? 'Leave' : 'Remove'}
+                          </button>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+            {isOwner && (
+              <div className="space-y-2">
+                {memberForm.error && (
+                  <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700">{memberForm.error}</div>
+                )}
+                <div className="flex flex-col md:flex-row gap-3">
+                  <input
+                    type="text"
+                    value={memberForm.username}
+                    onChange={(e) => setMemberForm(prev => ({ ...prev, username: e.target.value }))}
+                    placeholder="Username"
+                    className="flex-1 px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                  />
+                  <select
+                    value={memberForm.role}
+                    onChange={(e) => setMemberForm(prev => ({ ...prev, role: e.target.value }))}
+                    className="px-3 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                  >
+                    {PROJECT_ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                  <button
+                    onClick={() => handleAddMember(selectedProject?.id)}
+                    disabled={memberForm.saving || !memberForm.username.trim()}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                  >
+                    {memberForm.saving ? 'Adding…' : 'Add member'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
         </div>
       </div>
     );
   };
 
+  const UsersView = () => (
+    <div className="max-w-5xl mx-auto">
+      <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-700 mb-6 flex items-center gap-2">← Back to Dashboard</button>
+      <div className="bg-white rounded-lg border-2 border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Users</h2>
+            <p className="text-gray-600">Self-registered accounts. The platform admin is configured through the API environment.</p>
+          </div>
+          <button onClick={loadAdminUsers} className="text-sm text-blue-600 hover:text-blue-800">Refresh</button>
+        </div>
+        <div className="rounded-lg border-2 border-gray-200 px-4 py-3 mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <div>
+            <p className="font-semibold text-gray-900">Require two-factor authentication</p>
+            <p className="text-sm text-gray-600">Everyone, including admins, must set up an authenticator app before using the dashboard. API tokens are not affected.</p>
+            {platformSettings.error && <p className="text-sm text-red-600 mt-1">{platformSettings.error}</p>}
+          </div>
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+            <input type="checkbox" checked={platformSettings.requireTwoFactor} disabled={platformSettings.saving} onChange={handleToggleRequireTwoFactor} />
+            {platformSettings.requireTwoFactor ? 'Required' : 'Optional'}
+          </label>
+        </div>
+        <div className="rounded-lg border-2 border-gray-200 px-4 py-3 mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <div className="flex-1">
+            <p className="font-semibold text-gray-900">Allowed git hosts</p>
+            <p className="text-sm text-gray-600">Projects can only be imported from these hosts over HTTPS. Separate hosts with commas.</p>
+            <input type="text" value={platformSettings.allowedGitHosts} onChange={(e) => setPlatformSettings(prev => ({ ...prev, allowedGitHosts: e.target.value }))} placeholder="github.com, gitlab.com" className="mt-2 w-full px-3 py-2 border-2 border-gray-300 rounded-lg text-sm focus:border-blue-500 focus:outline-none" />
+          </div>
+          <button onClick={handleSaveAllowedGitHosts} disabled={platformSettings.saving || !platformSettings.allowedGitHosts.trim()} className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed">Save Hosts</button>
+        </div>
+        {adminUsers.error && (
+          <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700 mb-4">{adminUsers.error}</div>
+        )}
+        {adminUsers.loading && adminUsers.items.length === 0 && <p className="text-sm text-gray-500">Loading users…</p>}
+        {!adminUsers.loading && adminUsers.items.length === 0 && !adminUsers.error && (
+          <p className="text-sm text-gray-500">No users have signed up yet.</p>
+        )}
+        {adminUsers.items.length > 0 && (
+          <div className="divide-y divide-gray-200">
+            {adminUsers.items.map(user => {
+              const pending = userActionPending === user.id;
+              const transferTargets = adminUsers.items.filter(item => item.id !== user.id && !item.disabled);
+              return (
+                <div key={user.id} className="flex flex-col lg:flex-row lg:items-center justify-between py-4 gap-3">
+                  <div>
+                    <p className="font-semibold text-gray-900">
+                      {user.username}
+                      {user.role === 'admin' && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-blue-100 text-blue-800">admin</span>}
+                      {user.disabled && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">disabled</span>}
+                      {user.twoFactorEnabled && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">2FA</span>}
+                    </p>
+                    <p className="text-sm text-gray-600">Joined {user.createdAt ? new Date(user.createdAt).toLocaleDateString() : 'unknown'} · {user.projectCount} project{user.projectCount !== 1 ? 's' : ''}</p>
+                    {user.projects.length > 0 && (
+                      <p className="text-xs text-gray-500">{user.projects.map(project => project.name || project.id).join(', ')}</p>
+                    )}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    {user.projectCount > 0 && (
+                      <select
+                        value=""
+                        disabled={pending}
+                        onChange={(e) => handleTransferUserProjects(user, e.target.value)}
+                        className="px-2 py-1 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"
+                      >
+                        <option value="">Transfer projects to…</option>
+                        <option value="admin">Platform admin</option>
+                        {transferTargets.map(target => (
+                          <option key={target.id} value={target.id}>{target.username}</option>
+                        ))}
+                      </select>
+                    )}
+                    <button onClick={() => handleToggleUserRole(user)} disabled={pending} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-blue-500 hover:text-blue-600 disabled:opacity-50">
+                      {user.role === 'admin' ? 'Make user' : 'Make admin'}
+                    </button>
+                    <button onClick={() => handleResetUserPassword(user)} disabled={pending} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-blue-500 hover:text-blue-600 disabled:opacity-50">
+                      Reset password
+                    </button>
+                    {user.twoFactorEnabled && (
+                      <button onClick={() => handleResetUserTwoFactor(user)} disabled={pending} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-amber-500 hover:text-amber-600 disabled:opacity-50">
+                        Reset 2FA
+                      </button>
+                    )}
+                    <button onClick={() => handleToggleUserDisabled(user)} disabled={pending} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-amber-500 hover:text-amber-600 disabled:opacity-50">
+                      {user.disabled ? 'Enable' : 'Disable'}
+                    </button>
+                    <button onClick={() => handleDeleteUser(user)} disabled={pending || user.projectCount > 0} title={user.projectCount > 0 ? 'Transfer their projects first' : undefined} className="flex items-center gap-1 px-3 py-1 text-sm border-2 border-red-200 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed">
+                      <Trash2 className="w-4 h-4" />Delete
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const describeAuditChanges = (entry) => {
+    const lines = Object.entries(entry.changes || {}).map(([field, change]) => `${field}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+    if (entry.env) {
+      const labels = { added: 'env added', removed: 'env removed', changed: 'env changed', madeSecret: 'env made secret' };
+      Object.entries(labels).forEach(([key, label]) => {
+        if (entry.env[key]?.length) lines.push(`${label}: ${entry.env[key].join(', ')}`);
+      });
+    }
+    return lines;
+  };
+
+  const describeAuditActor = (entry) => {
+    if (entry.actor) return `${entry.actor.username}${entry.actor.via === 'token' ? ' (API token)' : ''}`;
+    return entry.details?.username ? `${entry.details.username} (not signed in)` : 'anonymous';
+  };
+
+  const AuditView = () => (
+    <div className="max-w-6xl mx-auto">
+      <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-700 mb-6 flex items-center gap-2">← Back to Dashboard</button>
+      <div className="bg-white rounded-lg border-2 border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Audit Log</h2>
+            <p className="text-gray-600">Sign-ins, project changes, deployments and admin actions, newest first.</p>
+          </div>
+          <button onClick={() => loadAuditLog(auditFilters)} className="text-sm text-blue-600 hover:text-blue-800">Refresh</button>
+        </div>
+        <form
+          onSubmit={(e) => { e.preventDefault(); loadAuditLog(auditFilters); }}
+          className="grid md:grid-cols-5 gap-3 mb-6"
+        >
+          <input type="text" value={auditFilters.action} onChange={(e) => setAuditFilters(prev => ({ ...prev, action: e.target.value }))} placeholder="Action (e.g. project)" className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" />
+          <input type="text" value={auditFilters.actor} onChange={(e) => setAuditFilters(prev => ({ ...prev, actor: e.target.value }))} placeholder="Actor username or id" className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" />
+          <input type="text" value={auditFilters.projectId} onChange={(e) => setAuditFilters(prev => ({ ...prev, projectId: e.target.value }))} placeholder="Project id" className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" />
+          <select value={auditFilters.outcome} onChange={(e) => setAuditFilters(prev => ({ ...prev, outcome: e.target.value }))} className="px-3 py-2 text-sm border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none">
+            <option value="">Any outcome</option>
+            <option value="success">Success</option>
+            <option value="failure">Failure</option>
+          </select>
+          <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm">Filter</button>
+        </form>
+        {auditEntries.error && (
+          <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700 mb-4">{auditEntries.error}</div>
+        )}
+        {auditEntries.loading && auditEntries.items.length === 0 && <p className="text-sm text-gray-500">Loading audit log…</p>}
+        {!auditEntries.loading && auditEntries.items.length === 0 && !auditEntries.error && (
+          <p className="text-sm text-gray-500">No matching entries.</p>
+        )}
+        {auditEntries.items.length > 0 && (
+          <div className="divide-y divide-gray-200">
+            {auditEntries.items.map(entry => (
+              <div key={entry.id} className="py-3">
+                <p className="font-semibold text-gray-900">
+                  <span className="font-mono text-sm">{entry.action}</span>
+                  {entry.outcome !== 'success' && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">{entry.outcome}</span>}
+                  {entry.projectId && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700">{entry.projectId}</span>}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {new Date(entry.timestamp).toLocaleString()} · {describeAuditActor(entry)} · {entry.ip || 'unknown IP'}
+                </p>
+                {describeAuditChanges(entry).map(line => (
+                  <p key={line} className="text-xs font-mono text-gray-500 break-all">{line}</p>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const SessionsView = () => (
+    <div className="max-w-4xl mx-auto">
+      <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-700 mb-6 flex items-center gap-2">← Back to Dashboard</button>
+      <div className="bg-white rounded-lg border-2 border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Active Sessions</h2>
+            <p className="text-gray-600">Browsers and devices currently signed in as {auth.user?.username}.</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <button onClick={loadSessions} className="text-sm text-blue-600 hover:text-blue-800">Refresh</button>
+            <button onClick={handleLogoutEverywhere} className="px-4 py-2 border-2 border-red-200 text-red-600 rounded-lg text-sm font-medium hover:bg-red-50">
+              Log out everywhere
+            </button>
+          </div>
+        </div>
+        {sessions.error && (
+          <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700 mb-4">{sessions.error}</div>
+        )}
+        {sessions.loading && sessions.items.length === 0 && <p className="text-sm text-gray-500">Loading sessions…</p>}
+        {sessions.items.length > 0 && (
+          <div className="divide-y divide-gray-200">
+            {sessions.items.map(session => (
+              <div key={session.id} className="flex flex-col md:flex-row md:items-center justify-between py-4 gap-3">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {session.userAgent || 'Unknown client'}
+                    {session.current && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">this browser</span>}
+                  </p>
+                  <p className="text-sm text-gray-600">{session.ip || 'Unknown IP'} · last active {new Date(session.lastSeenAt).toLocaleString()}</p>
+                  <p className="text-xs text-gray-500">Signed in {new Date(session.createdAt).toLocaleString()} · expires {new Date(session.expiresAt).toLocaleString()}</p>
+                </div>
+                <button onClick={() => handleRevokeSession(session)} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-red-500 hover:text-red-600">
+                  {session.current ? 'Sign out' : 'Revoke'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const SecurityView = () => {
+    const status = twoFactor.status;
+    return (
+      <div className="max-w-3xl mx-auto">
+        {!auth.twoFactor?.enrollmentRequired && (
+          <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-700 mb-6 flex items-center gap-2">← Back to Dashboard</button>
+        )}
+        <div className="bg-white rounded-lg border-2 border-gray-200 p-6 space-y-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Two-Factor Authentication</h2>
+            <p className="text-gray-600">Protect {auth.user?.username} with a time-based code from an authenticator app.</p>
+          </div>
+          {auth.twoFactor?.enrollmentRequired && (
+            <div className="rounded-lg border px-4 py-2 text-sm bg-amber-50 border-amber-200 text-amber-800">
+              An administrator requires two-factor authentication. Set it up to continue using the dashboard.
+            </div>
+          )}
+          {twoFactor.error && (
+            <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700">{twoFactor.error}</div>
+          )}
+          {twoFactor.recoveryCodes && (
+            <div className="rounded-lg border-2 border-green-200 bg-green-50 px-4 py-3 space-y-2">
+              <p className="text-sm font-semibold text-green-800">Save these recovery codes somewhere safe. Each one works once and they will not be shown again.</p>
+              <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+                {twoFactor.recoveryCodes.map(code => <span key={code}>{code}</span>)}
+              </div>
+            </div>
+          )}
+          {twoFactor.loading && !status && <p className="text-sm text-gray-500">Loading…</p>}
+          {status?.enabled && (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-700">
+                <span className="px-2 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800 mr-2">enabled</span>
+                Since {new Date(status.enabledAt).toLocaleDateString()} · {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining !== 1 ? 's' : ''} left
+              </p>
+              <div className="flex flex-wrap gap-3">
+                <button onClick={handleRegenerateRecoveryCodes} className="px-4 py-2 border-2 border-gray-300 rounded-lg text-sm font-medium hover:border-blue-500 hover:text-blue-600">
+                  New recovery codes
+                </button>
+                {!status.required && (
+                  <button onClick={handleDisableTwoFactor} className="px-4 py-2 border-2 border-red-200 text-red-600 rounded-lg text-sm font-medium hover:bg-red-50">
+                    Turn off
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+          {status && !status.enabled && !twoFactor.setup && (
+            <button onClick={handleStartTwoFactorSetup} disabled={twoFactor.saving} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed">
+              {twoFactor.saving ? 'Preparing…' : 'Set up authenticator app'}
+            </button>
+          )}
+          {twoFactor.setup && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-700">Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+              <img src={twoFactor.setup.qrCodeDataUrl} alt="Two-factor QR code" className="w-48 h-48 border-2 border-gray-200 rounded-lg" />
+              <p className="text-xs text-gray-500">Can't scan it? Enter this key manually: <code className="font-mono text-gray-800">{twoFactor.setup.secret}</code></p>
+              <div className="flex gap-3">
+                <input
+                  type="text"
+                  value={twoFactor.code}
+                  onChange={(e) => setTwoFactor(prev => ({ ...prev, code: e.target.value.replace(/[^0-9]/g, '').slice(0, 6) }))}
+                  placeholder="123456"
+                  autoComplete="one-time-code"
+                  className="w-40 px-4 py-2 border-2 border-gray-300 rounded-lg font-mono focus:border-blue-500 focus:outline-none"
+                />
+                <button onClick={handleEnableTwoFactor} disabled={twoFactor.saving || twoFactor.code.length !== 6} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed">
+                  {twoFactor.saving ? 'Verifying…' : 'Enable'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const ApiTokensView = () => (
+    <div className="max-w-4xl mx-auto">
+      <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-700 mb-6 flex items-center gap-2">← Back to Dashboard</button>
+      <div className="bg-white rounded-lg border-2 border-gray-200 p-6 space-y-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">API Tokens</h2>
+          <p className="text-gray-600">Personal access tokens for CI and scripts. Send them as <code className="text-sm">Authorization: Bearer &lt;token&gt;</code>.</p>
+        </div>
+        {createdToken && (
+          <div className="rounded-lg border-2 border-green-200 bg-green-50 px-4 py-3 space-y-2">
+            <p className="text-sm font-semibold text-green-800">Copy “{createdToken.name}” now. It will not be shown again.</p>
+            <input type="text" readOnly value={createdToken.token} onFocus={(e) => e.target.select()} className="w-full px-3 py-2 font-mono text-sm border-2 border-green-300 rounded-lg bg-white" />
+          </div>
+        )}
+        <div className="space-y-3">
+          <h3 className="font-semibold text-gray-900">New token</h3>
+          {tokenForm.error && (
+            <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700">{tokenForm.error}</div>
+          )}
+          <div className="grid md:grid-cols-2 gap-4">
+            <div><label className="block text-sm font-medium text-gray-700 mb-1">Name</label><input type="text" value={tokenForm.name} onChange={(e) => setTokenForm(prev => ({ ...prev, name: e.target.value }))} placeholder="e.g. GitHub Actions" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+            <div><label className="block text-sm font-medium text-gray-700 mb-1">Expires in (days)</label><input type="text" value={tokenForm.expiresInDays} onChange={(e) => setTokenForm(prev => ({ ...prev, expiresInDays: e.target.value.replace(/[^0-9]/g, '') }))} placeholder="Never" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+          </div>
+          <div className="grid md:grid-cols-2 gap-2">
+            {API_TOKEN_SCOPES.map(scope => (
+              <label key={scope.id} className="flex items-start gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={tokenForm.scopes.includes(scope.id)} onChange={() => toggleTokenScope(scope.id)} className="mt-1" />
+                <span><span className="font-medium">{scope.label}</span> <span className="text-gray-500">– {scope.hint}</span></span>
+              </label>
+            ))}
+          </div>
+          <button onClick={handleCreateApiToken} disabled={tokenForm.saving} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed">
+            {tokenForm.saving ? 'Creating…' : 'Create token'}
+          </button>
+        </div>
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-gray-900">Your tokens</h3>
+            <button onClick={loadApiTokens} className="text-sm text-blue-600 hover:text-blue-800">Refresh</button>
+          </div>
+          {apiTokens.error && (
+            <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700">{apiTokens.error}</div>
+          )}
+          {!apiTokens.loading && apiTokens.items.length === 0 && !apiTokens.error && (
+            <p className="text-sm text-gray-500">No API tokens yet.</p>
+          )}
+          {apiTokens.items.length > 0 && (
+            <div className="divide-y divide-gray-200">
+              {apiTokens.items.map(token => (
+                <div key={token.id} className="flex flex-col md:flex-row md:items-center justify-between py-3 gap-3">
+                  <div>
+                    <p className="font-semibold text-gray-900">
+                      {token.name}
+                      <span className="ml-2 font-mono text-xs text-gray-500">{token.prefix}…</span>
+                      {token.expired && <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">expired</span>}
+                    </p>
+                    <p className="text-sm text-gray-600">Scopes: {token.scopes.join(', ')}</p>
+                    <p className="text-xs text-gray-500">
+                      Created {new Date(token.createdAt).toLocaleDateString()} · {token.expiresAt ? `expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'never expires'} · {token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used'}
+                    </p>
+                  </div>
+                  <button onClick={() => handleRevokeApiToken(token)} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-red-500 hover:text-red-600">Revoke</button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
   const SettingsView = () => {
-    const [activeTab, setActiveTab] = useState('general');
-    
+    const activeTab = settingsTab;
+    const setActiveTab = setSettingsTab;
+
     return (
       <div className="max-w-4xl mx-auto">
         <button onClick={() => setView('dashboard')} className="text-blue-600 hover:text-blue-700 mb-6 flex items-center gap-2">← Back to Dashboard</button>
         <div className="bg-white rounded-lg border-2 border-gray-200 overflow-hidden">
           <div className="border-b-2 border-gray-200 flex">
             <button onClick={() => setActiveTab('general')} className={`px-6 py-3 font-medium ${activeTab === 'general' ? 'bg-blue-50 text-blue-600 border-b-2 border-blue-600' : 'text-gray-600 hover:bg-gray-50'}`}>General</button>
+            <button onClick={() => setActiveTab('environments')} className={`px-6 py-3 font-medium ${activeTab === 'environments' ? 'bg-blue-50 text-blue-600 border-b-2 border-blue-600' : 'text-gray-600 hover:bg-gray-50'}`}>Environments</button>
             <button onClick={() => setActiveTab('integrations')} className={`px-6 py-3 font-medium ${activeTab === 'integrations' ? 'bg-blue-50 text-blue-600 border-b-2 border-blue-600' : 'text-gray-600 hover:bg-gray-50'}`}>Integrations</button>
             <button onClick={() => setActiveTab('advanced')} className={`px-6 py-3 font-medium ${activeTab === 'advanced' ? 'bg-blue-50 text-blue-600 border-b-2 border-blue-600' : 'text-gray-600 hover:bg-gray-50'}`}>Advanced</button>
           </div>
@@ -1144,8 +2847,46 @@ const DeploymentDashboard = () => {
                       <div className="space-y-3">
                         <div><label className="block text-sm font-medium text-gray-700 mb-1">Name</label><input type="text" value={settingsForm.name} onChange={(e) => updateSettingsField('name', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
                         <div><label className="block text-sm font-medium text-gray-700 mb-1">Description</label><textarea value={settingsForm.description} onChange={(e) => updateSettingsField('description', e.target.value)} rows={2} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
-                        <div><label className="block text-sm font-medium text-gray-700 mb-1">GitHub Repository URL</label><input type="text" value={settingsForm.repoUrl} onChange={(e) => updateSettingsField('repoUrl', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
-                        <div><label className="block text-sm font-medium text-gray-700 mb-1">Branch</label><input type="text" value={settingsForm.branch} onChange={(e) => updateSettingsField('branch', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        <div><label className="block text-sm font-medium text-gray-700 mb-1">Repository URL</label><input type="text" value={settingsForm.repoUrl} onChange={(e) => updateSettingsField('repoUrl', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        <div className="grid md:grid-cols-2 gap-4">
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Access Token</label><input type="password" autoComplete="new-password" value={settingsForm.repoToken} onChange={(e) => updateSettingsField('repoToken', e.target.value)} placeholder={selectedProject.repoAuth?.hasToken ? 'Saved – leave blank to keep' : 'Only needed for private repos'} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Token Username</label><input type="text" value={settingsForm.repoTokenUsername} onChange={(e) => updateSettingsField('repoTokenUsername', e.target.value)} placeholder="Default for the host" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        </div>
+                        {selectedProject.repoAuth?.hasToken && (
+                          <div className="flex items-center justify-between gap-4">
+                            <p className="text-xs text-gray-500">A token is saved{selectedProject.repoAuth.updatedAt ? ` (updated ${new Date(selectedProject.repoAuth.updatedAt).toLocaleString()})` : ''}. It is never shown again.</p>
+                            <button onClick={handleRemoveRepoToken} disabled={settingsSaving} className="px-4 py-2 border-2 border-red-200 rounded-lg text-sm text-red-600 hover:border-red-300 whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed">Remove Token</button>
+                          </div>
+                        )}
+                        {(selectedProject.deployKey || selectedProject.repo?.startsWith('ssh://')) && (
+                          <div className="rounded-lg border-2 border-gray-200 p-3 space-y-2">
+                            <div className="flex items-center justify-between gap-4">
+                              <div>
+                                <p className="text-sm font-medium text-gray-700">SSH Deploy Key</p>
+                                <p className="text-xs text-gray-500">Add this public key to the repository's deploy keys (read-only access is enough). It is used for SSH repository URLs.</p>
+                              </div>
+                              <button onClick={handleRotateDeployKey} disabled={settingsSaving} className="px-4 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-700 hover:border-gray-400 whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed">{selectedProject.deployKey ? 'Rotate Key' : 'Generate Key'}</button>
+                            </div>
+                            {selectedProject.deployKey && (
+                              <>
+                                <textarea readOnly value={selectedProject.deployKey.publicKey} rows={2} onFocus={(e) => e.target.select()} className="w-full px-3 py-2 border-2 border-gray-300 rounded-lg font-mono text-xs bg-gray-50 focus:outline-none" />
+                                <div className="flex items-center justify-between gap-4 text-xs text-gray-500">
+                                  <span className="font-mono">{selectedProject.deployKey.fingerprint}{selectedProject.deployKey.createdAt ? ` · created ${new Date(selectedProject.deployKey.createdAt).toLocaleString()}` : ''}</span>
+                                  <button onClick={() => navigator.clipboard?.writeText(selectedProject.deployKey.publicKey)} className="text-blue-600 hover:text-blue-800">Copy</button>
+                                </div>
+                                {!selectedProject.lastDeploy && <p className="text-xs text-amber-700">The repository is cloned on the first deploy, once this key has been added.</p>}
+                              </>
+                            )}
+                          </div>
+                        )}
+                        <div className="grid md:grid-cols-2 gap-4">
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Branch</label><input type="text" value={settingsForm.branch} onChange={(e) => updateSettingsField('branch', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Sync Strategy</label><select value={settingsForm.syncStrategy} onChange={(e) => updateSettingsField('syncStrategy', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none"><option value="ff-only">Fast-forward only</option><option value="reset">Hard reset to remote</option></select></div>
+                        </div>
+                        <div className="flex items-center justify-between gap-4">
+                          <p className="text-xs text-gray-500">Hard reset follows force-pushes and wipes untracked files before every build. If the local clone is broken, reset it to clone the repository again.</p>
+                          <button onClick={handleResetRepository} disabled={repoResetting} className="px-4 py-2 border-2 border-gray-300 rounded-lg text-sm text-gray-700 hover:border-gray-400 whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed">{repoResetting ? 'Cloning…' : 'Reset Clone'}</button>
+                        </div>
                       </div>
                     </div>
                     <div>
@@ -1180,7 +2921,9 @@ const DeploymentDashboard = () => {
                             <div><label className="block text-sm font-medium text-gray-700 mb-1">Start Command (Node runtime)</label><input type="text" value={settingsForm.startCommand} onChange={(e) => updateSettingsField('startCommand', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
                           </>
                         )}
+                        <div><label className="block text-sm font-medium text-gray-700 mb-1">Root Directory</label><input type="text" value={settingsForm.rootDirectory} onChange={(e) => updateSettingsField('rootDirectory', e.target.value)} placeholder="Repository root" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /><p className="text-xs text-gray-500 mt-1">Install, test and build run here, and the output directory is relative to it.</p></div>
                         <div><label className="block text-sm font-medium text-gray-700 mb-1">Output Directory</label><input type="text" value={settingsForm.buildOutput} onChange={(e) => updateSettingsField('buildOutput', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        <div><label className="block text-sm font-medium text-gray-700 mb-1">Watch Paths</label><textarea value={settingsForm.watchPaths} onChange={(e) => updateSettingsField('watchPaths', e.target.value)} rows={3} placeholder={'apps/web\npackages/ui'} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg font-mono text-sm focus:border-blue-500 focus:outline-none" /><p className="text-xs text-gray-500 mt-1">One path per line, relative to the repository root. Webhook deploys are skipped when a push changes nothing under them. Leave empty to deploy on every push.</p></div>
                       </div>
                     </div>
                     <div>
@@ -1195,23 +2938,93 @@ const DeploymentDashboard = () => {
                           <div><label className="block text-sm font-medium text-gray-700 mb-1">Custom Domain</label><input type="text" value={settingsForm.domain} onChange={(e) => updateSettingsField('domain', e.target.value)} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
                           <div><label className="block text-sm font-medium text-gray-700 mb-1">App Port (Node runtime)</label><input type="text" value={settingsForm.port} onChange={(e) => updateSettingsField('port', e.target.value.replace(/[^0-9]/g, ''))} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
                         </div>
+                        <div className="grid md:grid-cols-2 gap-4">
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Step Timeout (seconds)</label><input type="text" value={settingsForm.stepTimeoutSeconds} onChange={(e) => updateSettingsField('stepTimeoutSeconds', e.target.value.replace(/[^0-9]/g, ''))} placeholder="Server default" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Deployment Timeout (seconds)</label><input type="text" value={settingsForm.deployTimeoutSeconds} onChange={(e) => updateSettingsField('deployTimeoutSeconds', e.target.value.replace(/[^0-9]/g, ''))} placeholder="Server default" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        </div>
+                        <div className="grid md:grid-cols-3 gap-4">
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Health Check Path</label><input type="text" value={settingsForm.healthcheckPath} onChange={(e) => updateSettingsField('healthcheckPath', e.target.value)} placeholder="Disabled (e.g. /health)" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Expected Status</label><input type="text" value={settingsForm.healthcheckStatus} onChange={(e) => updateSettingsField('healthcheckStatus', e.target.value.replace(/[^0-9]/g, ''))} placeholder="200" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Health Check Timeout (seconds)</label><input type="text" value={settingsForm.healthcheckTimeoutSeconds} onChange={(e) => updateSettingsField('healthcheckTimeoutSeconds', e.target.value.replace(/[^0-9]/g, ''))} placeholder="Server default" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        </div>
+                        <div className="grid md:grid-cols-2 gap-4">
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Releases to Keep</label><input type="text" value={settingsForm.keepReleases} onChange={(e) => updateSettingsField('keepReleases', e.target.value.replace(/[^0-9]/g, ''))} placeholder="Server default" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Release Max Age (days, 0 = no limit)</label><input type="text" value={settingsForm.releaseMaxAgeDays} onChange={(e) => updateSettingsField('releaseMaxAgeDays', e.target.value.replace(/[^0-9]/g, ''))} placeholder="Server default" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        </div>
+                        <div className="grid md:grid-cols-2 gap-4">
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Preview Domain</label><input type="text" value={settingsForm.previewDomain} onChange={(e) => updateSettingsField('previewDomain', e.target.value)} placeholder="Disabled (e.g. preview.example.com)" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /><p className="text-xs text-gray-500 mt-1">Open pull requests deploy to pr-&lt;number&gt;.&lt;this domain&gt;.</p></div>
+                          <div><label className="block text-sm font-medium text-gray-700 mb-1">Max Previews</label><input type="text" value={settingsForm.maxPreviews} onChange={(e) => updateSettingsField('maxPreviews', e.target.value.replace(/[^0-9]/g, ''))} placeholder="Server default" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                        </div>
                       </div>
                     </div>
                     <div className="flex gap-3 pt-4 border-t-2 border-gray-200">
                       <button onClick={saveProjectSettings} disabled={settingsSaving} className="flex-1 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:bg-gray-400 disabled:cursor-not-allowed">{settingsSaving ? 'Saving…' : 'Save Changes'}</button>
-                      <button
-                        onClick={() => handleDeleteProject(selectedProject?.id)}
-                        disabled={!selectedProject?.id}
-                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium flex items-center gap-2 disabled:bg-gray-400 disabled:cursor-not-allowed"
-                      >
-                        <Trash2 className="w-4 h-4" />Delete Project
-                      </button>
+                      {hasProjectRole(selectedProject, 'owner') && (
+                        <button
+                          onClick={() => handleDeleteProject(selectedProject?.id)}
+                          disabled={!selectedProject?.id}
+                          className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 font-medium flex items-center gap-2 disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                          <Trash2 className="w-4 h-4" />Delete Project
+                        </button>
+                      )}
                     </div>
                   </div>
                 )}
               </>
             )}
             
+            {activeTab === 'environments' && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-900 mb-2">Environments</h2>
+                <p className="text-gray-600 mb-6">The branch, deploy path, domain and variables on the General and Advanced tabs belong to {DEFAULT_ENVIRONMENT}. Each extra environment tracks its own branch and gets its own releases, nginx site and process; build settings are shared.</p>
+                <div className="space-y-3 mb-6">
+                  {Object.keys(selectedProject?.environments || {}).length === 0 && (
+                    <p className="text-sm text-gray-500">No extra environments yet.</p>
+                  )}
+                  {Object.entries(selectedProject?.environments || {}).map(([name, settings]) => (
+                    <div key={name} className="flex flex-col md:flex-row md:items-center justify-between gap-3 rounded-lg border-2 border-gray-200 p-4">
+                      <div>
+                        <p className="font-semibold text-gray-900">{name}</p>
+                        <p className="text-sm text-gray-600">Branch {settings.branch}{settings.domain ? ` · ${settings.domain}` : ''}{settings.port ? ` · port ${settings.port}` : ''}</p>
+                        <p className="text-xs text-gray-500">{settings.deployPath} · {(settings.env || []).length} variable(s){settings.lastDeploy ? ` · deployed ${new Date(settings.lastDeploy).toLocaleString()}` : ''}</p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button onClick={() => startEditEnvironment(name)} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-gray-400">Edit</button>
+                        <button onClick={() => handleDeleteEnvironment(name)} className="px-3 py-1 text-sm border-2 border-gray-300 rounded-lg hover:border-red-500 hover:text-red-600">Remove</button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                <div className="rounded-lg border-2 border-gray-200 p-4 space-y-3">
+                  <h3 className="font-semibold text-gray-900">{environmentForm.editing ? `Edit ${environmentForm.editing}` : 'Add environment'}</h3>
+                  {environmentForm.error && (
+                    <div className="rounded-lg border px-4 py-2 text-sm bg-red-50 border-red-200 text-red-700">{environmentForm.error}</div>
+                  )}
+                  <div className="grid md:grid-cols-2 gap-4">
+                    <div><label className="block text-sm font-medium text-gray-700 mb-1">Name</label><input type="text" value={environmentForm.name} disabled={!!environmentForm.editing} onChange={(e) => setEnvironmentForm(prev => ({ ...prev, name: e.target.value }))} placeholder="staging" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none disabled:bg-gray-50" /></div>
+                    <div><label className="block text-sm font-medium text-gray-700 mb-1">Branch</label><input type="text" value={environmentForm.branch} onChange={(e) => setEnvironmentForm(prev => ({ ...prev, branch: e.target.value }))} placeholder="develop" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                    <div><label className="block text-sm font-medium text-gray-700 mb-1">Domain</label><input type="text" value={environmentForm.domain} onChange={(e) => setEnvironmentForm(prev => ({ ...prev, domain: e.target.value }))} placeholder="staging.example.com" className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                    <div><label className="block text-sm font-medium text-gray-700 mb-1">Port</label><input type="number" value={environmentForm.port} onChange={(e) => setEnvironmentForm(prev => ({ ...prev, port: e.target.value }))} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                  </div>
+                  <div><label className="block text-sm font-medium text-gray-700 mb-1">Deploy Path</label><input type="text" value={environmentForm.deployPath} onChange={(e) => setEnvironmentForm(prev => ({ ...prev, deployPath: e.target.value }))} placeholder={`Defaults to ${selectedProject?.id}-${environmentForm.name || '<name>'} under the server root`} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none" /></div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Environment Variables (KEY=VALUE per line)</label>
+                    <textarea value={environmentForm.envText} onChange={(e) => setEnvironmentForm(prev => ({ ...prev, envText: e.target.value }))} rows={4} className="w-full px-4 py-2 border-2 border-gray-300 rounded-lg font-mono text-sm focus:border-blue-500 focus:outline-none" />
+                    {environmentForm.editing && (selectedProject?.environments?.[environmentForm.editing]?.env || []).some(entry => entry.isSecret) && (
+                      <p className="text-xs text-gray-500 mt-1">Secret variables are kept as they are: {selectedProject.environments[environmentForm.editing].env.filter(entry => entry.isSecret).map(entry => entry.key).join(', ')}</p>
+                    )}
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={handleSaveEnvironment} disabled={environmentForm.saving || !environmentForm.branch.trim() || (!environmentForm.editing && !environmentForm.name.trim())} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:bg-gray-400 disabled:cursor-not-allowed">{environmentForm.saving ? 'Saving…' : (environmentForm.editing ? 'Save Environment' : 'Add Environment')}</button>
+                    {environmentForm.editing && (
+                      <button onClick={() => setEnvironmentForm(EMPTY_ENVIRONMENT_FORM)} className="px-4 py-2 border-2 border-gray-300 rounded-lg text-gray-700 hover:border-gray-400">Cancel</button>
+                    )}
+                  </div>
+                </div>
+              </>
+            )}
+
             {activeTab === 'integrations' && (
               <>
                 <h2 className="text-2xl font-bold text-gray-900 mb-2">Integrations</h2>
@@ -1353,6 +3166,44 @@ const DeploymentDashboard = () => {
                       <p className="text-xs text-gray-500">{auth.user.role === 'admin' ? 'Platform admin' : 'Project owner'}</p>
                     </div>
                   )}
+                  {!auth.twoFactor?.enrollmentRequired && (
+                    <>
+                      <button
+                        onClick={() => setView('security')}
+                        className={`px-4 py-2 border-2 rounded-lg text-sm font-medium transition-colors ${view === 'security' ? 'border-blue-500 text-blue-600' : 'border-gray-300 text-gray-700 hover:border-blue-500 hover:text-blue-600'}`}
+                      >
+                        Security
+                      </button>
+                      <button
+                        onClick={() => setView('sessions')}
+                        className={`px-4 py-2 border-2 rounded-lg text-sm font-medium transition-colors ${view === 'sessions' ? 'border-blue-500 text-blue-600' : 'border-gray-300 text-gray-700 hover:border-blue-500 hover:text-blue-600'}`}
+                      >
+                        Sessions
+                      </button>
+                      <button
+                        onClick={() => setView('tokens')}
+                        className={`px-4 py-2 border-2 rounded-lg text-sm font-medium transition-colors ${view === 'tokens' ? 'border-blue-500 text-blue-600' : 'border-gray-300 text-gray-700 hover:border-blue-500 hover:text-blue-600'}`}
+                      >
+                        API Tokens
+                      </button>
+                      {auth.user?.isAdmin && (
+                        <button
+                          onClick={() => setView('users')}
+                          className={`px-4 py-2 border-2 rounded-lg text-sm font-medium transition-colors ${view === 'users' ? 'border-blue-500 text-blue-600' : 'border-gray-300 text-gray-700 hover:border-blue-500 hover:text-blue-600'}`}
+                        >
+                          Users
+                        </button>
+                      )}
+                      {auth.user?.isAdmin && (
+                        <button
+                          onClick={() => setView('audit')}
+                          className={`px-4 py-2 border-2 rounded-lg text-sm font-medium transition-colors ${view === 'audit' ? 'border-blue-500 text-blue-600' : 'border-gray-300 text-gray-700 hover:border-blue-500 hover:text-blue-600'}`}
+                        >
+                          Audit
+                        </button>
+                      )}
+                    </>
+                  )}
                   <button
                     onClick={handleLogout}
                     className="px-4 py-2 border-2 border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:border-red-500 hover:text-red-600 transition-colors"
@@ -1361,11 +3212,22 @@ const DeploymentDashboard = () => {
                   </button>
                 </div>
               </header>
-              {view === 'dashboard' && <DashboardView />}
-              {view === 'create' && <CreateProjectView />}
-              {view === 'import' && <ImportProjectView />}
-              {view === 'logs' && <LogsView />}
-              {view === 'settings' && <SettingsView />}
+              {auth.twoFactor?.enrollmentRequired ? (
+                <SecurityView />
+              ) : (
+                <>
+                  {view === 'dashboard' && <DashboardView />}
+                  {view === 'create' && <CreateProjectView />}
+                  {view === 'import' && <ImportProjectView />}
+                  {view === 'logs' && <LogsView />}
+                  {view === 'settings' && <SettingsView />}
+                  {view === 'users' && auth.user?.isAdmin && <UsersView />}
+                  {view === 'audit' && auth.user?.isAdmin && <AuditView />}
+                  {view === 'sessions' && <SessionsView />}
+                  {view === 'tokens' && <ApiTokensView />}
+                  {view === 'security' && <SecurityView />}
+                </>
+              )}
             </>
           ) : (
             renderAuthView()
@@ -1378,11 +3240,26 @@ const DeploymentDashboard = () => {
             <div className="flex items-center justify-between px-5 py-3 border-b border-gray-200">
               <div>
                 <h3 className="text-lg font-semibold text-gray-900">Deployment Logs</h3>
-                <p className="text-xs text-gray-500">#{logViewer.deploymentId?.slice(0, 8)}</p>
+                <p className="text-xs text-gray-500">
+                  #{logViewer.deploymentId?.slice(0, 8)}
+                  {logViewer.live && <span className="ml-2 text-green-600 font-semibold">● Live</span>}
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                {logViewer.status && (
+                  <span className={`px-2 py-1 rounded text-xs font-medium border ${getStatusColor(logViewer.status)}`}>{logViewer.status}</span>
+                )}
+                <button onClick={closeLogViewer} className="text-sm text-gray-600 hover:text-gray-900">Close</button>
               </div>
-              <button onClick={closeLogViewer} className="text-sm text-gray-600 hover:text-gray-900">Close</button>
             </div>
-            <div className="bg-gray-900 text-green-100 text-sm font-mono p-4 overflow-auto flex-1">
+            {Object.keys(logViewer.steps || {}).length > 0 && (
+              <div className="flex flex-wrap gap-2 px-5 py-2 border-b border-gray-200">
+                {Object.entries(logViewer.steps).map(([name, step]) => (
+                  <span key={name} className={`px-2 py-1 rounded text-xs font-medium border ${getStatusColor(step?.status)}`}>{name}: {step?.status}</span>
+                ))}
+              </div>
+            )}
+            <div ref={logContainerRef} onScroll={handleLogScroll} className="bg-gray-900 text-green-100 text-sm font-mono p-4 overflow-auto flex-1">
               {logViewer.loading && <p>Loading logs...</p>}
               {!logViewer.loading && logViewer.error && <p className="text-red-400">{logViewer.error}</p>}
               {!logViewer.loading && !logViewer.error && (